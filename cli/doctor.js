@@ -0,0 +1,222 @@
+// doctor.js - `rdp2rest doctor`: can the tunnel work from this machine?
+//
+// Runs the checks behind most "the proxy doesn't answer" reports, each one
+// ending in OK, WARN or FAIL:
+//   - the shared folder exists, this user can create files in it, and its
+//     clock agrees with ours (lock and cleanup ages are file times)
+//   - a file written here is noticed, read and removed quickly - the round
+//     trip every request makes, through the watcher the proxies use
+//   - lock files behave: a held lock can't be taken twice, a released one
+//     can, and one left behind by a crashed owner is reclaimed
+//   - on the remote machine, every route target and TCP target answers
+//   - on the local machine, the remote proxy's heartbeat is fresh and its
+//     targets are reachable from there
+// Probe files start with `.doctor-` and are removed again.
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+const { watchDirectory } = require('../shared/file-watcher');
+const { lockFile, unlockFile } = require('../shared/file-lock');
+const { formatDuration, readHeartbeat } = require('./status');
+
+const PROBE_PREFIX = '.doctor-';
+const ROUND_TRIPS = 5;
+const ROUND_TRIP_TIMEOUT = 5000; // Give up on a probe file nobody noticed (ms)
+const SLOW_ROUND_TRIP = 500;     // Warn when the slowest round trip takes longer (ms)
+const MAX_CLOCK_SKEW = 5000;     // Warn when file times are off by more (ms)
+const CONNECT_TIMEOUT = 2000;
+
+const ok = (name, detail) => ({ name, status: 'ok', detail });
+const warn = (name, detail) => ({ name, status: 'warn', detail });
+const fail = (name, detail) => ({ name, status: 'fail', detail });
+
+function probeFile(folder, suffix) {
+    return path.join(folder, `${PROBE_PREFIX}${process.pid}-${suffix}`);
+}
+
+async function checkFolder(folder) {
+    try {
+        if (!(await fs.stat(folder)).isDirectory()) {
+            return [fail('Shared folder', `${folder} is not a folder`)];
+        }
+    } catch (error) {
+        return [fail('Shared folder', `${folder} ${error.code === 'ENOENT' ? 'does not exist' : `can't be read: ${error.message}`}`)];
+    }
+    const probe = probeFile(folder, 'write');
+    try {
+        const before = Date.now();
+        await fs.writeFile(probe, 'probe');
+        const skew = (await fs.stat(probe)).mtimeMs - before;
+        await fs.unlink(probe);
+        return [
+            ok('Shared folder', `${folder} is writable`),
+            Math.abs(skew) > MAX_CLOCK_SKEW
+                ? warn('Clock', `File times in the shared folder are ${formatDuration(Math.abs(skew))} ${skew > 0 ? 'ahead' : 'behind'}, stale locks and old files are cleaned up at the wrong time`)
+                : ok('Clock', `File times in the shared folder match this machine's clock`)
+        ];
+    } catch (error) {
+        await fs.unlink(probe).catch(() => {});
+        return [fail('Shared folder', `Can't create files in ${folder}: ${error.message}`)];
+    }
+}
+
+// Write a file the way requests are written (temp file, then rename), wait
+// for the watcher to notice it, read it back and remove it
+async function checkRoundTrip(folder, watcherConfig) {
+    const watcher = watchDirectory(folder, {
+        mode: watcherConfig.mode,
+        minInterval: watcherConfig.minInterval,
+        maxInterval: watcherConfig.maxInterval,
+        filter: name => name.startsWith(PROBE_PREFIX)
+    });
+    const times = [];
+    let file = null;
+    try {
+        // The watcher only reports files that appear after its first listing
+        const listed = Date.now() + ROUND_TRIP_TIMEOUT;
+        while (watcher.knownFiles === null && Date.now() < listed) {
+            await new Promise(resolve => setTimeout(resolve, watcherConfig.minInterval));
+        }
+        for (let round = 0; round < ROUND_TRIPS; round++) {
+            file = probeFile(folder, `${round}.json`);
+            const content = JSON.stringify({ round, timestamp: Date.now() });
+            const start = Date.now();
+            const noticed = watcher.waitFor(path.basename(file), ROUND_TRIP_TIMEOUT);
+            await fs.writeFile(`${file}.tmp`, content);
+            await fs.rename(`${file}.tmp`, file);
+            if (!await noticed) {
+                throw new Error(`A new file wasn't noticed within ${ROUND_TRIP_TIMEOUT} ms`);
+            }
+            if (await fs.readFile(file, 'utf8') !== content) {
+                throw new Error('A file read back differently than it was written');
+            }
+            await fs.unlink(file);
+            times.push(Date.now() - start);
+        }
+    } catch (error) {
+        return fail('Round trip', `${error.message} (watcher: ${watcher.mode})`);
+    } finally {
+        watcher.stop();
+        if (file) {
+            await Promise.all([fs.unlink(file), fs.unlink(`${file}.tmp`)].map(removal => removal.catch(() => {})));
+        }
+    }
+    const average = Math.round(times.reduce((sum, time) => sum + time, 0) / times.length);
+    const slowest = Math.max(...times);
+    const detail = `${ROUND_TRIPS} files, average ${average} ms, slowest ${slowest} ms (watcher: ${watcher.mode})`;
+    return slowest > SLOW_ROUND_TRIP ? warn('Round trip', `${detail} - every request waits this long twice`) : ok('Round trip', detail);
+}
+
+async function checkLocks(folder) {
+    const file = probeFile(folder, 'lock');
+    try {
+        if (!await lockFile(file)) {
+            throw new Error("Couldn't take a free lock");
+        }
+        if (await lockFile(file)) {
+            throw new Error('Took a lock that was already held, so two proxies could work on one request');
+        }
+        await unlockFile(file);
+        if (!await lockFile(file)) {
+            throw new Error("Couldn't take a released lock");
+        }
+        await unlockFile(file);
+
+        // A lock from another machine's crashed process, past staleAfter
+        const staleAfter = 60000;
+        const old = new Date(Date.now() - 2 * staleAfter);
+        await fs.writeFile(`${file}.lock`, JSON.stringify({ pid: 1, host: 'rdp2rest-doctor', createdAt: old.getTime() }));
+        await fs.utimes(`${file}.lock`, old, old);
+        if (!await lockFile(file, { staleAfter })) {
+            throw new Error("A stale lock wasn't reclaimed");
+        }
+        await unlockFile(file);
+        return ok('Locks', 'Held locks are exclusive, released and stale locks can be taken');
+    } catch (error) {
+        return fail('Locks', error.message);
+    } finally {
+        await fs.unlink(`${file}.lock`).catch(() => {});
+    }
+}
+
+function connect(host, port) {
+    return new Promise((resolve) => {
+        const start = Date.now();
+        const socket = net.connect({ host, port });
+        socket.setTimeout(CONNECT_TIMEOUT, () => socket.destroy(new Error(`No connection within ${CONNECT_TIMEOUT} ms`)));
+        socket.on('connect', () => {
+            socket.destroy();
+            resolve({ reachable: true, latency: Date.now() - start });
+        });
+        socket.on('error', (error) => resolve({ reachable: false, error: error.message }));
+    });
+}
+
+function targetResult(name, target, { reachable, latency, error }) {
+    return reachable ? ok(`Target ${name}`, `${target} (${latency} ms)`) : fail(`Target ${name}`, `${target}: ${error}`);
+}
+
+// What the remote proxy will connect to, from here
+async function checkRemote(config) {
+    const { createRouter } = require('../rdp-rest-proxy/routes');
+    const { checkTargets } = require('../rdp-rest-proxy/target-check');
+    const routes = createRouter(config).routes;
+    const results = (await checkTargets(routes, { timeout: CONNECT_TIMEOUT, proxy: !config.proxy.enabled }))
+        .map(status => targetResult(status.name, status.target, status));
+
+    const tcpTargets = Object.entries(config.tcp.targets || {});
+    for (const [name, target] of tcpTargets) {
+        const separator = target.lastIndexOf(':');
+        results.push(targetResult(`tcp:${name}`, target, await connect(target.slice(0, separator), Number(target.slice(separator + 1)))));
+    }
+
+    const clients = await fs.readdir(path.join(config.sharedFolder.path, 'clients'), { withFileTypes: true }).catch(() => []);
+    const ids = clients.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    results.push(ok('Clients', ids.length > 0 ? `Namespaces in the shared folder: ${ids.join(', ')}` : 'No local proxy has written to the shared folder yet'));
+    return results;
+}
+
+// The remote proxy, as far as it can be seen from the local machine
+async function checkLocal(config) {
+    let heartbeat;
+    try {
+        heartbeat = await readHeartbeat(config);
+    } catch (error) {
+        return [fail('Remote proxy', error.code === 'ENOENT'
+            ? 'No heartbeat.json - the RDP proxy has never run against this folder'
+            : `Can't read heartbeat.json: ${error.message}`)];
+    }
+    const age = Date.now() - heartbeat.timestamp;
+    const results = [age > config.heartbeat.staleAfter
+        ? fail('Remote proxy', `Last heartbeat ${formatDuration(age)} ago, the RDP proxy isn't running or can't write to the folder`)
+        : ok('Remote proxy', `Heartbeat ${formatDuration(age)} ago from ${heartbeat.host} (version ${heartbeat.version}, protocol ${heartbeat.protocol ? heartbeat.protocol.version : 'unknown'})`)];
+    (heartbeat.targets || []).forEach(target => {
+        results.push(target.reachable
+            ? ok(`Target ${target.name}`, `${target.target} reachable from the RDP machine (${target.latency} ms)`)
+            : fail(`Target ${target.name}`, `${target.target} unreachable from the RDP machine: ${target.error}`));
+    });
+    return results;
+}
+
+// Returns the results in the order they ran. The folder checks come first;
+// if the folder is unusable the rest would only repeat that.
+async function runDoctor(role, config) {
+    if (config.transport && config.transport.type === 'memory') {
+        return [fail('Transport', 'The memory transport has no folder to check, run the doctor with the shared folder')];
+    }
+    const folder = config.sharedFolder.path;
+    const results = await checkFolder(folder);
+    if (results.some(result => result.status === 'fail')) {
+        return results;
+    }
+    results.push(await checkRoundTrip(folder, config.watcher));
+    results.push(await checkLocks(folder));
+    results.push(...await (role === 'remote' ? checkRemote(config) : checkLocal(config)));
+    return results;
+}
+
+function printResults(results, write = line => console.log(line)) {
+    results.forEach(result => write(`${result.status.toUpperCase().padEnd(5)} ${result.name.padEnd(14)} ${result.detail}`));
+}
+
+module.exports = { runDoctor, printResults };
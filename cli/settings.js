@@ -0,0 +1,334 @@
+// settings.js - Settings for rdp2rest, from a file, the environment and flags
+//
+// Each role starts from its component's config.js (`local` is
+// local-rest-proxy, `remote` rdp-rest-proxy). On top of that, each one
+// winning over the one before, come:
+//   1. the settings file (--config or RDP2REST_CONFIG), JSON or a JS module.
+//      Its `local` and `remote` sections apply to that role only, any other
+//      section (e.g. `sharedFolder`) to every role whose config has it
+//   2. environment variables (SETTINGS below lists them)
+//   3. flags, and `--set section.key=value` for anything without a flag
+// The result is merged into the config module itself, which the proxy then
+// requires as usual. Before anything starts, values are checked against the
+// types in config.js and the rules in SETTINGS; every problem is reported
+// at once.
+const fs = require('fs');
+const path = require('path');
+const { TYPES: TRANSPORT_TYPES } = require('../shared/transport');
+const { createKeyCheck } = require('../shared/api-keys');
+
+const ROLES = {
+    local: path.join(__dirname, '..', 'local-rest-proxy', 'config'),
+    remote: path.join(__dirname, '..', 'rdp-rest-proxy', 'config')
+};
+
+// Settings with a flag or an environment variable, and the rules their
+// values must follow. Without `roles` a setting applies to both.
+const SETTINGS = [
+    { key: 'sharedFolder.path', flag: 'shared-folder', env: 'SHARED_FOLDER', type: 'string', required: true,
+        description: 'Folder both proxies exchange files through' },
+    { key: 'transport.type', flag: 'transport', env: 'TRANSPORT', type: 'string', values: TRANSPORT_TYPES,
+        description: 'shared-folder, or memory to run both roles in one process' },
+    { key: 'logging.level', flag: 'log-level', env: 'LOG_LEVEL', type: 'string', values: ['debug', 'info', 'warn', 'error'],
+        ignoreCase: true, description: 'debug, info, warn or error' },
+    { key: 'logging.file', flag: 'log-file', type: 'string', nullable: true,
+        description: 'Also append log lines to this file' },
+    { key: 'encryption.enabled', flag: 'encrypt', type: 'boolean',
+        description: 'Encrypt tunnel files (the key comes from TUNNEL_KEY)' },
+    // No flag, so the key doesn't show up in the process list
+    { key: 'encryption.key', env: 'TUNNEL_KEY', type: 'string',
+        description: '64 hex characters, or a passphrase' },
+    { key: 'client.id', roles: ['local'], flag: 'client-id', env: 'CLIENT_ID', type: 'string', nullable: true,
+        pattern: /^[A-Za-z0-9._-]+$/, description: 'Namespace in the shared folder' },
+    { key: 'server.port', roles: ['local'], flag: 'port', env: 'PORT', type: 'port',
+        description: 'Port callers connect to' },
+    { key: 'server.host', roles: ['local'], flag: 'host', env: 'HOST', type: 'string',
+        description: 'Bind address' },
+    { key: 'request.timeout', roles: ['local'], flag: 'timeout', type: 'integer', min: 1,
+        description: 'Default time to wait for a response (ms)' },
+    { key: 'recording.mode', roles: ['local'], flag: 'recording', env: 'RECORDING_MODE', type: 'string',
+        values: ['off', 'record', 'replay'], description: 'off, record or replay' },
+    { key: 'recording.dir', roles: ['local'], flag: 'recording-dir', type: 'string',
+        description: 'Where recordings are kept' },
+    { key: 'targetApi.url', roles: ['remote'], flag: 'target', type: 'url',
+        description: 'Internal API to forward to (without routes)' },
+    { key: 'admin.port', roles: ['remote'], flag: 'admin-port', type: 'port', nullable: true,
+        description: 'Admin API port, "null" turns it off' },
+    { key: 'policy.file', roles: ['remote'], flag: 'policy', type: 'string', nullable: true,
+        description: 'Request policy file' }
+];
+
+// Rules involving more than one setting
+const CHECKS = [
+    (config) => config.encryption && config.encryption.enabled && !config.encryption.key
+        && 'encryption.enabled needs a key, set TUNNEL_KEY',
+    (config) => config.auth && !config.auth.allowUnauthenticated && !createKeyCheck(config.auth).configured
+        && 'auth.keys is empty, set a key there or in PROXY_API_KEYS, or set auth.allowUnauthenticated',
+    (config) => config.reverse && config.reverse.auth && (config.reverse.listeners || []).length > 0
+        && !config.reverse.auth.allowUnauthenticated && !createKeyCheck(config.reverse.auth).configured
+        && 'reverse.auth.keys is empty, set a key there or in PROXY_API_KEYS, or set reverse.auth.allowUnauthenticated'
+];
+
+// Objects whose keys are names the user picks, not settings
+const MAPS = ['auth.keys', 'reverse.auth.keys', 'tcp.targets'];
+
+function settingsFor(role) {
+    return SETTINGS.filter(setting => !setting.roles || setting.roles.includes(role));
+}
+
+// Every setting with a flag, by flag name
+function settingFlags() {
+    return new Map(SETTINGS.filter(setting => setting.flag).map(setting => [setting.flag, setting]));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getPath(object, key) {
+    return key.split('.').reduce((value, part) => (isPlainObject(value) ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((value, part) => {
+        if (!isPlainObject(value[part])) {
+            value[part] = {};
+        }
+        return value[part];
+    }, object);
+    parent[last] = value;
+}
+
+// A value from the environment or the command line, as its setting's type
+function parseValue(setting, raw) {
+    if (typeof raw !== 'string') {
+        return raw;
+    }
+    if (setting.nullable && raw === 'null') {
+        return null;
+    }
+    switch (setting.type) {
+        case 'integer':
+        case 'port':
+            if (!/^-?\d+$/.test(raw)) {
+                throw new Error(`expected a whole number, got "${raw}"`);
+            }
+            return Number(raw);
+        case 'boolean':
+            if (/^(true|yes|on|1)$/i.test(raw)) {
+                return true;
+            }
+            if (/^(false|no|off|0)$/i.test(raw)) {
+                return false;
+            }
+            throw new Error(`expected true or false, got "${raw}"`);
+        default:
+            return raw;
+    }
+}
+
+// What's wrong with a setting's value, or null
+function checkValue(setting, value) {
+    if (value === null || value === undefined || value === '') {
+        return setting.required && !setting.nullable ? 'is required' : null;
+    }
+    switch (setting.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return `must be a whole number, got ${JSON.stringify(value)}`;
+            }
+            break;
+        case 'port':
+            if (!Number.isInteger(value) || value < 1 || value > 65535) {
+                return `must be a port number (1-65535), got ${JSON.stringify(value)}`;
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return `must be true or false, got ${JSON.stringify(value)}`;
+            }
+            break;
+        case 'url': {
+            let url = null;
+            try {
+                url = new URL(value);
+            } catch (error) {
+                // Reported below
+            }
+            if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                return `must be an http(s) URL, got ${JSON.stringify(value)}`;
+            }
+            break;
+        }
+        default:
+            if (typeof value !== 'string') {
+                return `must be a string, got ${JSON.stringify(value)}`;
+            }
+    }
+    if (setting.values && !setting.values.includes(setting.ignoreCase ? String(value).toLowerCase() : value)) {
+        return `must be one of ${setting.values.join(', ')}, got ${JSON.stringify(value)}`;
+    }
+    if (setting.min !== undefined && value < setting.min) {
+        return `must be at least ${setting.min}, got ${value}`;
+    }
+    if (setting.pattern && !setting.pattern.test(value)) {
+        return `may only contain letters, digits, ".", "_" and "-", got ${JSON.stringify(value)}`;
+    }
+    return null;
+}
+
+// Copy `source` into `target`, keeping to the shape of the defaults: unknown
+// keys are only warned about (they may be new settings the proxy reads
+// anyway), values of the wrong type are problems
+function merge(target, source, prefix, report) {
+    Object.entries(source).forEach(([key, value]) => {
+        const name = `${prefix}.${key}`;
+        const current = target[key];
+        if (!(key in target) && !MAPS.includes(prefix)) {
+            report.warnings.push(`Unknown setting ${name}`);
+        } else if (isPlainObject(current) && !MAPS.includes(name)) {
+            if (!isPlainObject(value)) {
+                report.problems.push(`${name} must be an object`);
+            } else {
+                merge(current, value, name, report);
+            }
+            return;
+        } else if (Array.isArray(current) && !Array.isArray(value)) {
+            report.problems.push(`${name} must be a list`);
+            return;
+        } else if (['number', 'string', 'boolean'].includes(typeof current)
+                && value !== null && typeof value !== typeof current) {
+            report.problems.push(`${name} must be a ${typeof current}, got ${JSON.stringify(value)}`);
+            return;
+        }
+        target[key] = value;
+    });
+}
+
+// Merge a section of the settings file (or a --set) into the config
+function mergeSection(config, section, value, source, report) {
+    if (!(section in config)) {
+        return false;
+    }
+    if (isPlainObject(config[section]) && isPlainObject(value)) {
+        merge(config[section], value, section, report);
+    } else {
+        report.problems.push(`${source}: ${section} must be an object`);
+    }
+    return true;
+}
+
+function readSettingsFile(file) {
+    const resolved = path.resolve(file);
+    try {
+        return path.extname(resolved) === '.js'
+            ? require(resolved)
+            : JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read settings file ${resolved}: ${error.message}`);
+    }
+}
+
+// `--set section.key=value`; the value is parsed as JSON when it can be
+function parseSet(assignment) {
+    const match = /^([A-Za-z0-9_]+(?:\.[A-Za-z0-9_]+)+)=(.*)$/s.exec(assignment);
+    if (!match) {
+        throw new Error(`--set expects section.key=value, got "${assignment}"`);
+    }
+    let value = match[2];
+    try {
+        value = JSON.parse(value);
+    } catch (error) {
+        // Plain string
+    }
+    return { key: match[1], value };
+}
+
+// Apply the settings for `role` to its config module and return it.
+// `file` is the settings file's contents, `flags` maps flag names to values,
+// `sets` are the --set assignments and `defaults` are applied first (the
+// caller's own, e.g. the memory transport when running both roles).
+// Throws an Error with a `problems` list when the result isn't usable.
+function loadSettings(role, { file = {}, flags = {}, sets = [], defaults = {} } = {}) {
+    const config = require(ROLES[role]);
+    const report = { problems: [], warnings: [] };
+    const settings = settingsFor(role);
+
+    Object.entries(defaults).forEach(([key, value]) => setPath(config, key, value));
+
+    Object.entries(file).forEach(([section, value]) => {
+        if (ROLES[section]) {
+            if (section !== role) {
+                return;
+            }
+            if (!isPlainObject(value)) {
+                report.problems.push(`Settings file: ${section} must be an object`);
+                return;
+            }
+            Object.entries(value).forEach(([name, content]) => {
+                if (!mergeSection(config, name, content, 'Settings file', report)) {
+                    report.problems.push(`Settings file: unknown section ${section}.${name}`);
+                }
+            });
+        } else if (!mergeSection(config, section, value, 'Settings file', report)
+                && !Object.values(ROLES).some(other => section in require(other))) {
+            report.problems.push(`Settings file: unknown section ${section}`);
+        }
+    });
+
+    settings.filter(setting => setting.env && process.env[setting.env]).forEach(setting => {
+        try {
+            setPath(config, setting.key, parseValue(setting, process.env[setting.env]));
+        } catch (error) {
+            report.problems.push(`${setting.env}: ${error.message}`);
+        }
+    });
+
+    settings.filter(setting => setting.flag && flags[setting.flag] !== undefined).forEach(setting => {
+        try {
+            const value = parseValue(setting, flags[setting.flag]);
+            setPath(config, setting.key, value);
+            // Parts of the proxies read these from the environment directly
+            if (setting.env) {
+                process.env[setting.env] = value === null ? '' : String(value);
+            }
+        } catch (error) {
+            report.problems.push(`--${setting.flag}: ${error.message}`);
+        }
+    });
+
+    sets.forEach(({ key, value }) => {
+        const [section, ...rest] = key.split('.');
+        const nested = {};
+        setPath(nested, rest.join('.'), value);
+        if (!mergeSection(config, section, nested, `--set ${key}`, report)
+                && !Object.values(ROLES).some(other => section in require(other))) {
+            report.problems.push(`--set ${key}: unknown section ${section}`);
+        }
+    });
+
+    settings.forEach(setting => {
+        const problem = checkValue(setting, getPath(config, setting.key));
+        if (problem) {
+            report.problems.push(`${setting.key} ${problem}`);
+        }
+    });
+    CHECKS.forEach(check => {
+        const problem = check(config);
+        if (problem) {
+            report.problems.push(problem);
+        }
+    });
+
+    if (report.problems.length > 0) {
+        const error = new Error(`Invalid settings for the ${role} proxy`);
+        error.problems = report.problems;
+        error.warnings = report.warnings;
+        throw error;
+    }
+    return { config, warnings: report.warnings };
+}
+
+module.exports = { ROLES, SETTINGS, settingsFor, settingFlags, readSettingsFile, parseSet, loadSettings };
@@ -0,0 +1,214 @@
+// status.js - `rdp2rest status`: how the tunnel is doing right now
+//
+// The remote proxy's side comes from heartbeat.json in the shared folder:
+// when it last wrote one, its queue, the reachability of its targets, open
+// circuits and the counters it keeps per local proxy. On the local machine
+// the local proxy's /health adds how the tunnel looks from there. The last
+// errors from the role's log file (`logging.file`) close the report.
+//
+// Only a shared folder can be looked at from outside: a memory transport
+// lives in the process that runs the proxies.
+const fs = require('fs').promises;
+const path = require('path');
+const http = require('http');
+const { loadKeys } = require('../local-rest-proxy/access-control');
+const { clientIdOf } = require('../local-rest-proxy/client-id');
+const { createEnvelopeCipher, openPayload } = require('../shared/envelope-crypto');
+
+const HEALTH_TIMEOUT = 2000;
+const ERROR_LINES = 10;
+const TAIL_BYTES = 256 * 1024; // Only the end of the log file is searched for errors
+
+// "850 ms", "42s", "5m 3s", "2h 10m", "3d 4h"
+function formatDuration(ms) {
+    if (ms < 1000) {
+        return `${Math.round(ms)} ms`;
+    }
+    const units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    let seconds = Math.floor(ms / 1000);
+    const parts = [];
+    for (const [unit, size] of units) {
+        if (seconds >= size || (parts.length === 0 && unit === 's')) {
+            parts.push(`${Math.floor(seconds / size)}${unit}`);
+            seconds %= size;
+        }
+    }
+    return parts.slice(0, 2).join(' ');
+}
+
+// heartbeat.json, opened with the tunnel key when encryption is on
+async function readHeartbeat(config) {
+    const content = JSON.parse(await fs.readFile(path.join(config.sharedFolder.path, 'heartbeat.json'), 'utf8'));
+    const cipher = config.encryption.enabled ? createEnvelopeCipher(config.encryption.key) : null;
+    return openPayload(cipher, content, 'heartbeat');
+}
+
+// The remote proxy as its heartbeat describes it. It counts as down once
+// the heartbeat is older than the local proxy would accept.
+function remoteStatus(heartbeat, staleAfter) {
+    if (heartbeat.error) {
+        return { status: 'unknown', error: heartbeat.error };
+    }
+    const age = Date.now() - heartbeat.timestamp;
+    return {
+        status: age <= staleAfter ? 'up' : 'down',
+        lastBeat: new Date(heartbeat.timestamp).toISOString(),
+        lastBeatAgo: age,
+        host: heartbeat.host || null,
+        pid: heartbeat.pid || null,
+        version: heartbeat.version || null,
+        uptime: heartbeat.uptime || null,
+        queueDepth: heartbeat.queueDepth !== undefined ? heartbeat.queueDepth : null,
+        protocol: heartbeat.protocol || null,
+        targets: heartbeat.targets || [],
+        circuits: heartbeat.circuits || {},
+        clients: heartbeat.clients || {}
+    };
+}
+
+// GET /health of the local proxy, with an API key when it needs one
+function fetchHealth(config) {
+    const host = ['0.0.0.0', '::'].includes(config.server.host) ? '127.0.0.1' : config.server.host;
+    const url = `http://${host}:${config.server.port}/health`;
+    const [key] = Object.values(loadKeys(config.auth || {}));
+    return new Promise((resolve) => {
+        const request = http.get(url, { headers: key ? { 'X-Proxy-Key': key } : {}, timeout: HEALTH_TIMEOUT }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                try {
+                    resolve({ url, statusCode: response.statusCode, ...JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+                } catch (error) {
+                    resolve({ url, statusCode: response.statusCode, error: 'Response is not JSON' });
+                }
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error(`No response within ${HEALTH_TIMEOUT} ms`)));
+        request.on('error', (error) => resolve({ url, error: error.code === 'ECONNREFUSED' ? 'Not running' : error.message }));
+    });
+}
+
+// The last ERROR entries of a log file written by shared/logger.js
+async function recentErrors(file, limit = ERROR_LINES) {
+    const resolved = path.resolve(file);
+    let handle;
+    try {
+        handle = await fs.open(resolved, 'r');
+        const { size } = await handle.stat();
+        const length = Math.min(size, TAIL_BYTES);
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, size - length);
+        const errors = buffer.toString('utf8').split('\n')
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null; // Empty or cut off at the start of the tail
+                }
+            })
+            .filter(entry => entry && entry.level === 'ERROR');
+        return { file: resolved, errors: errors.slice(-limit) };
+    } catch (error) {
+        return { file: resolved, error: error.code === 'ENOENT' ? 'No log file yet' : error.message };
+    } finally {
+        if (handle) {
+            await handle.close();
+        }
+    }
+}
+
+// `role` is where this runs, with that role's config: the local proxy's
+// /health is only asked on the local machine
+async function getStatus(role, config) {
+    if (config.transport && config.transport.type === 'memory') {
+        throw new Error('The memory transport can only be seen from the process running the proxies');
+    }
+    // The remote proxy's config only knows how often it writes a heartbeat
+    const staleAfter = config.heartbeat.staleAfter || 3 * config.heartbeat.interval;
+    const [heartbeat, local, log] = await Promise.all([
+        readHeartbeat(config).catch(error => ({
+            error: error.code === 'ENOENT' ? 'No heartbeat.json in the shared folder' : error.message
+        })),
+        role === 'local' ? fetchHealth(config) : null,
+        config.logging.file ? recentErrors(config.logging.file) : null
+    ]);
+    return {
+        role,
+        sharedFolder: config.sharedFolder.path,
+        clientId: role === 'local' ? clientIdOf(config.client) : null,
+        remote: remoteStatus(heartbeat, staleAfter),
+        local,
+        log
+    };
+}
+
+function printStatus(status, write = line => console.log(line)) {
+    const { remote, local, log } = status;
+    const row = (label, text) => write(`${label.padEnd(14)}${text}`);
+
+    row('Shared folder', status.sharedFolder);
+    if (remote.status === 'unknown') {
+        row('Remote proxy', `unknown - ${remote.error}`);
+    } else {
+        row('Remote proxy', `${remote.status}, last heartbeat ${formatDuration(remote.lastBeatAgo)} ago`
+            + ` (${remote.host}, pid ${remote.pid}, version ${remote.version}, up ${formatDuration(remote.uptime || 0)})`);
+        row('Queue', `${remote.queueDepth} request(s) waiting`);
+        if (remote.protocol) {
+            const features = ['batching', 'streaming', 'websocket', 'tcp', 'forwardProxy'].filter(name => remote.protocol[name]);
+            const compression = (remote.protocol.compression || []).join(', ') || 'none';
+            row('Protocol', `v${remote.protocol.version}, compression ${compression}, ${features.join(', ') || 'no extras'}`);
+        }
+        remote.targets.forEach((target, index) => {
+            row(index === 0 ? 'Targets' : '', `${target.name} ${target.target} - `
+                + (target.reachable ? `reachable (${target.latency} ms)` : `unreachable: ${target.error}`));
+        });
+        const circuits = Object.entries(remote.circuits);
+        row('Circuits', circuits.length === 0
+            ? 'all closed'
+            : circuits.map(([target, circuit]) => `${target} ${circuit.state} after ${circuit.failures} failure(s)`).join('; '));
+        const clients = Object.entries(remote.clients);
+        if (clients.length === 0) {
+            row('Clients', 'none yet');
+        }
+        clients.forEach(([id, stats], index) => {
+            const mark = id === status.clientId ? ' (this machine)' : '';
+            const last = stats.lastRequestAt ? `, last request ${formatDuration(Date.now() - Date.parse(stats.lastRequestAt))} ago` : '';
+            row(index === 0 ? 'Clients' : '', `${id}${mark}: ${stats.completed}/${stats.received} completed, `
+                + `${stats.errors} error(s), ${stats.denied} denied, ${stats.inFlight} in flight${last}`);
+        });
+    }
+
+    if (local) {
+        if (local.error) {
+            row('Local proxy', `${local.url} - ${local.error}`);
+        } else {
+            const latency = local.tunnel && local.tunnel.averageLatency !== null && local.tunnel.averageLatency !== undefined
+                ? `, average round trip ${Math.round(local.tunnel.averageLatency)} ms`
+                : '';
+            row('Local proxy', `${local.url} - ${local.status}, sees the remote proxy ${local.remote.status}${latency}`);
+            row('Client ID', local.clientId);
+        }
+    }
+
+    if (log) {
+        if (log.error) {
+            row('Recent errors', `${log.file} - ${log.error}`);
+        } else if (log.errors.length === 0) {
+            row('Recent errors', `none in ${log.file}`);
+        } else {
+            row('Recent errors', log.file);
+            log.errors.forEach(entry => {
+                const detail = entry.error ? `: ${entry.error}` : '';
+                row('', `${entry.time} ${entry.message}${detail}`);
+            });
+        }
+    }
+}
+
+// Up means the remote proxy's heartbeat is fresh and, when asked, the local
+// proxy answers healthy
+function isHealthy(status) {
+    return status.remote.status === 'up' && (!status.local || status.local.statusCode === 200);
+}
+
+module.exports = { formatDuration, readHeartbeat, getStatus, printStatus, isHealthy };
@@ -0,0 +1,88 @@
+// access-control.js - Who may use the local proxy
+//
+// CORS is limited to an allowlist of origins, and every request must present
+// an API key, either as `Proxy-Authorization: Bearer <key>` or
+// `X-Proxy-Key: <key>`. Clients using the proxy as their HTTP proxy may also
+// send the key as the password of `Proxy-Authorization: Basic`. Both headers
+// are removed before the request is tunneled so they never reach the
+// internal API. Without keys the proxy refuses to start, unless
+// `auth.allowUnauthenticated` says requests without one are fine.
+const { loadKeys, createKeyCheck, stripKey } = require('../shared/api-keys');
+
+// Requests from clients using this proxy as their HTTP proxy: CONNECT, or an
+// absolute-form URL (`GET http://host/path`) instead of a path
+function isProxyRequest(req) {
+    return req.method === 'CONNECT' || /^[a-z][a-z0-9+.-]*:\/\//i.test(req.url);
+}
+
+function isOriginAllowed(corsConfig, origin) {
+    const origins = corsConfig.origins || [];
+    return origins.includes('*') || origins.includes(origin);
+}
+
+function corsOptions(corsConfig = {}) {
+    return {
+        origin: (origin, callback) => {
+            // Same-origin and non-browser requests carry no Origin header
+            callback(null, !!origin && isOriginAllowed(corsConfig, origin));
+        },
+        credentials: !!corsConfig.credentials
+    };
+}
+
+// Express middleware - browsers send "simple" cross-origin requests without a
+// preflight, so requests from other origins are refused outright
+function createOriginGuard(corsConfig = {}, log) {
+    return (req, res, next) => {
+        const origin = req.headers.origin;
+        if (origin && !isOriginAllowed(corsConfig, origin)) {
+            log('WARN', `Rejected request from disallowed origin`, {
+                origin,
+                method: req.method,
+                path: req.originalUrl
+            });
+            return res.status(403).json({ error: 'Forbidden', message: `Origin ${origin} is not allowed` });
+        }
+        next();
+    };
+}
+
+// Express middleware - rejects callers without a valid key. Throws when no
+// keys are configured and unauthenticated requests weren't allowed.
+function createAuthMiddleware(authConfig, log) {
+    const keyCheck = createKeyCheck(authConfig);
+
+    if (!keyCheck.configured) {
+        if (!authConfig.allowUnauthenticated) {
+            throw new Error('No API keys configured, set auth.keys or PROXY_API_KEYS (or auth.allowUnauthenticated)');
+        }
+        log('WARN', `No API keys configured, the proxy accepts unauthenticated requests`);
+    }
+
+    return (req, res, next) => {
+        if (keyCheck.configured) {
+            const caller = keyCheck.callerOf(req.headers);
+            if (!caller) {
+                log('WARN', `Rejected unauthenticated request`, {
+                    method: req.method,
+                    path: req.originalUrl,
+                    remoteAddress: req.socket.remoteAddress
+                });
+                // Proxy clients only prompt for credentials on a 407
+                if (isProxyRequest(req)) {
+                    return res.status(407)
+                        .set('Proxy-Authenticate', 'Basic realm="local-rest-proxy"')
+                        .json({ error: 'Proxy Authentication Required', message: 'A valid API key is required' });
+                }
+                return res.status(401)
+                    .set('WWW-Authenticate', 'Bearer realm="local-rest-proxy"')
+                    .json({ error: 'Unauthorized', message: 'A valid API key is required' });
+            }
+            req.caller = caller;
+        }
+        stripKey(req.headers);
+        next();
+    };
+}
+
+module.exports = { loadKeys, corsOptions, createOriginGuard, createAuthMiddleware, isProxyRequest };
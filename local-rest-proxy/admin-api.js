@@ -0,0 +1,64 @@
+// admin-api.js - The local proxy's own endpoints under /_admin
+//
+// Everything under /_admin is answered here and never tunneled: metrics in
+// Prometheus format, requests in flight (which can be cancelled), the
+// response cache and what record-and-replay matched. Absolute-form requests
+// for some host's /_admin, made while we act as a forward proxy, pass
+// through to the catch-all as usual. The routes are mounted after
+// authentication, so API keys apply to them.
+const express = require('express');
+const { CONTENT_TYPE } = require('../shared/metrics');
+const { isProxyRequest } = require('./access-control');
+
+function createAdminRouter({ cache, cassette, requests, metrics, log }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => next(isProxyRequest(req) ? 'router' : undefined));
+
+    router.get('/metrics', (req, res) => {
+        res.set('Content-Type', CONTENT_TYPE).send(metrics.render());
+    });
+
+    router.get('/requests', (req, res) => {
+        res.json({ requests: requests.list() });
+    });
+
+    // Cancelling closes the caller's connection; a request still waiting
+    // for its response is cancelled on the RDP side as well
+    router.delete('/requests/:id', (req, res) => {
+        if (!requests.cancel(req.params.id)) {
+            return res.status(404).json({ error: 'Not Found', message: `No request ${req.params.id} in flight` });
+        }
+        log('INFO', `Cancelled request from the admin API`, { requestId: req.params.id, caller: req.caller || null });
+        res.json({ cancelled: req.params.id });
+    });
+
+    // DELETE empties the cache, or with `?path=/prefix` drops the entries
+    // under that prefix
+    router.get('/cache', (req, res) => {
+        res.json(cache.stats());
+    });
+    router.delete('/cache', (req, res) => {
+        const removed = cache.purge(req.query.path);
+        log('INFO', `Purged response cache`, { path: req.query.path || null, removed, caller: req.caller || null });
+        res.json({ removed });
+    });
+
+    // Recordings matched and requests nothing was recorded for; DELETE
+    // starts the list over
+    router.get('/replay', (req, res) => {
+        res.json(cassette.report());
+    });
+    router.delete('/replay', (req, res) => {
+        cassette.reset();
+        res.json(cassette.report());
+    });
+
+    router.use((req, res) => {
+        res.status(404).json({ error: 'Not Found', message: `No admin endpoint ${req.method} ${req.baseUrl}${req.path}` });
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,293 @@
+// cassette.js - Record responses from the tunnel and replay them offline
+//
+// In `record` mode every complete response that comes through the tunnel is
+// saved to `recording.dir` as one JSON file, together with the request it
+// answered. In `replay` mode those files are served instead, without the
+// shared folder or an RDP session: requests are matched on method, path and
+// query, and on the body as well with `matchBody`. Requests nothing was
+// recorded for are sent through the tunnel (`fallback: 'passthrough'`) or
+// answered with 404, and either way listed at /_admin/replay, so a test run
+// can check that it only made requests that were captured.
+//
+// Recordings get checked in and passed around, so what the logger redacts
+// (`logging.redact`) is redacted in them too: sensitive query parameters,
+// fields of JSON and form request bodies, and response headers such as
+// Set-Cookie. Requests are redacted before they are matched, so a replayed
+// request still finds its recording whatever token it carries.
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { withoutHopByHop } = require('../shared/http-headers');
+const { REDACTED, createRedactor } = require('../shared/logger');
+
+const MODES = ['off', 'record', 'replay'];
+const FALLBACKS = ['none', 'passthrough'];
+// Bodies of these types are saved as text, so recordings can be read and edited
+const TEXT_TYPES = /^(text\/|application\/([\w.-]+\+)?(json|xml|javascript|x-www-form-urlencoded))/i;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Query string with its parameters sorted by name, without ignored ones
+function normalizeQuery(query, ignoreParams) {
+    return new URLSearchParams([...new URLSearchParams(query)]
+        .filter(([name]) => !ignoreParams.includes(name))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))).toString();
+}
+
+// JSON with sorted keys, so bodies that only differ in formatting match
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function bodyHash(body, contentType) {
+    if (!body || body.length === 0) {
+        return null;
+    }
+    if (/json/i.test(contentType || '')) {
+        try {
+            return sha256(canonicalJson(JSON.parse(body.toString('utf8'))));
+        } catch (error) {
+            // Not valid JSON after all, compared byte for byte
+        }
+    }
+    return sha256(body);
+}
+
+// A request body with sensitive fields redacted, when it is JSON or a form;
+// anything else is kept as it is
+function redactBody(body, contentType, redact) {
+    if (!body || body.length === 0) {
+        return body;
+    }
+    if (/json/i.test(contentType || '')) {
+        try {
+            return Buffer.from(JSON.stringify(redact(JSON.parse(body.toString('utf8')))));
+        } catch (error) {
+            return body; // Not valid JSON after all
+        }
+    }
+    if (/x-www-form-urlencoded/i.test(contentType || '')) {
+        return Buffer.from(redact(`?${body.toString('utf8')}`).slice(1));
+    }
+    return body;
+}
+
+function encodeBody(body, headers) {
+    if (!body || body.length === 0) {
+        return { body: null };
+    }
+    return TEXT_TYPES.test(headers['content-type'] || '') && !headers['content-encoding']
+        ? { body: body.toString('utf8') }
+        : { body: body.toString('base64'), bodyEncoding: 'base64' };
+}
+
+function decodeBody({ body, bodyEncoding }) {
+    if (body === null || body === undefined) {
+        return null;
+    }
+    return Buffer.from(body, bodyEncoding === 'base64' ? 'base64' : 'utf8');
+}
+
+function createCassette(recordingConfig = {}, log, redactConfig = {}) {
+    const mode = recordingConfig.mode || 'off';
+    const fallback = recordingConfig.fallback || 'none';
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown recording mode "${mode}", expected one of ${MODES.join(', ')}`);
+    }
+    if (!FALLBACKS.includes(fallback)) {
+        throw new Error(`Unknown replay fallback "${fallback}", expected one of ${FALLBACKS.join(', ')}`);
+    }
+    const dir = path.resolve(recordingConfig.dir || './cassettes');
+    const matchBody = !!recordingConfig.matchBody;
+    const ignoreParams = recordingConfig.ignoreParams || [];
+    const redact = createRedactor(redactConfig);
+    const interactions = new Map(); // match key -> recording
+    const unmatched = new Map(); // "METHOD path" -> { method, path, count, firstSeen, lastSeen }
+    const counters = { recorded: 0, matched: 0 };
+
+    // The parts of a request recordings are matched on, redacted
+    function requestOf(req, requestPath, origin) {
+        const url = new URL(requestPath, 'http://cassette');
+        const contentType = req.headers['content-type'] || null;
+        return {
+            method: req.method,
+            origin: origin || null,
+            path: url.pathname,
+            query: redact(url.search).slice(1),
+            contentType,
+            body: Buffer.isBuffer(req.body) && req.body.length > 0 ? redactBody(req.body, contentType, redact) : null
+        };
+    }
+
+    function keyOf(request, withBody) {
+        return JSON.stringify([
+            request.method,
+            request.origin || null,
+            request.path,
+            normalizeQuery(request.query || '', ignoreParams),
+            withBody ? bodyHash(request.body, request.contentType) : null
+        ]);
+    }
+
+    // One file per request; recording the same request again replaces it
+    function fileNameOf(request) {
+        const slug = request.path.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80);
+        return `${request.method}${slug ? `_${slug}` : ''}-${sha256(keyOf(request, true)).slice(0, 12)}.json`;
+    }
+
+    // Read the recordings when replaying. Returns how many there are.
+    async function load() {
+        if (mode === 'record') {
+            log('INFO', `Recording responses`, { dir });
+        }
+        if (mode !== 'replay') {
+            return 0;
+        }
+        const files = await fs.readdir(dir).catch(() => null);
+        if (!files) {
+            log('WARN', `Recording directory not found, every request is unmatched`, { dir });
+            return 0;
+        }
+        const loaded = [];
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            try {
+                const recording = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+                if (!recording.request || !recording.response) {
+                    throw new Error('Missing request or response');
+                }
+                loaded.push(recording);
+            } catch (error) {
+                log('WARN', `Skipping unreadable recording`, { file, error: error.message });
+            }
+        }
+        // Of several recordings that match the same requests, the newest wins
+        loaded
+            .sort((a, b) => (Date.parse(a.recordedAt) || 0) - (Date.parse(b.recordedAt) || 0))
+            .forEach(recording => {
+                const request = { ...recording.request, body: decodeBody(recording.request) };
+                interactions.set(keyOf(request, matchBody), recording);
+            });
+        log('INFO', `Replaying recorded responses`, { dir, recordings: interactions.size, fallback, matchBody });
+        return interactions.size;
+    }
+
+    // The recording for a request, or null after noting it as unmatched
+    function match(req, requestPath, origin) {
+        const recording = interactions.get(keyOf(requestOf(req, requestPath, origin), matchBody));
+        if (recording) {
+            counters.matched++;
+            return recording;
+        }
+        const id = `${req.method} ${origin || ''}${requestPath}`;
+        const now = new Date().toISOString();
+        const entry = unmatched.get(id) || { method: req.method, path: `${origin || ''}${requestPath}`, count: 0, firstSeen: now };
+        entry.count++;
+        entry.lastSeen = now;
+        unmatched.set(id, entry);
+        log('WARN', `No recorded response`, { method: req.method, path: entry.path, fallback });
+        return null;
+    }
+
+    function send(res, recording) {
+        const { response } = recording;
+        res.status(response.statusCode);
+        // Redacted headers only say they were there
+        Object.entries(response.headers || {})
+            .filter(([, value]) => value !== REDACTED)
+            .forEach(([name, value]) => res.setHeader(name, value));
+        res.setHeader('X-Replay', 'HIT');
+        const body = decodeBody(response);
+        res.end(body && body.length > 0 ? body : undefined);
+    }
+
+    function sendMiss(res, method, requestPath) {
+        res.status(404).set('X-Replay', 'MISS').json({
+            error: 'Not Found',
+            message: `No recorded response for ${method} ${requestPath}`
+        });
+    }
+
+    // Save a complete response. `body` is the decoded body; streamed
+    // responses are not recorded.
+    async function record(req, requestPath, origin, response, body) {
+        if (mode !== 'record' || response.stream) {
+            return;
+        }
+        const request = requestOf(req, requestPath, origin);
+        const bytes = Buffer.isBuffer(body) || body === null
+            ? body
+            : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+        const headers = redact(withoutHopByHop(response.headers || {}, ['content-length', 'x-request-id']));
+        const recording = {
+            request: {
+                method: request.method,
+                ...(request.origin ? { origin: request.origin } : {}),
+                path: request.path,
+                query: request.query,
+                contentType: request.contentType,
+                ...encodeBody(request.body, req.headers)
+            },
+            response: {
+                statusCode: response.statusCode || 200,
+                route: response.route || null,
+                headers,
+                ...encodeBody(bytes, headers)
+            },
+            recordedAt: new Date().toISOString()
+        };
+        const file = path.join(dir, fileNameOf(request));
+        try {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(`${file}.tmp`, `${JSON.stringify(recording, null, 2)}\n`);
+            await fs.rename(`${file}.tmp`, file);
+            counters.recorded++;
+            log('DEBUG', `Recorded response`, { file: path.basename(file), statusCode: recording.response.statusCode });
+        } catch (error) {
+            log('WARN', `Could not record response`, { file, error: error.message });
+        }
+    }
+
+    function report() {
+        return {
+            mode,
+            dir,
+            fallback,
+            matchBody,
+            recordings: interactions.size,
+            ...counters,
+            unmatched: [...unmatched.values()]
+        };
+    }
+
+    // Start over, e.g. between test runs
+    function reset() {
+        unmatched.clear();
+        counters.recorded = 0;
+        counters.matched = 0;
+    }
+
+    return {
+        mode,
+        recording: mode === 'record',
+        replaying: mode === 'replay',
+        // Replaying without a fallback never needs the tunnel
+        usesTunnel: mode !== 'replay' || fallback === 'passthrough',
+        load,
+        match,
+        send,
+        sendMiss,
+        record,
+        report,
+        reset
+    };
+}
+
+module.exports = { createCassette };
@@ -0,0 +1,24 @@
+// client-id.js - The namespace a local proxy uses in the shared folder
+//
+// Several local proxies can share one RDP proxy, each one only reads and
+// cleans up its own clients/<clientId> namespace. CLIENT_ID in the
+// environment wins over `client.id`, which defaults to <username>-<hostname>.
+const os = require('os');
+
+function defaultClientId() {
+    let user = 'user';
+    try {
+        user = os.userInfo().username;
+    } catch (error) {
+        // No user info available (e.g. some containers)
+    }
+    return `${user}-${os.hostname()}`;
+}
+
+// Safe to use as a folder name on both machines
+function clientIdOf(clientConfig = {}) {
+    return (process.env.CLIENT_ID || clientConfig.id || defaultClientId())
+        .replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+module.exports = { clientIdOf };
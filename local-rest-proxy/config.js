@@ -1,18 +1,176 @@
 module.exports = {
     // Server configuration
     server: {
-        port: 3000
+        port: 3000,
+        host: '127.0.0.1', // Bind address - use '0.0.0.0' only if other machines must reach the proxy
+        extraPorts: [], // Additional ports, routed by `localPort` in the RDP proxy's route table
+        bodyLimit: '50mb' // Maximum request body size accepted from clients
     },
     
-    // Shared folder configuration
+    // Browser origins allowed to call the proxy (CORS), e.g. 'http://localhost:5173'.
+    // Empty means no cross-origin access; '*' allows any origin.
+    cors: {
+        origins: [],
+        credentials: false
+    },
+    
+    // API keys by name. Callers must send `Proxy-Authorization: Bearer <key>`
+    // or `X-Proxy-Key: <key>`. PROXY_API_KEYS="alice:key1,bob:key2" in the
+    // environment adds more. At least one key is required: without any, the
+    // proxy logs an error and exits unless allowUnauthenticated is set.
+    auth: {
+        keys: {
+            // alice: 'change-me'
+        },
+        allowUnauthenticated: false // Accept requests without a key when no keys are set
+    },
+    
+    // Client identity - each local proxy sharing a folder needs a unique ID.
+    // Defaults to <username>-<hostname>; CLIENT_ID in the environment overrides it.
+    client: {
+        id: null
+    },
+    
+    // Shared folder configuration - SHARED_FOLDER in the environment overrides the path
     sharedFolder: {
-        path: '/Users/user1/Documents/shared-folder/REST_PROXY_DO_NOT_DELETE',
+        path: process.env.SHARED_FOLDER || '/Users/user1/Documents/shared-folder/REST_PROXY_DO_NOT_DELETE',
         requestFolder: 'requests',
         responseFolder: 'responses'
     },
     
-    // Logging configuration
+    // How the tunnel's files are exchanged: 'shared-folder' (the folder above,
+    // e.g. the RDP drive redirection or any local directory) or 'memory' (in
+    // this process, for `rdp2rest start both`)
+    transport: {
+        type: process.env.TRANSPORT || 'shared-folder',
+        name: 'default' // Memory transports with the same name share their files
+    },
+    
+    // File watching configuration
+    watcher: {
+        mode: 'auto',      // 'auto' (fs.watch, falls back to polling), 'watch' or 'poll'
+        minInterval: 50,   // Polling interval right after activity (ms)
+        maxInterval: 1000  // Polling interval after backing off while idle (ms)
+    },
+    
+    // Request deadlines - the remote side skips or aborts work past the deadline
+    request: {
+        timeout: 30000,                   // Default time to wait for a response (ms)
+        maxTimeout: 300000,               // Largest timeout a caller may ask for (ms)
+        timeoutHeader: 'X-Proxy-Timeout'  // Request header to override the timeout (ms), not forwarded
+    },
+    
+    // Shared-folder protocol - each feature is only used once the RDP proxy
+    // advertises it in heartbeat.json
+    tunnel: {
+        compression: null, // 'gzip' or 'br' to compress request and response files
+        compressMin: 1024, // Don't compress request files smaller than this (bytes)
+        batching: {
+            enabled: false,     // Pack requests arriving close together into one file
+            maxRequests: 10,    // Most requests in one batch
+            maxBodySize: 16384, // Requests with larger bodies are always sent on their own (bytes)
+            window: 5           // How long to wait for more requests before writing a batch (ms)
+        }
+    },
+    
+    // Large bodies are sent through the shared folder as chunk files. Uploads
+    // over `threshold` (or of unknown size) are chunked on the way in; large
+    // responses start streaming to the caller before the transfer finishes.
+    streaming: {
+        threshold: 8 * 1024 * 1024, // Chunk request bodies larger than this (bytes)
+        chunkSize: 1024 * 1024      // Size of each chunk file (bytes)
+    },
+    
+    // WebSocket sessions - frames travel as ordered message files. Each side
+    // sends a keepalive when it has been quiet, and gives up on a session
+    // when the other side has sent nothing at all for `idleTimeout`.
+    websocket: {
+        keepAliveInterval: 30000, // Send a keepalive after this long without a message (ms)
+        idleTimeout: 90000        // Close the session after this long without a message (ms)
+    },
+    
+    // TCP forwarding - connections to each local port are relayed to the
+    // target the RDP proxy has configured under the same name (tcp.targets).
+    // Forwards take no API key and listen on 127.0.0.1 unless given a `host`.
+    tcp: {
+        forwards: [
+            // { name: 'postgres', localPort: 15432 },
+            // { name: 'shared-db', localPort: 15433, host: '0.0.0.0' },
+            // { name: 'redis', localPort: 16379 },
+            // { name: 'ssh', localPort: 2222 }
+        ],
+        chunkSize: 64 * 1024,  // Largest chunk file written for a connection (bytes)
+        maxPendingChunks: 16,  // Stop reading from the caller while this many chunks are unread
+        idleTimeout: 600000    // Close connections without traffic in either direction for this long (ms)
+    },
+    
+    // Response cache - GET responses are answered locally while they are fresh
+    // (Cache-Control, Expires, Last-Modified) and revalidated through the tunnel
+    // once stale. A route's `ttl` (ms) replaces the freshness the internal API
+    // gives for paths under `pathPrefix`, e.g. { pathPrefix: '/reference', ttl: 600000 }.
+    cache: {
+        enabled: false,
+        maxSize: 50 * 1024 * 1024,     // Total size of cached responses (bytes)
+        maxEntrySize: 5 * 1024 * 1024, // Larger responses are never cached (bytes)
+        routes: []
+    },
+    
+    // Reverse tunnel - requests made to the RDP proxy's reverse listeners
+    // for this client (reverse.listeners) are forwarded to `target`
+    reverse: {
+        enabled: false,
+        target: 'http://127.0.0.1:8080', // Service on this machine that answers them
+        heartbeatInterval: 5000,         // How often to tell the RDP proxy we're serving (ms)
+        maxInFlight: 10,                 // Requests forwarded to `target` at once, the rest wait their turn
+        maxResponseSize: 50 * 1024 * 1024 // Larger responses from `target` are answered 502 (bytes)
+    },
+    
+    // Remote liveness - rdp-rest-proxy writes heartbeat.json to the shared folder
+    heartbeat: {
+        checkInterval: 2000, // How often to read the heartbeat (ms)
+        staleAfter: 15000    // Treat the remote side as down after this long without a beat (ms)
+    },
+    
+    // Crash recovery and cleanup of the shared folder
+    recovery: {
+        lockStaleAfter: 60000, // Reclaim lock files older than this when the owner can't be checked (ms)
+        gcInterval: 60000,     // How often to run the garbage collector (ms)
+        maxAge: 300000         // Delete request/response files older than this (ms)
+    },
+    
+    // End-to-end encryption of request/response files (AES-256-GCM), cancel
+    // markers and heartbeats. Must match the RDP proxy: same `enabled` flag
+    // and same key.
+    encryption: {
+        enabled: false,
+        key: process.env.TUNNEL_KEY || '', // 64 hex characters, or a passphrase
+        replayWindow: 300000,              // Reject reverse requests older than this (ms)
+        replayFile: './seen-requests.log'  // Request IDs accepted within the window, so a restart can't reopen it (null: memory only)
+    },
+    
+    // Record and replay - `record` saves every complete response from the
+    // tunnel in `dir`, `replay` answers from those files without the shared
+    // folder. RECORDING_MODE in the environment overrides `mode`.
+    recording: {
+        mode: process.env.RECORDING_MODE || 'off', // off, record or replay
+        dir: './cassettes',
+        matchBody: false,  // Replay: requests must also have the recorded body
+        ignoreParams: [],  // Replay: query parameters to ignore, e.g. ['_'] for cache busters
+        fallback: 'none'   // Replay: 'passthrough' sends unmatched requests through the tunnel
+    },
+    
+    // Logging - one JSON line per entry on stdout. LOG_LEVEL in the
+    // environment overrides `level` for a single run.
     logging: {
-        level: 'info'
+        level: 'info', // debug, info, warn or error
+        // Values of these headers, and of these fields (in logged objects and
+        // in query strings), are replaced with [REDACTED]
+        redact: {
+            headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-proxy-key'],
+            fields: ['password', 'secret', 'token', 'access_token', 'refresh_token', 'client_secret', 'api_key']
+        },
+        file: null,                 // Also append to this file, e.g. './logs/local-rest-proxy.log'
+        maxSize: 10 * 1024 * 1024,  // Rotate the file once it reaches this size (bytes)
+        maxFiles: 5                 // Rotated files to keep (.1 is the newest)
     }
 }; 
\ No newline at end of file
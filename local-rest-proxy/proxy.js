@@ -1,223 +1,1056 @@
 // local-rest-proxy.js - Express server that runs on macOS
 const express = require('express');
-const fs = require('fs').promises;
+const http = require('http');
+const net = require('net');
 const path = require('path');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { v4: uuidv4 } = require('uuid');
+const { WebSocketServer } = require('ws');
 const config = require('./config');
+const { watchDirectory } = require('../shared/file-watcher');
+const { reclaimStaleLocks } = require('../shared/file-lock');
+const { collectGarbage } = require('../shared/garbage-collector');
+const { createTransport } = require('../shared/transport');
+const { createExchange } = require('../shared/exchange');
+const { createEnvelopeCipher, openPayload } = require('../shared/envelope-crypto');
+const { PROTOCOL_VERSION, encodeEnvelope, decodeEnvelope } = require('../shared/envelope-codec');
+const {
+    chunkSealing, streamIdOf, writeChunks, followChunks, removeChunks
+} = require('../shared/chunk-stream');
+const {
+    sessionIdOf, messageSealing, createMessageWriter, createMessageReader, bridgeSocket, removeMessages
+} = require('../shared/socket-session');
+const { relayConnection } = require('../shared/tcp-relay');
+const { withoutHopByHop, addForwardedHeaders } = require('../shared/http-headers');
+const { corsOptions, createOriginGuard, createAuthMiddleware, isProxyRequest } = require('./access-control');
+const { createReverseTunnel } = require('./reverse-tunnel');
+const { clientIdOf } = require('./client-id');
+const { createResponseCache } = require('./response-cache');
+const { createCassette } = require('./cassette');
+const { createAdminRouter } = require('./admin-api');
+const { createRegistry } = require('../shared/metrics');
+const { createRequestRegistry } = require('../shared/request-registry');
+const { createLogger, withRequestContext } = require('../shared/logger');
 
 const app = express();
-app.use(cors());
-app.use(bodyParser.json({
-    strict: false // Allow non-object values like null
-}));
-app.use(express.json());
+
+// One JSON line per entry, see shared/logger.js
+const log = createLogger(config.logging, 'local-rest-proxy');
+
+// Client ID - several local proxies can share one RDP proxy, each one only
+// reads and cleans up its own clients/<clientId> namespace
+const CLIENT_ID = clientIdOf(config.client);
 
 // Path to the shared folder
 const SHARED_FOLDER_PATH = config.sharedFolder.path;
-const REQUESTS_DIR = path.join(SHARED_FOLDER_PATH, 'requests');
-const RESPONSES_DIR = path.join(SHARED_FOLDER_PATH, 'responses');
-
-// Logging configuration
-const LOG_LEVELS = {
-    DEBUG: 0,
-    INFO: 1,
-    WARN: 2,
-    ERROR: 3
+const transport = createTransport(config.transport, SHARED_FOLDER_PATH); // Where the shared folder's files live
+const CLIENT_DIR = path.join(SHARED_FOLDER_PATH, 'clients', CLIENT_ID);
+const REQUESTS_DIR = path.join(CLIENT_DIR, 'requests');
+const RESPONSES_DIR = path.join(CLIENT_DIR, 'responses');
+const REQUEST_TIMEOUT = config.request.timeout; // Default time to wait for the remote side
+const MAX_REQUEST_TIMEOUT = config.request.maxTimeout; // Upper bound for the timeout header
+const TIMEOUT_HEADER = config.request.timeoutHeader.toLowerCase(); // Per-request timeout override (ms)
+const PROGRESS_LOG_INTERVAL = 2500; // Log a "still waiting" message this often
+const RETRY_DELAY = 50; // Re-check delay when the response file is busy
+
+const HEARTBEAT_FILE = path.join(SHARED_FOLDER_PATH, 'heartbeat.json');
+const HEARTBEAT_CHECK_INTERVAL = config.heartbeat.checkInterval; // How often to read heartbeat.json
+const HEARTBEAT_STALE_AFTER = config.heartbeat.staleAfter; // Remote is down after this long without a beat
+
+// Envelope encryption - must match the RDP proxy's encryption settings
+const envelopeCipher = config.encryption.enabled ? createEnvelopeCipher(config.encryption.key) : null;
+
+// Protocol features we'd like to use - each one only once the RDP proxy
+// advertises it in its heartbeat
+const TUNNEL = config.tunnel;
+let protocol = {
+    version: 1, compression: null, batching: false, streaming: false, websocket: false, tcp: false, forwardProxy: false
+};
+const STREAMING = config.streaming; // Large bodies travel as chunk files
+const WEBSOCKET = config.websocket; // WebSocket sessions relayed as message files
+const TCP = config.tcp; // Forwarded TCP connections relayed as chunk files
+const REVERSE = config.reverse; // Requests from the RDP proxy's reverse listeners
+
+// Completes WebSocket handshakes once the RDP proxy has connected upstream,
+// agreeing on the subprotocol the internal service picked
+const webSocketServer = new WebSocketServer({
+    noServer: true,
+    handleProtocols: (protocols, req) => req.websocketProtocol || false
+});
+webSocketServer.on('headers', (headers, req) => headers.push(`X-Request-Id: ${req.id}`));
+
+// Batching - small requests arriving close together share one request file
+// and are answered with one combined response file
+const pendingBatch = { items: [], timer: null };
+const batches = new Map(); // batchId -> Set of request IDs not finished with the batch file
+
+// Watches the responses folder and wakes up requests waiting for a .done file
+let responseWatcher = null;
+
+// Serves clients/<clientId>/reverse when the reverse tunnel is enabled
+let reverseTunnel = null;
+
+// Answers repeated GETs locally while the internal API says they are fresh
+const cache = createResponseCache(config.cache, log);
+
+// Records responses from the tunnel, or replays them without it
+const cassette = createCassette(config.recording, log, config.logging.redact);
+
+// Requests, WebSocket sessions and connections in flight, for /_admin/requests
+const requests = createRequestRegistry();
+
+// Metrics for /_admin/metrics
+const metrics = createRegistry();
+const requestCounter = metrics.counter('rdp2rest_requests_total', 'Requests answered, by method, route and status');
+const requestDuration = metrics.histogram('rdp2rest_request_duration_seconds',
+    'Time waiting on the shared folder and the RDP proxy (file_wait) and on the internal API (upstream)');
+const timeoutCounter = metrics.counter('rdp2rest_timeouts_total', 'Requests the RDP proxy did not answer in time');
+metrics.gauge('rdp2rest_requests_in_flight', 'Requests, WebSocket sessions and connections in flight', () => requests.count());
+metrics.gauge('rdp2rest_remote_up', 'Whether the RDP proxy heartbeat is current', () => (isRemoteAlive() ? 1 : 0));
+metrics.gauge('rdp2rest_remote_queue_depth', 'Requests queued at the RDP proxy, from its heartbeat',
+    () => (remote.heartbeat && remote.heartbeat.queueDepth) || 0);
+metrics.gauge('rdp2rest_tunnel_latency_seconds', 'Average round trip of the heartbeat through the shared folder',
+    () => (remote.averageLatency || 0) / 1000);
+metrics.counter('rdp2rest_cache_hits_total', 'Requests answered from the response cache', () => cache.stats().hits);
+
+// Remote side liveness, tracked with the local clock to avoid clock skew
+const remote = {
+    heartbeat: null,
+    lastSeen: null,
+    lastLatency: null,
+    averageLatency: null
+};
+
+// Body encoding - bodies travel through the shared folder as base64
+function encodeBody(body, headers = {}) {
+    if (!Buffer.isBuffer(body) || body.length === 0) {
+        return { body: null, bodyEncoding: null };
+    }
+    return {
+        body: body.toString('base64'),
+        bodyEncoding: 'base64',
+        contentType: headers['content-type'] || null,
+        contentEncoding: headers['content-encoding'] || null
+    };
+}
+
+function decodeBody(envelope) {
+    if (envelope.body === null || envelope.body === undefined) {
+        return null;
+    }
+    if (envelope.bodyEncoding === 'base64') {
+        return Buffer.from(envelope.body, 'base64');
+    }
+    // Legacy envelopes carry the decoded body (e.g. error responses)
+    return envelope.body;
+}
+
+// Lock options - reclaim locks whose owner crashed or was restarted
+const LOCK_OPTIONS = {
+    staleAfter: config.recovery.lockStaleAfter,
+    // A remote lock belongs to a dead process when the heartbeat shows a new PID
+    isOwnerGone: (lock) => !!remote.heartbeat &&
+        lock.host === remote.heartbeat.host &&
+        lock.pid !== remote.heartbeat.pid &&
+        isRemoteAlive(),
+    onReclaim: (lockPath, lock) => log('WARN', `Reclaimed stale lock`, { lockPath, owner: lock }),
+    transport
 };
 
-const LOG_LEVEL = process.env.LOG_LEVEL || 'INFO';
-const LOG_LEVEL_NUM = LOG_LEVELS[LOG_LEVEL];
+// Request and response files in our namespace
+const exchange = createExchange(transport, {
+    requestsDir: REQUESTS_DIR,
+    responsesDir: RESPONSES_DIR,
+    lockOptions: LOCK_OPTIONS
+});
+
+// Read the heartbeat written by rdp-rest-proxy
+async function readHeartbeat() {
+    try {
+        // Sealed like envelopes, so a forged file can't fake a live remote
+        const heartbeat = openPayload(envelopeCipher, JSON.parse(await transport.readFile(HEARTBEAT_FILE, 'utf8')), 'heartbeat');
+        const previous = remote.heartbeat;
+        if (!previous) {
+            // First read - trust the remote timestamp, but never a future one
+            remote.lastSeen = Math.min(heartbeat.timestamp, Date.now());
+        } else if (heartbeat.seq !== previous.seq || heartbeat.pid !== previous.pid) {
+            remote.lastSeen = Date.now();
+        }
+        remote.heartbeat = heartbeat;
+        negotiateProtocol(heartbeat);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log('DEBUG', `Could not read heartbeat`, { error: error.message });
+        }
+    }
+}
 
-function log(level, message, data = {}) {
-    if (LOG_LEVELS[level] >= LOG_LEVEL_NUM) {
-        const timestamp = new Date().toISOString();
-        const logMessage = `[${timestamp}] [${level}] ${message}`;
-        console.log(logMessage);
-        if (Object.keys(data).length > 0) {
-            console.log('Data:', JSON.stringify(data, null, 2));
+// Use what both sides support, protocol 1 (plain JSON files) for older RDP proxies
+function negotiateProtocol(heartbeat) {
+    const offered = heartbeat.protocol || { version: 1 };
+    const negotiated = offered.version >= 2
+        ? {
+            version: Math.min(offered.version, PROTOCOL_VERSION),
+            compression: (offered.compression || []).includes(TUNNEL.compression) ? TUNNEL.compression : null,
+            batching: !!TUNNEL.batching.enabled && !!offered.batching,
+            streaming: !!offered.streaming,
+            websocket: !!offered.websocket,
+            tcp: !!offered.tcp,
+            forwardProxy: !!offered.forwardProxy
         }
+        : { version: 1, compression: null, batching: false, streaming: false, websocket: false, tcp: false, forwardProxy: false };
+    
+    if (JSON.stringify(negotiated) !== JSON.stringify(protocol)) {
+        protocol = negotiated;
+        log('INFO', `Negotiated tunnel protocol`, protocol);
     }
 }
 
-// File locking mechanism
-async function lockFile(filePath) {
+function isRemoteAlive() {
+    return remote.lastSeen !== null && Date.now() - remote.lastSeen <= HEARTBEAT_STALE_AFTER;
+}
+
+// Track tunnel round-trip time (file wait, excluding time spent upstream)
+function recordLatency(latency) {
+    remote.lastSeen = Date.now();
+    remote.lastLatency = latency;
+    remote.averageLatency = remote.averageLatency === null
+        ? latency
+        : Math.round(remote.averageLatency * 0.8 + latency * 0.2);
+}
+
+// Seal an envelope when encryption is enabled, tied to this client and request
+function sealEnvelope(kind, requestId, payload) {
+    return envelopeCipher
+        ? envelopeCipher.seal(payload, `${kind}:${CLIENT_ID}:${requestId}`)
+        : payload;
+}
+
+// Write a request file, compressed when that was negotiated
+async function writeRequestFile(name, envelope) {
+    await exchange.writeRequest(name, await encodeEnvelope(envelope, {
+        compression: protocol.compression,
+        minSize: TUNNEL.compressMin
+    }));
+}
+
+// Queue a request for the next batch; resolves with the batch ID, or null
+// when it ended up being sent on its own
+function enqueueBatched(requestData) {
+    return new Promise((resolve, reject) => {
+        pendingBatch.items.push({ requestData, resolve, reject });
+        if (pendingBatch.items.length >= TUNNEL.batching.maxRequests) {
+            flushBatch();
+        } else if (!pendingBatch.timer) {
+            pendingBatch.timer = setTimeout(flushBatch, TUNNEL.batching.window);
+        }
+    });
+}
+
+async function flushBatch() {
+    clearTimeout(pendingBatch.timer);
+    const items = pendingBatch.items;
+    pendingBatch.items = [];
+    pendingBatch.timer = null;
+    
     try {
-        const lockFile = `${filePath}.lock`;
-        // Ensure parent directory exists
-        await fs.mkdir(path.dirname(lockFile), { recursive: true });
+        if (items.length === 1) {
+            const { requestData } = items[0];
+            await writeRequestFile(requestData.id, sealEnvelope('request', requestData.id, requestData));
+            items[0].resolve(null);
+            return;
+        }
         
-        // Try to create lock file
-        await fs.writeFile(lockFile, process.pid.toString(), { flag: 'wx' });
-        return true;
+        const batchId = `batch-${uuidv4()}`;
+        batches.set(batchId, new Set(items.map(item => item.requestData.id)));
+        await writeRequestFile(batchId, {
+            protocol: PROTOCOL_VERSION,
+            id: batchId,
+            accept: protocol.compression ? [protocol.compression] : [],
+            batch: items.map(({ requestData }) => ({
+                id: requestData.id,
+                envelope: sealEnvelope('request', requestData.id, requestData)
+            })),
+            timestamp: Date.now(),
+            status: 'pending'
+        });
+        log('DEBUG', `Batch saved to file`, { batchId, requests: items.length });
+        items.forEach(item => item.resolve(batchId));
     } catch (error) {
-        if (error.code === 'EEXIST') {
-            // Lock file already exists
-            return false;
+        items.forEach(item => item.reject(error));
+    }
+}
+
+// Write a request to the shared folder, batched with others when that was
+// negotiated and the body is small. Resolves with the batch ID or null.
+async function submitRequest(requestData, bodySize) {
+    if (protocol.batching && bodySize <= TUNNEL.batching.maxBodySize) {
+        return enqueueBatched(requestData);
+    }
+    await writeRequestFile(requestData.id, sealEnvelope('request', requestData.id, requestData));
+    return null;
+}
+
+// Read a finished response file. Returns { state } where state is 'ready'
+// (with the envelope), 'pending' while there is no .done file yet, or 'busy'
+// when the file is locked or can't be parsed yet.
+async function readResponseFile(name) {
+    const result = await exchange.readResponse(name);
+    if (result.state !== 'ready') {
+        log('DEBUG', `Response not ready yet`, { name, state: result.state });
+        return result;
+    }
+    
+    log('DEBUG', `Read response file`, { name, size: result.content.length });
+    try {
+        const { envelope } = await decodeEnvelope(result.content);
+        return { state: 'ready', envelope };
+    } catch (parseError) {
+        log('ERROR', `Failed to parse response`, { name, error: parseError.message });
+        return { state: 'busy' };
+    }
+}
+
+// Authenticate and decrypt a response, throws when it can't be trusted
+function openResponse(envelope, requestId) {
+    return envelopeCipher
+        ? envelopeCipher.open(envelope, `response:${CLIENT_ID}:${requestId}`)
+        : envelope;
+}
+
+// Timeout for one request: the override header if valid, else the default
+function requestTimeout(req) {
+    const override = parseInt(req.headers[TIMEOUT_HEADER], 10);
+    if (Number.isFinite(override) && override > 0) {
+        return Math.min(override, MAX_REQUEST_TIMEOUT);
+    }
+    return REQUEST_TIMEOUT;
+}
+
+// Remove a request's files. Batch files are kept until every request in the
+// batch is finished with them. `withChunks` also removes body chunk files.
+async function releaseFiles(requestId, batchId, withChunks = true) {
+    if (withChunks) {
+        await Promise.all([
+            removeChunks(REQUESTS_DIR, requestId, transport),
+            removeChunks(RESPONSES_DIR, requestId, transport)
+        ]);
+    }
+    await exchange.release(requestId);
+    const pending = batchId && batches.get(batchId);
+    if (pending) {
+        pending.delete(requestId);
+        if (pending.size === 0) {
+            batches.delete(batchId);
+            await exchange.release(batchId);
         }
-        // Create parent dirs if they don't exist and retry once
-        if (error.code === 'ENOENT') {
-            try {
-                await fs.mkdir(path.dirname(lockFile), { recursive: true });
-                await fs.writeFile(lockFile, process.pid.toString(), { flag: 'wx' });
-                return true;
-            } catch (retryError) {
-                return false;
+    }
+}
+
+// Large uploads (or ones of unknown size) are written as chunk files instead
+// of being buffered, once the RDP proxy supports it
+function isStreamedUpload(req) {
+    if (!protocol.streaming) {
+        return false;
+    }
+    const length = req.headers['content-length'];
+    if (length === undefined) {
+        return !!req.headers['transfer-encoding'];
+    }
+    return Number(length) > STREAMING.threshold;
+}
+
+// Send a response body the RDP proxy writes as chunk files, chunk by chunk
+// as they come in. Each chunk is removed once sent so the remote side can
+// write more. Resolves with true once the whole body is sent, false when the
+// caller went away first, and fails when no chunk arrives for `idleTimeout` ms.
+// Live streams (`idleTimeout` null) may stay quiet for as long as the remote
+// side is alive.
+function streamResponseBody(requestId, res, idleTimeout, isClientGone) {
+    return followChunks(RESPONSES_DIR, requestId, {
+        transport,
+        ...chunkSealing(envelopeCipher, `response-body:${CLIENT_ID}:${requestId}`),
+        onChunk: async (chunk) => {
+            if (!res.write(chunk)) {
+                await new Promise(resolve => {
+                    res.once('drain', resolve);
+                    res.once('close', resolve);
+                });
+            }
+        },
+        wait: (ms) => responseWatcher.waitFor(`${requestId}.stream`, ms),
+        stopped: isClientGone,
+        isWriterAlive: idleTimeout === null ? isRemoteAlive : null,
+        idleTimeout
+    });
+}
+
+// Wait for the response to a request, batched or not, until `deadline` or
+// until `isGone()` says nobody is waiting any more. Resolves with
+// { response } when it arrived, with `rejectedReason` set when it failed
+// authentication.
+async function waitForResponse(requestId, deadline, isGone) {
+    let response = null;
+    let attempts = 0;
+    const startTime = Date.now();
+    
+    let rejectedReason = null; // Set when the response fails authentication
+    while (!isGone() && Date.now() < deadline) {
+        const remaining = deadline - Date.now();
+        // Listen for the .done marker before looking, so a response written
+        // while we look wakes us up instead of waiting for the next poll
+        const notification = responseWatcher.waitFor(
+            `${requestId}.json.done`,
+            Math.max(0, Math.min(remaining, PROGRESS_LOG_INTERVAL))
+        );
+        // Set when the response exists but can't be read yet
+        let busy = false;
+        try {
+            const result = await readResponseFile(requestId);
+            
+            if (result.state === 'busy') {
+                busy = true;
+            } else if (result.state === 'ready') {
+                try {
+                    response = openResponse(result.envelope, requestId);
+                } catch (authError) {
+                    log('ERROR', `Rejected response envelope`, {
+                        requestId,
+                        reason: authError.message
+                    });
+                    rejectedReason = authError.message;
+                }
+                
+                if (response) {
+                    const elapsedTime = Date.now() - startTime;
+                    recordLatency(Math.max(0, elapsedTime - (response.upstreamTime || 0)));
+                    log('INFO', `Response found`, { 
+                        requestId, 
+                        statusCode: response.statusCode,
+                        elapsedTime,
+                        attempts
+                    });
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log('ERROR', `Error checking for response`, { 
+                    requestId, 
+                    error: error.message,
+                    attempts
+                });
             }
         }
-        return false;
+        
+        if (response || rejectedReason) {
+            notification.cancel();
+            break;
+        }
+        attempts++;
+        if (busy) {
+            notification.cancel();
+            await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+            continue;
+        }
+        const notified = await notification;
+        if (!notified && remaining > PROGRESS_LOG_INTERVAL) {
+            const elapsedTime = Date.now() - startTime;
+            log('INFO', `Still waiting for response`, { 
+                requestId, 
+                attempts,
+                elapsedTime
+            });
+        }
     }
+    
+    return { response, rejectedReason, attempts };
 }
 
-async function unlockFile(filePath) {
+// Tell the remote side to drop a request the caller no longer waits for
+async function cancelRequest(requestId, batchId, reason) {
     try {
-        const lockFile = `${filePath}.lock`;
-        await fs.unlink(lockFile);
-        return true;
+        await exchange.cancel(requestId, JSON.stringify(sealEnvelope('cancel', requestId, {
+            id: requestId,
+            reason,
+            timestamp: Date.now()
+        })));
+        await releaseFiles(requestId, batchId);
+        log('INFO', `Request cancelled`, { requestId, reason });
     } catch (error) {
-        // If lock file doesn't exist, that's fine
-        if (error.code === 'ENOENT') {
-            return true;
+        log('ERROR', `Error cancelling request`, { requestId, error: error.message });
+    }
+}
+
+// WebSocket upgrades and CONNECT requests go through the same middleware
+// (origin check, API keys) as plain requests, with a response object writing
+// straight to the socket. Anything but an accepted upgrade or an opened
+// tunnel ends the connection.
+function serveOnSocket(req, socket) {
+    // The HTTP server no longer handles errors of a socket it handed over
+    socket.on('error', (error) => {
+        log('DEBUG', `Connection error`, { method: req.method, url: req.url, error: error.message });
+    });
+    const res = new http.ServerResponse(req);
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+    res.on('finish', () => socket.end());
+    app(req, res);
+}
+
+function handleUpgrade(req, socket, head) {
+    req.upgradeHead = head;
+    serveOnSocket(req, socket);
+}
+
+function handleConnect(req, socket, head) {
+    req.connectHead = head;
+    // Express can't route a `host:port` target, it is kept in originalUrl
+    req.originalUrl = req.url;
+    req.url = '/';
+    serveOnSocket(req, socket);
+}
+
+// Origin and origin-form path of an absolute-form request, so the RDP proxy
+// can connect to that host; null for ordinary requests
+function proxyTargetOf(req) {
+    if (req.method === 'CONNECT' || !isProxyRequest(req)) {
+        return null;
+    }
+    try {
+        const url = new URL(req.originalUrl);
+        return { origin: url.origin, path: `${url.pathname}${url.search}` };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Replay the internal API's response headers as they are. res.set() would
+// add a charset to Content-Type; list values such as Set-Cookie go out as
+// one header line each.
+// The caller gets our X-Request-Id, not one the internal API set
+function setResponseHeaders(res, headers) {
+    Object.entries(withoutHopByHop(headers, ['x-request-id'])).forEach(([name, value]) => res.setHeader(name, value));
+}
+
+function isWebSocketUpgrade(req) {
+    return req.upgradeHead !== undefined;
+}
+
+// Complete the caller's handshake once the RDP proxy is connected upstream
+function acceptWebSocket(req, res, requestId, response) {
+    res.detachSocket(req.socket);
+    req.websocketProtocol = response.websocket.protocol;
+    webSocketServer.handleUpgrade(req, req.socket, req.upgradeHead, (socket) => {
+        runSession(requestId, socket, req.originalUrl);
+    });
+}
+
+// Relay frames between the caller's WebSocket and the RDP proxy until
+// either end closes the session
+async function runSession(requestId, socket, sessionPath) {
+    log('INFO', `WebSocket session opened`, { requestId });
+    const tracked = requests.track(requestId, { kind: 'websocket', path: sessionPath, state: 'open' },
+        () => socket.close(1001, 'Cancelled'));
+    const { code, reason, by } = await bridgeSocket(socket, {
+        reader: createMessageReader({
+            dir: RESPONSES_DIR,
+            id: requestId,
+            watcher: responseWatcher,
+            idleTimeout: WEBSOCKET.idleTimeout,
+            transport,
+            ...messageSealing(envelopeCipher, `ws-down:${CLIENT_ID}:${requestId}`)
+        }),
+        writer: createMessageWriter({
+            dir: REQUESTS_DIR,
+            id: requestId,
+            transport,
+            ...messageSealing(envelopeCipher, `ws-up:${CLIENT_ID}:${requestId}`)
+        }),
+        keepAliveInterval: WEBSOCKET.keepAliveInterval,
+        onError: (error) => log('WARN', `WebSocket session error`, { requestId, error: error.message })
+    });
+    log('INFO', `WebSocket session closed`, {
+        requestId,
+        code,
+        reason,
+        closedBy: by === 'peer' ? 'remote' : 'client'
+    });
+    tracked.done();
+    await removeMessages(RESPONSES_DIR, requestId, transport);
+}
+
+// Ask the RDP proxy to open a connection - to a `tcp.targets` entry (`tcp`)
+// or a CONNECT target (`connect`) - and wait until it did. Resolves with the
+// request ID (a new one unless `requestId` is given) once the connection is
+// open, null when it failed. `refuse`, if given, is called with the RDP
+// proxy's response when it refused.
+async function openConnection(socket, { tcp, connect, localPort, caller, requestId = uuidv4() }, refuse) {
+    const name = tcp || connect;
+    let batchId = null;
+    let clientGone = false;
+    socket.once('close', () => {
+        clientGone = true;
+        responseWatcher.wake(`${requestId}.json.done`);
+    });
+    
+    batchId = await submitRequest({
+        id: requestId,
+        clientId: CLIENT_ID,
+        caller: caller || null,
+        method: 'CONNECT',
+        path: name,
+        headers: {},
+        timeout: REQUEST_TIMEOUT,
+        localPort,
+        body: null,
+        bodyEncoding: null,
+        accept: protocol.compression ? [protocol.compression] : [],
+        tcp: tcp || null, // Connect to this `tcp.targets` entry of the RDP proxy
+        connect: connect || null, // Connect to this host:port (forward-proxy mode)
+        timestamp: Date.now(),
+        status: 'pending'
+    }, 0);
+    
+    const { response } = await waitForResponse(requestId, Date.now() + REQUEST_TIMEOUT, () => clientGone);
+    if (!response || !response.tcp) {
+        if (response) {
+            const body = decodeBody(response);
+            log('WARN', `Could not open forwarded connection`, {
+                requestId,
+                forward: name,
+                statusCode: response.statusCode,
+                message: body && body.message ? body.message : String(body)
+            });
+            await releaseFiles(requestId, batchId);
+            if (refuse) {
+                refuse(response);
+            }
+        } else {
+            await cancelRequest(requestId, batchId, clientGone ? 'client disconnected' : 'timeout');
         }
-        return false;
+        return null;
     }
+    await releaseFiles(requestId, batchId, false);
+    log('INFO', `Forwarded connection opened`, { requestId, forward: name });
+    return requestId;
 }
 
-// Initialize directories
-async function initializeDirs() {
+// Relay an opened connection until both directions are finished
+async function relayOpenConnection(requestId, socket, name) {
+    const tracked = requests.track(requestId, { kind: 'connection', path: name, state: 'open' }, () => socket.destroy());
+    const result = await relayConnection(socket, {
+        id: requestId,
+        outgoing: {
+            dir: REQUESTS_DIR,
+            ...chunkSealing(envelopeCipher, `tcp-up:${CLIENT_ID}:${requestId}`)
+        },
+        incoming: {
+            dir: RESPONSES_DIR,
+            ...chunkSealing(envelopeCipher, `tcp-down:${CLIENT_ID}:${requestId}`)
+        },
+        chunkSize: TCP.chunkSize,
+        window: TCP.maxPendingChunks,
+        idleTimeout: TCP.idleTimeout,
+        wait: (ms) => responseWatcher.waitFor(`${requestId}.stream`, ms),
+        isPeerAlive: isRemoteAlive,
+        transport
+    });
+    tracked.done();
+    log('INFO', `Forwarded connection closed`, { requestId, forward: name, ...result });
+}
+
+// Open a forwarded TCP connection through the RDP proxy, which connects to
+// the target it has configured for `forward.name`, then relay it until both
+// directions are finished
+async function forwardConnection(forward, socket) {
+    socket.on('error', (error) => {
+        log('DEBUG', `Forwarded connection error`, { forward: forward.name, error: error.message });
+    });
+    
+    if (!isRemoteAlive() || !protocol.tcp) {
+        log('WARN', `Refusing forwarded connection`, {
+            forward: forward.name,
+            reason: isRemoteAlive() ? 'The remote proxy does not support TCP forwarding' : 'Remote proxy is down'
+        });
+        socket.destroy();
+        return;
+    }
+    
     try {
-        // Delete existing directories if they exist
-        await fs.rm(REQUESTS_DIR, { recursive: true, force: true }).catch(() => {});
-        await fs.rm(RESPONSES_DIR, { recursive: true, force: true }).catch(() => {});
+        const requestId = await openConnection(socket, { tcp: forward.name, localPort: forward.localPort });
+        if (!requestId) {
+            socket.destroy();
+            return;
+        }
+        await relayOpenConnection(requestId, socket, forward.name);
+    } catch (error) {
+        log('ERROR', `Error forwarding connection`, { forward: forward.name, error: error.message });
+        socket.destroy();
+    }
+}
+
+// CONNECT host:port - the RDP proxy connects to the host if it is on its
+// forward-proxy allowlist, then the caller's socket becomes a tunnel relayed
+// like a TCP forward
+async function handleConnectTunnel(req, res) {
+    const socket = req.socket;
+    const authority = req.originalUrl;
+    try {
+        const requestId = await openConnection(socket, {
+            connect: authority,
+            localPort: socket.localPort,
+            caller: req.caller,
+            requestId: req.id
+        }, (response) => {
+            const body = decodeBody(response);
+            res.status(response.statusCode || 502);
+            setResponseHeaders(res, response.headers);
+            res.end(Buffer.isBuffer(body) ? body : JSON.stringify(body));
+        });
+        if (!requestId) {
+            if (!res.headersSent) {
+                res.destroy();
+            }
+            return;
+        }
         
-        // Create new directories
-        await fs.mkdir(REQUESTS_DIR, { recursive: true });
-        await fs.mkdir(RESPONSES_DIR, { recursive: true });
-        console.log(`Created directories: ${REQUESTS_DIR}, ${RESPONSES_DIR}`);
+        res.detachSocket(socket);
+        socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        if (req.connectHead && req.connectHead.length > 0) {
+            socket.unshift(req.connectHead);
+        }
+        await relayOpenConnection(requestId, socket, authority);
     } catch (error) {
-        console.error('Error initializing directories:', error);
+        log('ERROR', `Error opening tunnel`, { authority, error: error.message });
+        socket.destroy();
+    }
+}
+
+// Initialize directories - existing files are kept so a restart doesn't
+// destroy work that is in flight on the remote side
+async function initializeDirs() {
+    try {
+        await transport.mkdir(REQUESTS_DIR, { recursive: true });
+        await transport.mkdir(RESPONSES_DIR, { recursive: true });
+        log('INFO', `Using directories`, { requests: REQUESTS_DIR, responses: RESPONSES_DIR });
+    } catch (error) {
+        log('ERROR', `Error initializing directories`, { error: error.message });
         process.exit(1);
     }
 }
 
-// Catch all requests
-app.all('*', async (req, res) => {
-    const requestId = uuidv4();
-    const requestPath = req.originalUrl;
+// Recover after a crash: reclaim locks left behind by dead processes
+async function recoverSharedFolder() {
+    const reclaimed = (await reclaimStaleLocks(REQUESTS_DIR, LOCK_OPTIONS)) +
+        (await reclaimStaleLocks(RESPONSES_DIR, LOCK_OPTIONS));
+    log('INFO', `Recovery complete`, { reclaimedLocks: reclaimed });
+}
+
+// Expire request/response files whose caller is long gone
+async function runGarbageCollector() {
+    try {
+        const dirs = [REQUESTS_DIR, RESPONSES_DIR];
+        if (reverseTunnel) {
+            dirs.push(reverseTunnel.requestsDir, reverseTunnel.responsesDir);
+        }
+        const result = await collectGarbage(dirs, {
+            maxAge: config.recovery.maxAge,
+            lockOptions: LOCK_OPTIONS,
+            transport
+        });
+        if (result.removed > 0 || result.reclaimedLocks > 0) {
+            log('INFO', `Garbage collected shared folder`, result);
+        }
+    } catch (error) {
+        log('ERROR', `Error collecting garbage`, { error: error.message });
+    }
+}
+
+// Only allowlisted browser origins, and only callers with a valid API key.
+// Every request gets an ID. It is returned in X-Request-Id, sent on to the
+// internal API (unless the caller sent an X-Request-Id of its own) and added
+// to each line logged for the request on both sides.
+function inRequestContext(req, fn) {
+    return withRequestContext({ requestId: req.id, callerRequestId: req.headers['x-request-id'] }, fn);
+}
+app.use((req, res, next) => {
+    req.id = uuidv4();
+    res.setHeader('X-Request-Id', req.id);
+    inRequestContext(req, next);
+});
+
+// Exits when no API key is configured (see `auth` in config.js)
+function authMiddleware() {
+    try {
+        return createAuthMiddleware(config.auth, log);
+    } catch (error) {
+        log('ERROR', `Not starting: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Authentication runs before the body is read, so rejected callers never
+// get anything written to the shared folder.
+app.use(cors(corsOptions(config.cors)));
+app.use(createOriginGuard(config.cors, log));
+app.use(authMiddleware());
+
+// CONNECT requests become tunnels instead of being read as requests
+app.use((req, res, next) => {
+    if (req.method !== 'CONNECT') {
+        return next();
+    }
+    if (!isRemoteAlive() || !protocol.forwardProxy) {
+        return res.status(isRemoteAlive() ? 501 : 503).json({
+            error: isRemoteAlive() ? 'Not Implemented' : 'Service Unavailable',
+            message: isRemoteAlive()
+                ? 'The remote proxy does not accept forward-proxy requests'
+                : 'Remote proxy is down'
+        });
+    }
+    handleConnectTunnel(req, res);
+});
+
+// Capture every body as raw bytes so binary, form and multipart payloads
+// survive the trip through the shared folder unchanged
+app.use(bodyParser.raw({
+    type: (req) => !isStreamedUpload(req), // Streamed uploads are read by the handler
+
+    limit: config.server.bodyLimit || '50mb',
+    inflate: false // Keep compressed bodies as-is, Content-Encoding is forwarded
+}));
+
+// Health check endpoint - registered before the catch-all so it isn't tunneled
+app.get('/health', (req, res, next) => {
+    // http://some-host/health asked of us as a forward proxy
+    if (isProxyRequest(req)) {
+        return next();
+    }
+    const heartbeat = remote.heartbeat;
+    const alive = isRemoteAlive();
+    res.status(alive ? 200 : 503).json({
+        status: alive ? 'ok' : 'unavailable',
+        remote: {
+            status: alive ? 'up' : (heartbeat ? 'down' : 'unknown'),
+            lastSeen: remote.lastSeen ? new Date(remote.lastSeen).toISOString() : null,
+            lastSeenAgo: remote.lastSeen ? Date.now() - remote.lastSeen : null,
+            version: heartbeat ? heartbeat.version : null,
+            uptime: heartbeat ? heartbeat.uptime : null,
+            queueDepth: heartbeat ? heartbeat.queueDepth : null,
+            targets: heartbeat ? heartbeat.targets : [],
+            // Counters the RDP proxy keeps for this client
+            client: heartbeat && heartbeat.clients ? heartbeat.clients[CLIENT_ID] || null : null
+        },
+        clientId: CLIENT_ID,
+        tunnel: {
+            lastLatency: remote.lastLatency,
+            averageLatency: remote.averageLatency
+        }
+    });
+});
+
+// Metrics, requests in flight and the response cache. Every /_admin path is
+// answered here, so none of them can reach the internal API.
+app.use('/_admin', createAdminRouter({ cache, cassette, requests, metrics, log }));
+
+// Catch all requests - reading the body loses the request's log context
+app.all('*', (req, res) => inRequestContext(req, () => proxyRequest(req, res)));
+
+async function proxyRequest(req, res) {
+    const requestId = req.id;
+    const proxyTarget = proxyTargetOf(req);
+    const requestPath = proxyTarget ? proxyTarget.path : req.originalUrl;
     
     log('DEBUG', `New request received`, {
         requestId,
         method: req.method,
         path: requestPath,
         headers: req.headers,
-        body: req.body
+        bodySize: Buffer.isBuffer(req.body) ? req.body.length : 0
+    });
+    
+    let route = null; // Route the RDP proxy picked, for metrics
+    res.on('close', () => {
+        requestCounter.inc({
+            method: req.method,
+            route: route || 'none',
+            status: res.headersSent ? res.statusCode : 'cancelled'
+        });
+    });
+    
+    // Recorded responses are answered locally while replaying
+    if (cassette.replaying && !isWebSocketUpgrade(req)) {
+        const recording = cassette.match(req, requestPath, proxyTarget && proxyTarget.origin);
+        if (recording) {
+            route = recording.response.route;
+            return cassette.send(res, recording);
+        }
+        if (!cassette.usesTunnel) {
+            return cassette.sendMiss(res, req.method, requestPath);
+        }
+    }
+    
+    // Fresh cached responses are answered without a trip through the tunnel
+    const cacheKey = cache.isCacheable(req) && !isWebSocketUpgrade(req)
+        ? cache.keyFor(req, proxyTarget ? `${proxyTarget.origin}${requestPath}` : requestPath)
+        : null;
+    const cached = cacheKey ? cache.lookup(req, cacheKey) : null;
+    if (cached && cached.fresh) {
+        log('DEBUG', `Answered from cache`, { requestId, path: requestPath });
+        route = cached.entry.route;
+        return cache.send(req, res, cached.entry, 'HIT');
+    }
+    
+    // Fail fast instead of waiting for the full timeout when nobody is listening
+    if (!isRemoteAlive()) {
+        log('WARN', `Remote proxy is down, rejecting request`, {
+            requestId,
+            lastSeen: remote.lastSeen
+        });
+        return res.status(503)
+            .set('Retry-After', String(Math.ceil(HEARTBEAT_CHECK_INTERVAL / 1000)))
+            .json({
+                error: 'Service Unavailable',
+                message: remote.lastSeen
+                    ? `Remote proxy has not been seen since ${new Date(remote.lastSeen).toISOString()}`
+                    : 'Remote proxy heartbeat not found, is rdp-rest-proxy running?'
+            });
+    }
+    
+    if (isProxyRequest(req) && !proxyTarget) {
+        return res.status(400).json({ error: 'Bad Request', message: `Invalid request URL ${req.originalUrl}` });
+    }
+    if (proxyTarget && !protocol.forwardProxy) {
+        return res.status(501).json({
+            error: 'Not Implemented',
+            message: 'The remote proxy does not accept forward-proxy requests'
+        });
+    }
+    
+    if (isWebSocketUpgrade(req)) {
+        if (!protocol.websocket) {
+            return res.status(501).json({
+                error: 'Not Implemented',
+                message: 'The remote proxy does not support WebSockets'
+            });
+        }
+        if (!req.headers['sec-websocket-key'] || req.headers['sec-websocket-version'] !== '13') {
+            return res.status(400).json({ error: 'Bad Request', message: 'Invalid WebSocket handshake' });
+        }
+    }
+    
+    // Cancelling from the admin API closes the caller's connection, which
+    // cancels the request like any other disconnect
+    const tracked = requests.track(requestId, {
+        kind: 'http',
+        method: req.method,
+        path: requestPath,
+        caller: req.caller || null
+    }, () => res.destroy());
+    res.on('close', tracked.done);
+    
+    // Notice callers that disconnect or give up before we answer
+    let clientGone = false;
+    let batchId = null; // Set when the request was sent as part of a batch
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            clientGone = true;
+            if (responseWatcher) {
+                responseWatcher.wake(`${requestId}.json.done`);
+                responseWatcher.wake(`${requestId}.stream`);
+            }
+        }
     });
     
+    const timeout = requestTimeout(req);
+    // Connection headers (including Proxy-Connection from proxy clients) are
+    // meant for us; the RDP proxy sets the ones for the upstream request
+    const headers = addForwardedHeaders(withoutHopByHop(req.headers, [TIMEOUT_HEADER]), {
+        address: req.socket.remoteAddress,
+        host: req.headers.host,
+        proto: 'http'
+    });
+    // A stale entry is revalidated instead of fetched again
+    const conditions = cached ? cache.conditionalHeaders(req, cached.entry) : {};
+    Object.assign(headers, conditions);
+    
     try {
-        // Create request object
+        // Write a large upload as chunk files before the request that refers to them
+        let bodyChunks = null;
+        if (isStreamedUpload(req)) {
+            tracked.setState('uploading');
+            bodyChunks = await writeChunks(req[Symbol.asyncIterator](), {
+                dir: REQUESTS_DIR,
+                id: requestId,
+                chunkSize: STREAMING.chunkSize,
+                transport,
+                ...chunkSealing(envelopeCipher, `request-body:${CLIENT_ID}:${requestId}`)
+            });
+            log('INFO', `Request body written as chunks`, { requestId, ...bodyChunks });
+        }
+        
+        // Create request object - the remote side stops working on it
+        // once `timeout` ms have passed since it picked it up
         const requestData = {
             id: requestId,
+            clientId: CLIENT_ID,
+            caller: req.caller || null, // Name of the API key used, if any
             method: req.method,
             path: requestPath,
-            headers: req.headers,
-            body: req.body,
+            headers,
+            timeout,
+            localPort: req.socket.localPort,
+            ...encodeBody(req.body, req.headers),
+            accept: protocol.compression ? [protocol.compression] : [], // Response compression we can read
+            streaming: true, // Large response bodies may come back as chunk files
+            websocket: isWebSocketUpgrade(req), // Open a WebSocket session instead
+            proxyOrigin: proxyTarget ? proxyTarget.origin : null, // Forward-proxy mode: send to this origin
+            bodyChunks,
             timestamp: Date.now(),
             status: 'pending'
         };
         
-        // Write request to file
-        const requestFile = path.join(REQUESTS_DIR, `${requestId}.json`);
-        await fs.writeFile(requestFile, JSON.stringify(requestData, null, 2));
+        batchId = await submitRequest(
+            requestData,
+            bodyChunks ? bodyChunks.size : (Buffer.isBuffer(req.body) ? req.body.length : 0)
+        );
         
-        log('INFO', `Request saved to file`, { requestId, method: req.method, path: requestPath });
+        log('INFO', `Request saved to file`, { requestId, batchId, method: req.method, path: requestPath });
+        tracked.setState('waiting');
         
-        // Wait for response (polling)
-        let response = null;
-        let attempts = 0;
-        const responseFile = path.join(RESPONSES_DIR, `${requestId}.json`);
+        // Wait for response (watcher notifications with a timeout)
         const startTime = Date.now();
-        const POLL_INTERVAL = 100; // 200ms polling interval
-        const MAX_ATTEMPTS = 300; // 30 seconds timeout (200ms * 150)
+        const { response, rejectedReason, attempts } = await waitForResponse(
+            requestId,
+            startTime + timeout,
+            () => clientGone
+        );
         
-        let responseFound = false;
-        while (!responseFound && attempts < MAX_ATTEMPTS) {
-            try {
-                // Try to lock and read response file
-                if (await lockFile(responseFile)) {
-                    try {
-                        // Check if response is complete by looking for .done file
-                        const doneFile = `${responseFile}.done`;
-                        const [doneExists, responseExists] = await Promise.all([
-                            fs.access(doneFile).then(() => true).catch(() => false),
-                            fs.access(responseFile).then(() => true).catch(() => false)
-                        ]);
-
-                        if (doneExists && responseExists) {
-                            // Read and parse response
-                            const responseData = await fs.readFile(responseFile, 'utf8');
-                            log('DEBUG', `Read response file`, { requestId, data: responseData });
-                            
-                            try {
-                                response = JSON.parse(responseData);
-                                const elapsedTime = Date.now() - startTime;
-                                log('INFO', `Response found`, { 
-                                    requestId, 
-                                    response,
-                                    elapsedTime,
-                                    attempts
-                                });
-                                responseFound = true;
-                                break;
-                            } catch (parseError) {
-                                log('ERROR', `Failed to parse response`, { 
-                                    requestId, 
-                                    error: parseError.message,
-                                    data: responseData
-                                });
-                            }
-                        } else {
-                            log('DEBUG', `Response not ready yet`, { 
-                                requestId,
-                                doneExists,
-                                responseExists
-                            });
-                        }
-                    } finally {
-                        await unlockFile(responseFile);
-                    }
-                }
-            } catch (error) {
-                if (error.code !== 'ENOENT') {
-                    log('ERROR', `Error checking for response`, { 
-                        requestId, 
-                        error: error.message,
-                        attempts
-                    });
-                }
-            }
-            
-            if (!response) {
-                await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
-                attempts++;
-                if (attempts % 25 === 0) {
-                    const elapsedTime = Date.now() - startTime;
-                    log('INFO', `Still waiting for response`, { 
-                        requestId, 
-                        attempts,
-                        elapsedTime
-                    });
-                }
-            }
+        if (rejectedReason) {
+            await cancelRequest(requestId, batchId, 'response rejected');
+            return res.status(502).json({
+                error: 'Bad Gateway',
+                message: `Response from remote proxy was rejected: ${rejectedReason}`
+            });
+        }
+        
+        if (clientGone) {
+            await cancelRequest(requestId, batchId, 'client disconnected');
+            return;
         }
         
         if (!response) {
             const elapsedTime = Date.now() - startTime;
             log('ERROR', `Timeout waiting for response`, { 
                 requestId,
+                batchId,
                 attempts,
-                elapsedTime
+                elapsedTime,
+                timeout
             });
+            await cancelRequest(requestId, batchId, 'timeout');
+            timeoutCounter.inc();
             return res.status(504).json({ 
                 error: 'Gateway Timeout', 
                 message: 'Remote client did not respond in time',
@@ -225,6 +1058,28 @@ app.all('*', async (req, res) => {
             });
         }
         
+        route = response.route || null;
+        const upstreamTime = response.upstreamTime || 0;
+        requestDuration.observe({ phase: 'file_wait' }, Math.max(0, Date.now() - startTime - upstreamTime) / 1000);
+        requestDuration.observe({ phase: 'upstream' }, upstreamTime / 1000);
+        
+        // The session's frames travel as message files from here on
+        if (isWebSocketUpgrade(req) && response.statusCode === 101) {
+            requestCounter.inc({ method: req.method, route: route || 'none', status: 101 });
+            tracked.done();
+            acceptWebSocket(req, res, requestId, response);
+            await releaseFiles(requestId, batchId, false);
+            return;
+        }
+        
+        cache.invalidate(req, requestPath, response);
+        if (Object.keys(conditions).length > 0 && response.statusCode === 304) {
+            log('DEBUG', `Revalidated cached response`, { requestId, path: requestPath });
+            cache.send(req, res, cache.refresh(cached.entry, response), 'REVALIDATED');
+            await releaseFiles(requestId, batchId, false);
+            return;
+        }
+        
         if (response && !res.headersSent) {
             try {
                 // Send response to client
@@ -234,9 +1089,36 @@ app.all('*', async (req, res) => {
                     headers: response.headers
                 });
                 
-                res.status(response.statusCode || 200)
-                   .set(response.headers || {})
-                   .send(response.body || {});
+                const body = decodeBody(response);
+                res.status(response.statusCode || 200);
+                setResponseHeaders(res, response.headers);
+                if (cacheKey) {
+                    cache.store(cacheKey, requestPath, req, response, body);
+                    res.setHeader('X-Cache', 'MISS');
+                }
+                if (response.stream) {
+                    // Status and headers go out now, the body as it arrives
+                    tracked.setState('sending');
+                    res.flushHeaders();
+                    // A caller that got the whole body may hang up before end()
+                    const idleTimeout = response.stream.live ? null : timeout;
+                    if (!await streamResponseBody(requestId, res, idleTimeout, () => clientGone)) {
+                        await cancelRequest(requestId, batchId, 'client disconnected');
+                        return;
+                    }
+                    res.end();
+                } else if (Buffer.isBuffer(body)) {
+                    res.end(body);
+                } else if (body === null) {
+                    // Keeps the Content-Length of HEAD responses
+                    res.end();
+                } else {
+                    res.send(body);
+                }
+                
+                if (cassette.recording) {
+                    await cassette.record(req, requestPath, proxyTarget && proxyTarget.origin, response, body);
+                }
                 
                 log('INFO', `Response sent to client`, { 
                     requestId,
@@ -249,6 +1131,12 @@ app.all('*', async (req, res) => {
                 });
                 if (!res.headersSent) {
                     res.status(500).send({ error: 'Internal Server Error' });
+                } else {
+                    // Part of a streamed body went out, make the truncation visible
+                    res.destroy();
+                }
+                if (response.stream) {
+                    await cancelRequest(requestId, batchId, 'stream failed');
                 }
                 return;
             }
@@ -256,12 +1144,7 @@ app.all('*', async (req, res) => {
             try {
                 // Clean up files only after successful response
                 log('DEBUG', `Starting file cleanup`, { requestId });
-                const doneFile = `${responseFile}.done`;
-                await Promise.all([
-                    fs.unlink(responseFile).catch(() => {}),
-                    fs.unlink(doneFile).catch(() => {}),
-                    fs.unlink(requestFile).catch(() => {})
-                ]);
+                await releaseFiles(requestId, batchId, !!(bodyChunks || response.stream));
                 
                 log('INFO', `Request and response files cleaned up`, { requestId });
             } catch (error) {
@@ -280,25 +1163,87 @@ app.all('*', async (req, res) => {
             log('ERROR', `Error after response sent`, { requestId, error: error.message });
         }
     }
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.status(200).json({ status: 'ok' });
-});
+}
 
 // Start server
 const PORT = process.env.PORT || config.server.port;
+const HOST = process.env.HOST || config.server.host;
 
-async function startServer() {
+// The shared folder, its watchers and the reverse tunnel
+async function startTunnel() {
     await initializeDirs();
+    await readHeartbeat();
+    await recoverSharedFolder();
+    setInterval(runGarbageCollector, config.recovery.gcInterval);
     
-    app.listen(PORT, () => {
-        console.log(`Server listening on port ${PORT}`);
-        console.log(`Using shared folder: ${SHARED_FOLDER_PATH}`);
+    responseWatcher = watchDirectory(RESPONSES_DIR, {
+        ...config.watcher,
+        transport,
+        filter: f => f.endsWith('.done') || streamIdOf(f) !== null || sessionIdOf(f) !== null
     });
+    // Chunk and manifest files wake up whoever streams that response
+    responseWatcher.on('change', (file) => {
+        const streamId = file && streamIdOf(file);
+        if (streamId) {
+            responseWatcher.wake(`${streamId}.stream`);
+        }
+    });
+    responseWatcher.on('fallback', (reason) => {
+        log('WARN', `File watcher unavailable, using adaptive polling`, { reason });
+    });
+    log('INFO', `Watching for responses`, { mode: responseWatcher.mode });
+    
+    setInterval(readHeartbeat, HEARTBEAT_CHECK_INTERVAL);
+    
+    // Requests from the remote desktop to a service on this machine
+    if (REVERSE.enabled) {
+        reverseTunnel = createReverseTunnel(REVERSE, {
+            dir: path.join(CLIENT_DIR, 'reverse'),
+            clientId: CLIENT_ID,
+            cipher: envelopeCipher,
+            replayWindow: config.encryption.replayWindow,
+            replayFile: config.encryption.replayFile ? path.resolve(__dirname, config.encryption.replayFile) : null,
+            transport,
+            watcherOptions: config.watcher,
+            lockOptions: LOCK_OPTIONS,
+            log
+        });
+        const mode = await reverseTunnel.start();
+        log('INFO', `Serving reverse requests`, { target: reverseTunnel.target, mode });
+    }
 }
 
-startServer();
+async function startServer() {
+    await cassette.load();
+    if (cassette.usesTunnel) {
+        await startTunnel();
+    }
+    
+    app.listen(PORT, HOST, () => {
+        log('INFO', `Server listening`, { address: `${HOST}:${PORT}`, sharedFolder: SHARED_FOLDER_PATH, transport: transport.type, clientId: CLIENT_ID });
+    }).on('upgrade', handleUpgrade).on('connect', handleConnect);
+    
+    // Dedicated ports for services routed by local port on the RDP side
+    (config.server.extraPorts || []).forEach(port => {
+        app.listen(port, HOST, () => {
+            log('INFO', `Server listening`, { address: `${HOST}:${port}` });
+        }).on('upgrade', handleUpgrade).on('connect', handleConnect);
+    });
+    
+    // One listener per TCP forward. They take no API key, so they stay on
+    // loopback unless a forward names its own host.
+    TCP.forwards.forEach(forward => {
+        const host = forward.host || '127.0.0.1';
+        net.createServer({ allowHalfOpen: true }, socket => forwardConnection(forward, socket))
+            .listen(forward.localPort, host, () => {
+                log('INFO', `Forwarding TCP port`, { address: `${host}:${forward.localPort}`, forward: forward.name });
+            });
+    });
+}
+
+startServer().catch(error => {
+    log('ERROR', `Error starting server`, { error: error.message });
+    process.exit(1);
+});
 
 module.exports = app;
\ No newline at end of file
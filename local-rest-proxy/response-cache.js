@@ -0,0 +1,301 @@
+// response-cache.js - Local cache for responses that come through the tunnel
+//
+// Repeated GETs for reference data don't need a round trip through the shared
+// folder every time. Responses the internal API marks as cacheable
+// (Cache-Control, Expires, or a Last-Modified date to estimate from) are kept
+// in memory and answered locally while they are fresh. Stale entries with an
+// ETag or Last-Modified are revalidated with a conditional request, and a 304
+// refreshes the entry without sending the body through the tunnel again.
+// Entries are kept per caller (API key name) and per credentials the request
+// carried, so one caller never gets a response meant for another. Responses
+// marked private or no-store are never kept, nor are answers to requests with
+// Authorization or Cookie unless the response says it may be shared (public
+// or s-maxage). The least recently used ones go first once the cache outgrows
+// `maxSize`.
+const crypto = require('crypto');
+const { withoutHopByHop } = require('../shared/http-headers');
+
+// Statuses that may be stored (RFC 9110 section 15.1, without 206)
+const CACHEABLE_STATUSES = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS', 'TRACE'];
+const CREDENTIAL_HEADERS = ['authorization', 'cookie'];
+const HEURISTIC_FRACTION = 0.1; // Share of the time since Last-Modified an entry stays fresh
+const HEURISTIC_MAX = 24 * 60 * 60 * 1000; // Upper bound for estimated freshness (ms)
+
+function parseCacheControl(value) {
+    const directives = {};
+    [].concat(value || []).join(',').split(',').forEach(part => {
+        const [name, ...rest] = part.trim().split('=');
+        if (name) {
+            directives[name.toLowerCase()] = rest.length > 0 ? rest.join('=').replace(/^"|"$/g, '') : true;
+        }
+    });
+    return directives;
+}
+
+function normalizePrefix(prefix) {
+    return !prefix || prefix === '/' ? '' : `/${prefix.replace(/^\/+|\/+$/g, '')}`;
+}
+
+function matchesPrefix(requestPath, prefix) {
+    return !prefix || requestPath === prefix || requestPath.startsWith(`${prefix}/`) || requestPath.startsWith(`${prefix}?`);
+}
+
+function pathnameOf(requestPath) {
+    return requestPath.split('?')[0];
+}
+
+// How long a response stays fresh (ms), from its own headers
+function freshnessLifetime(headers, directives) {
+    if (directives['no-cache']) {
+        return 0;
+    }
+    // The cache is shared by everything behind the local proxy
+    if (directives['s-maxage'] !== undefined) {
+        return Math.max(0, parseInt(directives['s-maxage'], 10) || 0) * 1000;
+    }
+    if (directives['max-age'] !== undefined) {
+        return Math.max(0, parseInt(directives['max-age'], 10) || 0) * 1000;
+    }
+    const date = Date.parse(headers.date) || Date.now();
+    if (headers.expires) {
+        const expires = Date.parse(headers.expires);
+        return Number.isNaN(expires) ? 0 : Math.max(0, expires - date);
+    }
+    const lastModified = Date.parse(headers['last-modified']);
+    if (!Number.isNaN(lastModified)) {
+        return Math.min(HEURISTIC_MAX, Math.max(0, (date - lastModified) * HEURISTIC_FRACTION));
+    }
+    return 0;
+}
+
+function varyNames(headers) {
+    return [].concat(headers.vary || []).join(',').split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// A digest of the request's credentials, so entries are told apart without
+// keeping the credentials themselves
+function credentialsOf(req) {
+    const values = CREDENTIAL_HEADERS.map(name => req.headers[name] || null);
+    return values.some(Boolean)
+        ? crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex')
+        : null;
+}
+
+function etagsMatch(condition, etag) {
+    const weak = (tag) => tag.trim().replace(/^W\//, '');
+    return condition.trim() === '*' || condition.split(',').some(tag => weak(tag) === weak(etag));
+}
+
+function createResponseCache(cacheConfig = {}, log) {
+    const maxSize = cacheConfig.maxSize || 50 * 1024 * 1024;
+    const maxEntrySize = cacheConfig.maxEntrySize || Math.floor(maxSize / 10);
+    const routes = (cacheConfig.routes || []).map(route => ({
+        pathPrefix: normalizePrefix(route.pathPrefix),
+        ttl: route.ttl
+    }));
+    const entries = new Map(); // key -> entry, least recently used first
+    const counters = { hits: 0, misses: 0, revalidated: 0, stored: 0, evicted: 0 };
+    let size = 0;
+
+    function ttlFor(requestPath) {
+        const route = routes.find(r => matchesPrefix(requestPath, r.pathPrefix));
+        return route ? route.ttl : undefined;
+    }
+
+    function ageOf(entry) {
+        return entry.initialAge + (Date.now() - entry.storedAt);
+    }
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (entry) {
+            entries.delete(key);
+            size -= entry.size;
+        }
+    }
+
+    function touch(entry) {
+        entries.delete(entry.key);
+        entries.set(entry.key, entry);
+    }
+
+    // GET requests that may be answered from or stored in the cache
+    function isCacheable(req) {
+        return !!cacheConfig.enabled && req.method === 'GET' &&
+            !parseCacheControl(req.headers['cache-control'])['no-store'];
+    }
+
+    // Entries differ by caller and credentials, local port and Host, which
+    // the RDP proxy may route on, and by URL
+    function keyFor(req, url) {
+        return JSON.stringify([req.caller || null, credentialsOf(req), req.socket.localPort, req.headers.host || null, url]);
+    }
+
+    // Returns { entry, fresh } for a stored response matching the request's
+    // Vary headers, or null
+    function lookup(req, key) {
+        const entry = entries.get(key);
+        if (!entry || Object.entries(entry.vary).some(([name, value]) => (req.headers[name] || null) !== value)) {
+            counters.misses++;
+            return null;
+        }
+        const directives = parseCacheControl(req.headers['cache-control']);
+        const maxAge = directives['max-age'] !== undefined ? parseInt(directives['max-age'], 10) * 1000 : Infinity;
+        const age = ageOf(entry);
+        const fresh = age < entry.lifetime && age <= maxAge && !directives['no-cache'] &&
+            !/no-cache/i.test(req.headers.pragma || '');
+        counters[fresh ? 'hits' : 'misses']++;
+        touch(entry);
+        return { entry, fresh };
+    }
+
+    // Headers that turn the request into a revalidation of `entry`. Callers
+    // with conditions of their own get the internal API's answer to those.
+    function conditionalHeaders(req, entry) {
+        if (req.headers['if-none-match'] || req.headers['if-modified-since']) {
+            return {};
+        }
+        const conditions = {};
+        if (entry.headers.etag) {
+            conditions['if-none-match'] = entry.headers.etag;
+        }
+        if (entry.headers['last-modified']) {
+            conditions['if-modified-since'] = entry.headers['last-modified'];
+        }
+        return conditions;
+    }
+
+    // Store a complete response if its headers allow it. `body` is the
+    // decoded body; streamed responses are never stored.
+    function store(key, requestPath, req, response, body) {
+        const headers = withoutHopByHop(response.headers, ['age', 'x-request-id']);
+        const directives = parseCacheControl(headers['cache-control']);
+        if (!CACHEABLE_STATUSES.includes(response.statusCode) || response.stream ||
+            (body !== null && !Buffer.isBuffer(body)) ||
+            directives['no-store'] || directives.private || varyNames(headers).includes('*')) {
+            return null;
+        }
+        const shared = directives.public || directives['s-maxage'] !== undefined;
+        if (!shared && CREDENTIAL_HEADERS.some(name => req.headers[name])) {
+            return null;
+        }
+        const ttl = ttlFor(requestPath);
+        const lifetime = ttl !== undefined ? ttl : freshnessLifetime(headers, directives);
+        if (lifetime <= 0 && !headers.etag && !headers['last-modified']) {
+            return null;
+        }
+        const entrySize = (body ? body.length : 0) + JSON.stringify(headers).length;
+        if (entrySize > maxEntrySize) {
+            return null;
+        }
+
+        remove(key);
+        const entry = {
+            key,
+            path: requestPath,
+            statusCode: response.statusCode,
+            route: response.route || null,
+            headers,
+            body,
+            vary: Object.fromEntries(varyNames(headers).map(name => [name, req.headers[name] || null])),
+            lifetime,
+            initialAge: (parseInt(response.headers.age, 10) || 0) * 1000,
+            storedAt: Date.now(),
+            size: entrySize
+        };
+        entries.set(key, entry);
+        size += entrySize;
+        counters.stored++;
+        for (const [oldest, old] of entries) {
+            if (size <= maxSize) {
+                break;
+            }
+            remove(oldest);
+            counters.evicted++;
+            log('DEBUG', `Evicted cache entry`, { path: old.path, size: old.size });
+        }
+        return entry;
+    }
+
+    // A 304 answer to a revalidation - the stored body is still good and
+    // the new headers replace the stored ones
+    function refresh(entry, response) {
+        entry.headers = { ...entry.headers, ...withoutHopByHop(response.headers, ['content-length', 'age', 'x-request-id']) };
+        const ttl = ttlFor(entry.path);
+        entry.lifetime = ttl !== undefined
+            ? ttl
+            : freshnessLifetime(entry.headers, parseCacheControl(entry.headers['cache-control']));
+        entry.initialAge = (parseInt(response.headers.age, 10) || 0) * 1000;
+        entry.storedAt = Date.now();
+        counters.revalidated++;
+        return entry;
+    }
+
+    function isNotModified(req, entry) {
+        if (req.headers['if-none-match']) {
+            return !!entry.headers.etag && etagsMatch(req.headers['if-none-match'], entry.headers.etag);
+        }
+        const since = Date.parse(req.headers['if-modified-since']);
+        const lastModified = Date.parse(entry.headers['last-modified']);
+        return !Number.isNaN(since) && !Number.isNaN(lastModified) && lastModified <= since;
+    }
+
+    // Answer from an entry; `state` goes out in X-Cache (HIT or REVALIDATED)
+    function send(req, res, entry, state) {
+        const notModified = isNotModified(req, entry);
+        res.status(notModified ? 304 : entry.statusCode);
+        Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+        res.setHeader('Age', String(Math.floor(ageOf(entry) / 1000)));
+        res.setHeader('X-Cache', state);
+        res.end(notModified || !entry.body ? undefined : entry.body);
+    }
+
+    // A successful write makes whatever is stored for its path stale
+    function invalidate(req, requestPath, response) {
+        if (SAFE_METHODS.includes(req.method) || response.statusCode >= 400) {
+            return;
+        }
+        const target = pathnameOf(requestPath);
+        for (const [key, entry] of entries) {
+            if (pathnameOf(entry.path) === target) {
+                remove(key);
+            }
+        }
+    }
+
+    // Drop every entry, or those under a path prefix. Returns how many.
+    function purge(prefix) {
+        const normalized = normalizePrefix(prefix);
+        let removed = 0;
+        for (const [key, entry] of entries) {
+            if (matchesPrefix(entry.path, normalized)) {
+                remove(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    function stats() {
+        return { enabled: !!cacheConfig.enabled, entries: entries.size, size, maxSize, ...counters };
+    }
+
+    return {
+        enabled: !!cacheConfig.enabled,
+        isCacheable,
+        keyFor,
+        lookup,
+        conditionalHeaders,
+        store,
+        refresh,
+        send,
+        invalidate,
+        purge,
+        stats
+    };
+}
+
+module.exports = { createResponseCache };
@@ -0,0 +1,337 @@
+// reverse-tunnel.js - Answers requests made to the RDP proxy's reverse listeners
+//
+// The RDP proxy writes requests for this client to
+// clients/<clientId>/reverse/requests. Each one is forwarded to
+// `reverse.target` on this machine and answered in reverse/responses with a
+// .done marker, the same way the RDP proxy answers our own requests (see
+// shared/exchange.js). The reverse folders are separate from the forward
+// ones, so both directions run at the same time. A heartbeat in the reverse
+// folder tells the RDP proxy that requests are being served. At most
+// `maxInFlight` requests are forwarded at once; the others stay in the folder
+// until one finishes. Requests whose envelope is rejected are answered with
+// a 502 right away, so their caller doesn't wait out its timeout.
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { watchDirectory } = require('../shared/file-watcher');
+const { HOSTNAME } = require('../shared/file-lock');
+const { createExchange } = require('../shared/exchange');
+const { encodeEnvelope, decodeEnvelope } = require('../shared/envelope-codec');
+const { openPayload } = require('../shared/envelope-crypto');
+const { createReplayGuard } = require('../shared/replay-guard');
+const { withoutHopByHop, publicOriginOf, rewriteResponseHeaders } = require('../shared/http-headers');
+
+const MAX_PROCESSED_FILES = 1000;
+const DEFAULT_REQUEST_TIMEOUT = 30000; // Deadline for requests that don't carry a timeout
+
+// Send a request to the local service, with its own Host header. Resolves
+// with its status, headers and complete body; the body is passed on as-is,
+// still compressed if it was. Rejects once the body outgrows `maxSize`.
+function callTarget(url, requestData, { signal, deadline, maxSize }) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, {
+            method: requestData.method,
+            headers: withoutHopByHop(requestData.headers, ['host', 'content-length']),
+            signal
+        }, (res) => {
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > maxSize) {
+                    req.destroy(Object.assign(new Error(`Response is larger than ${maxSize} bytes`), { code: 'ETOOLARGE' }));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => {
+                clearTimeout(timer);
+                resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) });
+            });
+            res.on('error', reject);
+        });
+        const timer = setTimeout(() => {
+            req.destroy(new Error('Deadline exceeded'));
+        }, Math.max(1, deadline - Date.now()));
+        req.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        req.end(requestData.body ? Buffer.from(requestData.body, 'base64') : undefined);
+    });
+}
+
+// `dir` is this client's reverse folder, `cipher` the envelope cipher (or
+// null), `replayWindow` how old a sealed request may be, `replayFile` where
+// accepted request IDs are kept and `transport` where the shared folder's
+// files live.
+function createReverseTunnel(reverse, { dir, clientId, cipher, replayWindow, replayFile, transport, watcherOptions, lockOptions, log }) {
+    const requestsDir = path.join(dir, 'requests');
+    const responsesDir = path.join(dir, 'responses');
+    const exchange = createExchange(transport, { requestsDir, responsesDir, lockOptions });
+    const heartbeatFile = path.join(dir, 'heartbeat.json');
+    const target = reverse.target.replace(/\/+$/, '');
+    const maxInFlight = reverse.maxInFlight || Infinity;
+    const maxResponseSize = reverse.maxResponseSize || Infinity;
+
+    const processedFiles = new Set();
+    const replayGuard = createReplayGuard({ window: replayWindow, file: replayFile, log });
+    const inFlightRequests = new Map(); // Request ID -> AbortController
+    let running = 0; // Request files being handled
+    let deferred = false; // Whether files were left for a free slot
+    const startedAt = Date.now();
+    let heartbeatSeq = 0;
+    let watcher = null;
+
+    // The authenticated data ties a sealed envelope to this client and request
+    function seal(kind, requestId, payload) {
+        return cipher ? cipher.seal(payload, `${kind}:${clientId}:${requestId}`) : payload;
+    }
+
+    function openRequest(requestId, envelope) {
+        if (!cipher) {
+            return envelope;
+        }
+        const requestData = cipher.open(envelope, `reverse-request:${clientId}:${requestId}`);
+        if (requestData.id !== requestId) {
+            throw new Error('Envelope request ID mismatch');
+        }
+        return requestData;
+    }
+
+    async function isReplay(requestData) {
+        return !await replayGuard.accept(`reverse/${requestData.id}`, requestData.timestamp);
+    }
+
+    // Whether the RDP proxy left an authentic cancel marker; forged ones
+    // are removed and ignored
+    async function hasCancelMarker(requestId) {
+        const content = await exchange.readCancel(requestId);
+        if (content === null) {
+            return false;
+        }
+        try {
+            openPayload(cipher, JSON.parse(content), `reverse-cancel:${clientId}:${requestId}`);
+            return true;
+        } catch (error) {
+            log('WARN', `Ignoring unauthenticated cancel marker`, { requestId, reason: error.message });
+            await exchange.clearCancel(requestId);
+            return false;
+        }
+    }
+
+    async function writeHeartbeat() {
+        const heartbeat = {
+            seq: ++heartbeatSeq,
+            pid: process.pid,
+            host: HOSTNAME,
+            startedAt,
+            target,
+            inFlight: inFlightRequests.size,
+            interval: reverse.heartbeatInterval,
+            timestamp: Date.now()
+        };
+        try {
+            const content = cipher ? cipher.seal(heartbeat, `reverse-heartbeat:${clientId}`) : heartbeat;
+            await transport.writeFile(`${heartbeatFile}.tmp`, JSON.stringify(content, null, 2));
+            await transport.rename(`${heartbeatFile}.tmp`, heartbeatFile);
+        } catch (error) {
+            log('WARN', `Could not write reverse tunnel heartbeat`, { error: error.message });
+        }
+    }
+
+    async function writeResponse(requestId, response) {
+        await exchange.writeResponse(requestId, await encodeEnvelope(seal('reverse-response', requestId, response)));
+    }
+
+    function errorResponse(statusCode, error, message) {
+        return {
+            statusCode,
+            headers: { 'content-type': 'application/json' },
+            body: Buffer.from(JSON.stringify({ error, message })).toString('base64'),
+            bodyEncoding: 'base64',
+            contentType: 'application/json',
+            timestamp: Date.now()
+        };
+    }
+
+    // Answer a request we won't forward, unless it was answered before: a
+    // replayed file must not replace the response to the original
+    async function reject(requestId, reason) {
+        if (await exchange.isAnswered(requestId)) {
+            return;
+        }
+        await writeResponse(requestId, errorResponse(502, 'Bad Gateway', `Request was rejected by the local proxy: ${reason}`));
+    }
+
+    // Forward one request to the local service and write its response,
+    // unless the caller on the remote desktop stopped waiting for it
+    async function handleRequest(requestData, seenAt) {
+        const requestId = requestData.id;
+        const deadline = seenAt + (requestData.timeout || DEFAULT_REQUEST_TIMEOUT);
+        if (await hasCancelMarker(requestId) || Date.now() >= deadline) {
+            log('INFO', `Skipping reverse request`, { requestId, reason: Date.now() >= deadline ? 'expired' : 'cancelled' });
+            await exchange.clearCancel(requestId);
+            return;
+        }
+
+        log('INFO', `Forwarding reverse request`, { requestId, method: requestData.method, path: requestData.path });
+        const controller = new AbortController();
+        inFlightRequests.set(requestId, controller);
+        const upstreamStart = Date.now();
+        let response;
+        try {
+            const url = `${target}${requestData.path}`;
+            const result = await callTarget(url, requestData, {
+                signal: controller.signal,
+                deadline,
+                maxSize: maxResponseSize
+            });
+            response = {
+                statusCode: result.statusCode,
+                // Redirects and cookies point at the listener, not at us
+                headers: rewriteResponseHeaders(result.headers, {
+                    requestUrl: url,
+                    targetUrl: target,
+                    publicOrigin: publicOriginOf(requestData.headers)
+                }),
+                ...(result.body.length > 0
+                    ? {
+                        body: result.body.toString('base64'),
+                        bodyEncoding: 'base64',
+                        contentType: result.headers['content-type'] || null,
+                        contentEncoding: result.headers['content-encoding'] || null
+                    }
+                    : { body: null, bodyEncoding: null }),
+                upstreamTime: Date.now() - upstreamStart,
+                timestamp: Date.now()
+            };
+        } catch (error) {
+            if (controller.signal.aborted || Date.now() >= deadline) {
+                log('INFO', `Reverse request ${controller.signal.aborted ? 'cancelled' : 'expired'} while in flight`, { requestId });
+                return;
+            }
+            log('WARN', `Could not reach local target`, { requestId, target, error: error.message });
+            response = errorResponse(502, 'Bad Gateway', error.code === 'ETOOLARGE'
+                ? `Response from ${target} is larger than ${maxResponseSize} bytes`
+                : `Could not reach ${target}: ${error.message}`);
+        } finally {
+            inFlightRequests.delete(requestId);
+        }
+
+        await writeResponse(requestId, response);
+        log('INFO', `Reverse response written`, { requestId, status: response.statusCode });
+    }
+
+    async function processRequestFile(file, seenAt) {
+        const requestId = path.basename(file, '.json');
+        if (!await exchange.lockRequest(requestId)) {
+            return;
+        }
+        try {
+            let envelope;
+            try {
+                ({ envelope } = await decodeEnvelope(await exchange.readRequest(requestId)));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return; // Withdrawn by a cancelling caller
+                }
+                throw error;
+            }
+
+            let requestData;
+            try {
+                requestData = openRequest(requestId, envelope);
+            } catch (error) {
+                log('ERROR', `Rejected reverse request envelope`, { file, reason: error.message });
+                await reject(requestId, error.message);
+                return;
+            }
+            if (cipher && await isReplay(requestData)) {
+                log('ERROR', `Rejected replayed reverse request envelope`, { requestId, timestamp: requestData.timestamp });
+                await reject(requestId, 'replayed or expired request');
+                return;
+            }
+            // Answered before a restart
+            if (await exchange.isAnswered(requestId)) {
+                return;
+            }
+
+            await handleRequest(requestData, seenAt);
+        } catch (error) {
+            log('ERROR', `Error processing reverse request`, { file, error: error.message });
+        } finally {
+            await exchange.unlockRequest(requestId);
+        }
+    }
+
+    async function scan() {
+        const files = await exchange.listRequests();
+        const seenAt = Date.now();
+        for (const file of files.filter(f => !processedFiles.has(f))) {
+            if (running >= maxInFlight) {
+                deferred = true; // Picked up by the scan after one finishes
+                break;
+            }
+            processedFiles.add(file);
+            running++;
+            processRequestFile(file, seenAt).finally(() => {
+                running--;
+                if (deferred) {
+                    deferred = false;
+                    scan();
+                }
+            });
+        }
+        if (processedFiles.size > MAX_PROCESSED_FILES) {
+            Array.from(processedFiles)
+                .slice(0, processedFiles.size - MAX_PROCESSED_FILES)
+                .forEach(f => processedFiles.delete(f));
+        }
+    }
+
+    async function handleCancel(file) {
+        const requestId = file.replace(/\.cancel$/, '');
+        const controller = inFlightRequests.get(requestId);
+        if (controller && await hasCancelMarker(requestId)) {
+            log('INFO', `Aborting cancelled reverse request`, { requestId });
+            controller.abort();
+            exchange.clearCancel(requestId);
+        }
+        // Otherwise the marker stays until the queued request is skipped (or GC)
+    }
+
+    async function start() {
+        if (cipher) {
+            await replayGuard.load();
+        }
+        await transport.mkdir(requestsDir, { recursive: true });
+        await transport.mkdir(responsesDir, { recursive: true });
+
+        watcher = watchDirectory(requestsDir, {
+            ...watcherOptions,
+            transport,
+            filter: f => f.endsWith('.json') || f.endsWith('.cancel')
+        });
+        watcher.on('change', (file) => {
+            if (file && file.endsWith('.cancel')) {
+                handleCancel(file);
+            } else {
+                scan();
+            }
+        });
+        watcher.on('fallback', (reason) => {
+            log('WARN', `Reverse request watcher unavailable, using adaptive polling`, { reason });
+        });
+
+        await writeHeartbeat();
+        setInterval(writeHeartbeat, reverse.heartbeatInterval);
+        await scan();
+        return watcher.mode;
+    }
+
+    return { requestsDir, responsesDir, target, start };
+}
+
+module.exports = { createReverseTunnel };
@@ -0,0 +1,67 @@
+// admin-server.js - Metrics and requests in flight over HTTP
+//
+// The RDP proxy has no HTTP server of its own, so the admin API listens on
+// `admin.port` (bound to `admin.host`, 127.0.0.1 by default):
+//   GET    /_admin/metrics                       Prometheus metrics
+//   GET    /_admin/requests                      requests in flight
+//   DELETE /_admin/requests/<clientId>/<id>      cancel one
+// There is no authentication, so only bind it where every user may see and
+// cancel tunnel traffic.
+const http = require('http');
+const { CONTENT_TYPE } = require('../shared/metrics');
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function createAdminServer(adminConfig, { requests, metrics, log }) {
+    const server = http.createServer((req, res) => {
+        let pathname;
+        let cancel;
+        try {
+            pathname = new URL(req.url, 'http://admin').pathname;
+            cancel = /^\/_admin\/requests\/([^/]+)\/([^/]+)$/.exec(pathname);
+            cancel = cancel && cancel.slice(1).map(decodeURIComponent);
+        } catch (error) {
+            return sendJson(res, 400, { error: 'Bad Request', message: `Malformed request path ${req.url}` });
+        }
+
+        if (req.method === 'GET' && pathname === '/_admin/metrics') {
+            res.writeHead(200, { 'content-type': CONTENT_TYPE });
+            return res.end(metrics.render());
+        }
+        if (req.method === 'GET' && pathname === '/_admin/requests') {
+            return sendJson(res, 200, { requests: requests.list() });
+        }
+        if (req.method === 'DELETE' && cancel) {
+            const id = `${cancel[0]}/${cancel[1]}`;
+            if (!requests.cancel(id)) {
+                return sendJson(res, 404, { error: 'Not Found', message: `No request ${id} in flight` });
+            }
+            log('INFO', `Cancelled request from the admin API`, { id, remoteAddress: req.socket.remoteAddress });
+            return sendJson(res, 200, { cancelled: id });
+        }
+        sendJson(res, 404, { error: 'Not Found', message: `No admin endpoint ${req.method} ${pathname}` });
+    });
+
+    // Resolves once listening
+    function start() {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(adminConfig.port, adminConfig.host || '127.0.0.1', () => {
+                server.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    // Resolves once closed
+    function stop() {
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    return { start, stop };
+}
+
+module.exports = { createAdminServer };
@@ -0,0 +1,29 @@
+// audit-log.js - Append-only record of policy decisions
+//
+// One JSON object per line, written on the remote side so the record can't be
+// altered by anything that only has access to the shared folder.
+const fs = require('fs').promises;
+const path = require('path');
+
+function createAuditLog(file, log) {
+    const auditFile = file ? path.resolve(__dirname, file) : null;
+    let pending = Promise.resolve();
+
+    // Entries are appended in order; a failing write never fails the request
+    function record(entry) {
+        if (!auditFile) {
+            return pending;
+        }
+        const line = `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`;
+        pending = pending
+            .then(() => fs.appendFile(auditFile, line))
+            .catch((error) => {
+                log('ERROR', `Could not write audit log`, { file: auditFile, error: error.message });
+            });
+        return pending;
+    }
+
+    return { file: auditFile, record };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,127 @@
+// circuit-breaker.js - Fails fast while an internal target is down
+//
+// Every target (scheme, host and port) has its own breaker. After
+// `failureThreshold` consecutive failed attempts - network errors or a 502,
+// 503 or 504 answer - the breaker opens, and requests for that target are
+// answered with 503 right away instead of each one waiting out timeouts and
+// retries. Once `resetTimeout` has passed, a single request is let through
+// as a probe. If it succeeds the breaker closes; if it fails the breaker
+// stays open for another `resetTimeout`, and if it is cancelled the next
+// request becomes the probe.
+//
+// Only targets that failed are tracked. A success forgets the target, and so
+// does going unused for IDLE_RESETS times `resetTimeout`, so targets seen
+// once through the forward proxy don't pile up.
+
+const FAILURE_STATUSES = [502, 503, 504];
+const IDLE_RESETS = 10;
+
+function createCircuitBreakers(breakerConfig = {}, log) {
+    const enabled = breakerConfig.enabled !== false;
+    const failureThreshold = breakerConfig.failureThreshold || 5;
+    const resetTimeout = breakerConfig.resetTimeout || 30000;
+    const circuits = new Map(); // target -> { state, failures, openedAt, probeStartedAt, usedAt }
+    let prunedAt = Date.now();
+
+    // Forget targets nobody has sent a request to for a while
+    function prune(now) {
+        if (now - prunedAt < resetTimeout) {
+            return;
+        }
+        prunedAt = now;
+        circuits.forEach((circuit, target) => {
+            if (now - circuit.usedAt > IDLE_RESETS * resetTimeout) {
+                circuits.delete(target);
+            }
+        });
+    }
+
+    function circuitFor(target) {
+        if (!circuits.has(target)) {
+            circuits.set(target, { state: 'closed', failures: 0, openedAt: null, probeStartedAt: null, usedAt: null });
+        }
+        return circuits.get(target);
+    }
+
+    // Whether a request may be sent to `target` now. Returns
+    // { allowed: true } or { allowed: false, retryAfter } in ms. `probe` is
+    // set when the request is the probe, which must report back or `release`.
+    function acquire(target) {
+        const now = Date.now();
+        if (enabled) {
+            prune(now);
+        }
+        const circuit = enabled ? circuits.get(target) : null;
+        if (circuit) {
+            circuit.usedAt = now;
+        }
+        if (!circuit || circuit.state === 'closed') {
+            return { allowed: true };
+        }
+        const probeDue = circuit.state === 'open'
+            ? circuit.openedAt + resetTimeout
+            : circuit.probeStartedAt + resetTimeout; // A probe that never reported back
+        if (now < probeDue) {
+            return { allowed: false, retryAfter: probeDue - now };
+        }
+        circuit.state = 'half-open';
+        circuit.probeStartedAt = now;
+        log('INFO', `Probing target`, { target });
+        return { allowed: true, probe: true };
+    }
+
+    // A probe ended without an outcome, e.g. because it was cancelled: let
+    // the next request probe instead of waiting for this one to time out
+    function release(target) {
+        const circuit = circuits.get(target);
+        if (circuit && circuit.state === 'half-open') {
+            circuit.state = 'open';
+            circuit.openedAt = Date.now() - resetTimeout;
+        }
+    }
+
+    // Report how an attempt at `target` ended
+    function record(target, { error, status }) {
+        if (!enabled) {
+            return;
+        }
+        if (!error && !FAILURE_STATUSES.includes(status)) {
+            const circuit = circuits.get(target);
+            if (circuit && circuit.state !== 'closed') {
+                log('INFO', `Circuit closed, target is healthy again`, { target });
+            }
+            circuits.delete(target);
+            return;
+        }
+        const circuit = circuitFor(target);
+        circuit.usedAt = Date.now();
+        circuit.failures++;
+        if (circuit.state === 'half-open' || circuit.failures >= failureThreshold) {
+            if (circuit.state !== 'open') {
+                log('WARN', `Circuit opened, failing requests fast`, {
+                    target,
+                    failures: circuit.failures,
+                    error: error ? error.message : `HTTP ${status}`,
+                    retryIn: resetTimeout
+                });
+            }
+            circuit.state = 'open';
+            circuit.openedAt = Date.now();
+        }
+    }
+
+    // Breakers that aren't closed, for the heartbeat
+    function states() {
+        return Object.fromEntries([...circuits]
+            .filter(([, circuit]) => circuit.state !== 'closed')
+            .map(([target, circuit]) => [target, {
+                state: circuit.state,
+                failures: circuit.failures,
+                openedAt: circuit.openedAt
+            }]));
+    }
+
+    return { enabled, acquire, release, record, states };
+}
+
+module.exports = { createCircuitBreakers };
@@ -1,14 +1,62 @@
 module.exports = {
-    // Shared folder configuration
+    // Shared folder configuration - SHARED_FOLDER in the environment overrides the path
     sharedFolder: {
-        path: '\\\\tsclient\\shared-folder\\REST_PROXY_DO_NOT_DELETE',
+        path: process.env.SHARED_FOLDER || '\\\\tsclient\\shared-folder\\REST_PROXY_DO_NOT_DELETE',
         requestFolder: 'requests',
         responseFolder: 'responses'
     },
     
+    // How the tunnel's files are exchanged: 'shared-folder' (the folder above,
+    // e.g. the RDP drive redirection or any local directory) or 'memory' (in
+    // this process, for `rdp2rest start both`)
+    transport: {
+        type: process.env.TRANSPORT || 'shared-folder',
+        name: 'default' // Memory transports with the same name share their files
+    },
+    
     // Target API configuration
     targetApi: {
-        url: 'http://127.0.0.1:8088'  // Full URL of the target API
+        url: 'http://127.0.0.1:8088'  // Full URL of the target API (used when no routes are set)
+    },
+    
+    // Route table - first matching route wins, `default` catches the rest.
+    // Match on pathPrefix, host (Host header) and/or localPort (local proxy
+    // listener port). Requests matching no route get a 502 response.
+    // `preserveHost: true` sends the caller's Host header instead of the target's.
+    routes: [
+        // { name: 'billing', pathPrefix: '/billing', stripPrefix: true, target: 'http://billing.internal:8080' },
+        // { name: 'reports', host: 'reports.localhost', target: 'http://reports.internal' },
+        // { name: 'search', localPort: 3001, target: 'http://search.internal:9200' },
+        // { name: 'default', default: true, target: 'http://127.0.0.1:8088' }
+    ],
+    
+    // Request policy - which methods/paths may be forwarded, header changes
+    // and body size caps. Without a policy file every request is forwarded.
+    // Paths are relative to this folder; see policy.example.json.
+    policy: {
+        file: null,           // e.g. './policy.json'
+        auditLog: './audit.log' // Every allow/deny/unchecked decision, one JSON object per line
+    },
+    
+    // Retries of failed upstream requests - routes can override any of these
+    // with their own `retry` object. Only `methods` are retried, after a
+    // network error or one of `statusCodes`; a refused connection is retried
+    // for any method. Retry-After from the target replaces the backoff.
+    retry: {
+        maxAttempts: 3,                                      // Including the first attempt
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'], // Idempotent methods only
+        statusCodes: [502, 503, 504],
+        baseDelay: 250,                                      // Exponential backoff with jitter (ms)
+        maxDelay: 5000                                       // Longest backoff between attempts (ms)
+    },
+    
+    // Circuit breaker per target - after `failureThreshold` consecutive
+    // failures (network errors, 502, 503, 504) requests get 503 right away,
+    // until a probe request after `resetTimeout` succeeds
+    circuitBreaker: {
+        enabled: true,
+        failureThreshold: 5,
+        resetTimeout: 30000 // ms
     },
     
     // Proxy configuration
@@ -20,8 +68,135 @@ module.exports = {
         // httpsProxy: ''
     },
     
-    // Logging configuration
+    // File watching configuration
+    watcher: {
+        mode: 'auto',      // 'auto' (fs.watch, falls back to polling), 'watch' or 'poll'
+        minInterval: 50,   // Polling interval right after activity (ms)
+        maxInterval: 1000  // Polling interval after backing off while idle (ms)
+    },
+    
+    // Shared-folder protocol features offered to local proxies (advertised in
+    // heartbeat.json). A local proxy only uses what is listed here.
+    tunnel: {
+        compression: ['br', 'gzip'], // Accepted algorithms, in order of preference for responses
+        compressMin: 1024,           // Don't compress responses smaller than this (bytes)
+        batching: true               // Accept batch files packing several small requests
+    },
+    
+    // Response bodies larger than `threshold` are written as chunk files that
+    // the local proxy starts sending to its caller right away. Event streams
+    // and chunked responses still running after `flushInterval` are relayed
+    // the same way, segment by segment, for at most `maxLiveDuration`.
+    streaming: {
+        threshold: 8 * 1024 * 1024,     // Stream response bodies larger than this (bytes)
+        chunkSize: 1024 * 1024,         // Size of each chunk file (bytes)
+        maxPendingChunks: 8,            // Pause the download while this many chunks are unread
+        flushInterval: 100,             // Write what a live response sent once it is quiet this long (ms)
+        maxLiveDuration: 60 * 60 * 1000 // Close live responses still running after this long (ms)
+    },
+    
+    // WebSocket sessions - frames travel as ordered message files. Each side
+    // sends a keepalive when it has been quiet, and gives up on a session
+    // when the other side has sent nothing at all for `idleTimeout`.
+    websocket: {
+        keepAliveInterval: 30000, // Send a keepalive after this long without a message (ms)
+        idleTimeout: 90000        // Close the session after this long without a message (ms)
+    },
+    
+    // TCP forwarding - local proxies connect to these targets by name (see
+    // tcp.forwards in local-rest-proxy). Nothing else can be reached this way.
+    // Raw connections carry no API key and aren't checked against the policy,
+    // so only the clients in `allowedClients` may open them.
+    tcp: {
+        targets: {
+            // postgres: 'db.internal:5432',
+            // redis: 'cache.internal:6379',
+            // ssh: 'build.internal:22'
+        },
+        allowedClients: [],    // Client IDs that may open TCP forwards, '*' for any
+        chunkSize: 64 * 1024,  // Largest chunk file written for a connection (bytes)
+        maxPendingChunks: 16,  // Stop reading from the target while this many chunks are unread
+        idleTimeout: 600000    // Close connections without traffic in either direction for this long (ms)
+    },
+    
+    // Forward-proxy mode - local proxies used as an HTTP proxy (absolute-form
+    // URLs and CONNECT) reach these hosts by name, resolved from this machine.
+    // `*.corp.example` allows any subdomain, `host:port` a single port;
+    // entries without a port allow `allowedPorts`. Empty disables the mode.
+    forwardProxy: {
+        allowedHosts: [
+            // 'wiki.corp.example',
+            // '*.internal.corp.example',
+            // 'build.corp.example:8443'
+        ],
+        allowedPorts: [80, 443]
+    },
+    
+    // Reverse tunnel - each listener accepts requests on this machine and
+    // passes them to one local proxy (by client ID), which forwards them to
+    // its `reverse.target`. The local proxy must have the reverse tunnel enabled.
+    // Callers present an API key the way they do to the local proxy
+    // (`X-Proxy-Key` or `Proxy-Authorization`); PROXY_API_KEYS in the
+    // environment adds keys ("alice:key1,bob:key2").
+    reverse: {
+        listeners: [
+            // { port: 4000, client: 'alice-macbook' }
+        ],
+        host: '127.0.0.1',           // Bind address of the listeners
+        timeout: 30000,              // Time to wait for the local proxy's response (ms)
+        bodyLimit: 50 * 1024 * 1024, // Largest request body accepted (bytes)
+        maxInFlight: 20,             // Requests a listener waits on at once, more are answered 503
+        staleAfter: 15000,           // Answer 503 after this long without a heartbeat from the local proxy (ms)
+        auth: {
+            keys: {
+                // alice: 'change-me'
+            },
+            allowUnauthenticated: false // Without keys, listeners only start when this is true
+        }
+    },
+    
+    // Admin API - GET /_admin/metrics (Prometheus), GET /_admin/requests and
+    // DELETE /_admin/requests/<clientId>/<requestId>. It has no authentication,
+    // so keep it on 127.0.0.1. Set `port` to null to turn it off.
+    admin: {
+        port: 9400,
+        host: '127.0.0.1'
+    },
+    
+    // Heartbeat written to the shared folder so the local proxy knows we're alive
+    heartbeat: {
+        interval: 5000 // How often to write heartbeat.json (ms)
+    },
+    
+    // Crash recovery and cleanup of the shared folder
+    recovery: {
+        lockStaleAfter: 60000, // Reclaim lock files older than this when the owner can't be checked (ms)
+        gcInterval: 60000,     // How often to run the garbage collector (ms)
+        maxAge: 300000         // Delete request/response files older than this (ms)
+    },
+    
+    // End-to-end encryption of request/response files (AES-256-GCM), cancel
+    // markers and heartbeats. Must match the local proxy: same `enabled` flag
+    // and same key.
+    encryption: {
+        enabled: false,
+        key: process.env.TUNNEL_KEY || '', // 64 hex characters, or a passphrase
+        replayWindow: 300000,              // Reject requests older than this (ms)
+        replayFile: './seen-requests.log'  // Request IDs accepted within the window, so a restart can't reopen it (null: memory only)
+    },
+    
+    // Logging - one JSON line per entry on stdout. LOG_LEVEL in the
+    // environment overrides `level` for a single run.
     logging: {
-        level: 'info'
+        level: 'info', // debug, info, warn or error
+        // Values of these headers, and of these fields (in logged objects and
+        // in query strings), are replaced with [REDACTED]
+        redact: {
+            headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-proxy-key'],
+            fields: ['password', 'secret', 'token', 'access_token', 'refresh_token', 'client_secret', 'api_key']
+        },
+        file: null,                 // Also append to this file, e.g. './logs/rdp-rest-proxy.log'
+        maxSize: 10 * 1024 * 1024,  // Rotate the file once it reaches this size (bytes)
+        maxFiles: 5                 // Rotated files to keep (.1 is the newest)
     }
 }; 
\ No newline at end of file
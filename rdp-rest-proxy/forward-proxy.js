@@ -0,0 +1,107 @@
+// forward-proxy.js - Hosts local proxies may reach in forward-proxy mode
+//
+// A local proxy used as an HTTP proxy passes on absolute-form requests
+// (`GET http://wiki.corp/page`) with the origin they are for, and CONNECT
+// requests (`CONNECT wiki.corp:443`) with the host and port to connect to.
+// Instead of going through the route table, these reach the host the caller
+// asked for, resolved and connected to from this machine - as long as the
+// host is on the allowlist.
+//
+// Allowlist entries are host names or addresses, `*.corp.example` for any
+// subdomain, optionally with `:port`. Entries without a port allow the
+// ports in `allowedPorts`.
+
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443 };
+
+// `host:port` or `[v6 address]:port`, null when malformed
+function parseAuthority(authority) {
+    const match = /^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(authority || '');
+    if (!match) {
+        return null;
+    }
+    return { host: match[1].toLowerCase(), port: match[2] ? Number(match[2]) : null };
+}
+
+function compileEntry(entry) {
+    const parsed = parseAuthority(entry);
+    if (!parsed) {
+        throw new Error(`Invalid forwardProxy.allowedHosts entry ${entry}`);
+    }
+    const { host, port } = parsed;
+    return {
+        matchesHost: host.startsWith('*.')
+            ? (candidate) => candidate.endsWith(host.slice(1))
+            : (candidate) => candidate === host,
+        port
+    };
+}
+
+function createForwardProxy(proxyConfig = {}) {
+    const allowedPorts = proxyConfig.allowedPorts || [80, 443];
+    const entries = (proxyConfig.allowedHosts || []).map(compileEntry);
+
+    function isAllowed(host, port) {
+        return entries.some(entry => entry.matchesHost(host) &&
+            (entry.port === null ? allowedPorts.includes(port) : entry.port === port));
+    }
+
+    function isProxied(requestData) {
+        return !!(requestData.proxyOrigin || requestData.connect);
+    }
+
+    // Returns { target } shaped like a route match, with the host and port
+    // to connect to, or { reason } when the request may not be forwarded
+    function resolve(requestData) {
+        let host;
+        let port;
+        let url;
+        let targetPath = null;
+        if (requestData.connect) {
+            const parsed = parseAuthority(requestData.connect);
+            if (!parsed || !parsed.port) {
+                return { reason: `Invalid CONNECT target ${requestData.connect}` };
+            }
+            ({ host, port } = parsed);
+            url = `tcp://${requestData.connect}`;
+        } else {
+            let origin;
+            try {
+                origin = new URL(requestData.proxyOrigin);
+            } catch (error) {
+                return { reason: `Invalid proxy URL ${requestData.proxyOrigin}` };
+            }
+            if (!DEFAULT_PORTS[origin.protocol]) {
+                return { reason: `Unsupported proxy URL scheme ${origin.protocol}` };
+            }
+            // Anything but an absolute path, like `@evil.example/x`, would be
+            // read as part of the authority and reach another host
+            if (typeof requestData.path !== 'string' || !requestData.path.startsWith('/')) {
+                return { reason: `Invalid request path ${requestData.path}` };
+            }
+            host = origin.hostname.toLowerCase();
+            port = origin.port ? Number(origin.port) : DEFAULT_PORTS[origin.protocol];
+            url = `${origin.origin}${requestData.path}`;
+            if (new URL(url).origin !== origin.origin) {
+                return { reason: `Request path ${requestData.path} leaves ${origin.origin}` };
+            }
+            targetPath = requestData.path;
+        }
+
+        if (!isAllowed(host, port)) {
+            return { reason: `${host}:${port} is not in forwardProxy.allowedHosts` };
+        }
+        return {
+            target: {
+                route: { name: `proxy:${host}` },
+                host: host.replace(/^\[|\]$/g, ''),
+                port,
+                url,
+                path: targetPath
+            }
+        };
+    }
+
+    return { enabled: entries.length > 0, isProxied, resolve };
+}
+
+module.exports = { createForwardProxy };
@@ -0,0 +1,178 @@
+// policy.js - Decides which tunneled requests may reach the internal API
+//
+// The policy file is JSON kept on the remote side only. Rules are tried in
+// order and the first one whose `methods`, `path` and `clients` all match
+// decides; requests matching no rule get `defaultAction`. Allowed requests
+// have headers stripped and injected (e.g. a service token that never leaves
+// this machine) and their body size capped.
+//
+// Header values may reference the environment as `${env:NAME}` so secrets
+// don't have to be written into the policy file itself.
+//
+// Rules see the path the target will receive, after routing: decoded, with
+// backslashes as slashes and repeated slashes collapsed, so spellings the
+// target treats alike can't slip past a rule. With `caseInsensitive` (for
+// targets such as IIS) paths and patterns are compared in lower case.
+const fs = require('fs');
+const path = require('path');
+
+function interpolate(value, where) {
+    return String(value).replace(/\$\{env:([A-Za-z0-9_]+)\}/g, (match, name) => {
+        if (process.env[name] === undefined) {
+            throw new Error(`${where} references ${name}, which is not set in the environment`);
+        }
+        return process.env[name];
+    });
+}
+
+function lowerCaseNames(names = []) {
+    return names.map(name => name.toLowerCase());
+}
+
+function compileHeaders(headers = {}, where) {
+    const compiled = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        compiled[name.toLowerCase()] = interpolate(value, where);
+    });
+    return compiled;
+}
+
+// `*` matches within one path segment, `**` across segments
+function compilePattern(pattern, caseInsensitive) {
+    const source = (caseInsensitive ? pattern.toLowerCase() : pattern)
+        .split('**')
+        .map(part => part.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+        .join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+// Decoded path without query string, or null when it can't be checked safely
+function normalizePath(requestPath, caseInsensitive) {
+    const pathname = (requestPath || '/').split('?')[0];
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+    // Windows servers take `\` for `/`, and most ignore repeated slashes
+    const normalized = decoded.replace(/\\/g, '/').replace(/\/{2,}/g, '/');
+    // Dot segments would let `/public/../admin` slip past a `/public/**` rule
+    if (normalized.split('/').some(segment => segment === '.' || segment === '..')) {
+        return null;
+    }
+    return caseInsensitive ? normalized.toLowerCase() : normalized;
+}
+
+function bodySize(requestData) {
+    if (requestData.bodyChunks) {
+        return requestData.bodyChunks.size;
+    }
+    if (requestData.body === null || requestData.body === undefined) {
+        return 0;
+    }
+    if (requestData.bodyEncoding === 'base64') {
+        return Buffer.byteLength(requestData.body, 'base64');
+    }
+    return Buffer.byteLength(JSON.stringify(requestData.body));
+}
+
+function loadPolicy(file) {
+    const policy = JSON.parse(fs.readFileSync(path.resolve(__dirname, file), 'utf8'));
+    const defaultAction = policy.defaultAction || 'deny';
+    const caseInsensitive = !!policy.caseInsensitive;
+    if (!['allow', 'deny'].includes(defaultAction)) {
+        throw new Error(`Invalid defaultAction ${defaultAction} in policy ${file}`);
+    }
+
+    const rules = (policy.rules || []).map((rule, index) => {
+        const name = rule.name || `rule-${index}`;
+        if (!['allow', 'deny'].includes(rule.action)) {
+            throw new Error(`Policy rule ${name} needs an action of allow or deny`);
+        }
+        return {
+            name,
+            action: rule.action,
+            reason: rule.reason || null,
+            methods: rule.methods ? rule.methods.map(m => m.toUpperCase()) : null,
+            path: rule.path ? compilePattern(rule.path, caseInsensitive) : null,
+            clients: rule.clients || null,
+            maxBodySize: rule.maxBodySize,
+            stripHeaders: lowerCaseNames(rule.stripHeaders),
+            injectHeaders: compileHeaders(rule.injectHeaders, `Policy rule ${name}`)
+        };
+    });
+
+    return {
+        defaultAction,
+        caseInsensitive,
+        maxBodySize: policy.maxBodySize,
+        stripHeaders: lowerCaseNames(policy.stripHeaders),
+        injectHeaders: compileHeaders(policy.injectHeaders, 'Policy'),
+        rules
+    };
+}
+
+function createPolicy(policyConfig = {}) {
+    // Without a policy file every request is allowed, as before
+    const policy = policyConfig.file ? loadPolicy(policyConfig.file) : null;
+
+    function matches(rule, clientId, method, requestPath) {
+        if (rule.methods && !rule.methods.includes(method)) {
+            return false;
+        }
+        if (rule.clients && !rule.clients.includes(clientId)) {
+            return false;
+        }
+        return !rule.path || rule.path.test(requestPath);
+    }
+
+    // Returns { allowed, rule, reason, headers } - `headers` are the headers
+    // to forward when the request is allowed. `targetPath` is the path the
+    // request is routed to, when routing changed it.
+    function evaluate(clientId, requestData, targetPath = requestData.path) {
+        if (!policy) {
+            return { allowed: true, rule: null, reason: null, headers: requestData.headers };
+        }
+
+        const method = (requestData.method || '').toUpperCase();
+        const requestPath = normalizePath(targetPath, policy.caseInsensitive);
+        if (requestPath === null) {
+            return { allowed: false, rule: null, reason: 'Request path is malformed or contains dot segments' };
+        }
+
+        const rule = policy.rules.find(r => matches(r, clientId, method, requestPath)) || null;
+        const action = rule ? rule.action : policy.defaultAction;
+        if (action === 'deny') {
+            const reason = (rule && rule.reason) ||
+                (rule ? `${method} ${requestPath} is denied by rule ${rule.name}` : `${method} ${requestPath} is not allowed`);
+            return { allowed: false, rule, reason };
+        }
+
+        const maxBodySize = rule && rule.maxBodySize !== undefined ? rule.maxBodySize : policy.maxBodySize;
+        const size = bodySize(requestData);
+        if (maxBodySize !== undefined && size > maxBodySize) {
+            return { allowed: false, rule, reason: `Request body of ${size} bytes exceeds the limit of ${maxBodySize} bytes` };
+        }
+
+        const headers = {};
+        const strip = new Set([...policy.stripHeaders, ...(rule ? rule.stripHeaders : [])]);
+        Object.entries(requestData.headers || {}).forEach(([name, value]) => {
+            if (!strip.has(name.toLowerCase())) {
+                headers[name] = value;
+            }
+        });
+        // Injected headers replace whatever the caller sent under that name
+        const inject = { ...policy.injectHeaders, ...(rule ? rule.injectHeaders : {}) };
+        Object.entries(inject).forEach(([name, value]) => {
+            Object.keys(headers).filter(h => h.toLowerCase() === name).forEach(h => delete headers[h]);
+            headers[name] = value;
+        });
+
+        return { allowed: true, rule, reason: null, headers };
+    }
+
+    return { enabled: !!policy, evaluate };
+}
+
+module.exports = { createPolicy };
@@ -1,119 +1,1359 @@
 // rdp-client.js - Client that runs on Remote Desktop
-const fs = require('fs').promises;
+const net = require('net');
 const path = require('path');
+const { Readable } = require('stream');
 const axios = require('axios');
+const WebSocket = require('ws');
 const config = require('./config');
+const { version: VERSION } = require('./package.json');
+const { watchDirectory } = require('../shared/file-watcher');
+const { HOSTNAME, reclaimStaleLocks } = require('../shared/file-lock');
+const { collectGarbage } = require('../shared/garbage-collector');
+const { createTransport } = require('../shared/transport');
+const { createExchange } = require('../shared/exchange');
+const { createEnvelopeCipher, sealPayload, openPayload } = require('../shared/envelope-crypto');
+const { createReplayGuard } = require('../shared/replay-guard');
+const { PROTOCOL_VERSION, encodeEnvelope, decodeEnvelope, pickCompression, isBatch } = require('../shared/envelope-codec');
+const {
+    chunkSealing, streamIdOf, nextWithin, writeChunks, readChunks, removeChunks
+} = require('../shared/chunk-stream');
+const {
+    sessionIdOf, messageSealing, createMessageWriter, createMessageReader, bridgeSocket, removeMessages
+} = require('../shared/socket-session');
+const { relayConnection } = require('../shared/tcp-relay');
+const { withoutHopByHop, publicOriginOf, rewriteResponseHeaders } = require('../shared/http-headers');
+const { createRouter } = require('./routes');
+const { createPolicy } = require('./policy');
+const { createForwardProxy } = require('./forward-proxy');
+const { createAuditLog } = require('./audit-log');
+const { createReverseListener } = require('./reverse-listener');
+const { createRetryPolicy } = require('./retry-policy');
+const { createCircuitBreakers } = require('./circuit-breaker');
+const { createAdminServer } = require('./admin-server');
+const { checkTargets } = require('./target-check');
+const { createRegistry } = require('../shared/metrics');
+const { createRequestRegistry } = require('../shared/request-registry');
+const { createLogger, withRequestContext } = require('../shared/logger');
 
 // Configuration
-const TARGET_API = config.targetApi.url; // Full URL of the target API
+const router = createRouter(config); // Maps requests to target APIs
+const policy = createPolicy(config.policy); // Decides which requests may be forwarded
+const forwardProxy = createForwardProxy(config.forwardProxy); // Hosts reachable in forward-proxy mode
+const retryPolicy = createRetryPolicy(config.retry); // Which failed upstream requests are tried again
 const SHARED_FOLDER_PATH = config.sharedFolder.path;
-const REQUESTS_DIR = path.join(SHARED_FOLDER_PATH, 'requests');
-const RESPONSES_DIR = path.join(SHARED_FOLDER_PATH, 'responses');
-const POLL_INTERVAL = 50; // Reduced from 100ms to 50ms
+const transport = createTransport(config.transport, SHARED_FOLDER_PATH); // Where the shared folder's files live
+const CLIENTS_DIR = path.join(SHARED_FOLDER_PATH, 'clients'); // One namespace per local proxy
+const RESCAN_INTERVAL = 5000; // Full rescan of all namespaces in case a change was missed
 const BATCH_SIZE = 20; // Increased from 10 to 20
 const MAX_CONCURRENT_REQUESTS = 40; // Increased from 40 to 41
-const MAX_RETRIES = 3; // Number of retries for failed requests
+const MAX_BATCH_CONCURRENCY = 8; // Requests of one batch sent to the internal API at once
+const UPSTREAM_TIMEOUT = 30000; // Timeout for a single upstream attempt
+const DEFAULT_REQUEST_TIMEOUT = 30000; // Deadline for requests that don't carry a timeout
+const HEARTBEAT_FILE = path.join(SHARED_FOLDER_PATH, 'heartbeat.json');
+const HEARTBEAT_INTERVAL = (config.heartbeat && config.heartbeat.interval) || 5000;
+const TARGET_CHECK_TIMEOUT = 2000; // Reachability probe timeout per target
+const TUNNEL = config.tunnel; // Protocol features offered to local proxies
+const STREAMING = config.streaming; // Large bodies travel as chunk files
+const WEBSOCKET = config.websocket; // WebSocket sessions relayed as message files
+const TCP = config.tcp; // Forwarded TCP connections relayed as chunk files
+const REVERSE = config.reverse; // Listeners whose requests a local proxy answers
+const ADMIN = config.admin; // Metrics and requests in flight over HTTP
+
+// Handshake headers of the caller's upgrade request, the upstream
+// connection makes its own
+const WEBSOCKET_HANDSHAKE_HEADERS = [
+    'connection',
+    'upgrade',
+    'sec-websocket-key',
+    'sec-websocket-version',
+    'sec-websocket-extensions',
+    'sec-websocket-protocol'
+];
+
+// Liveness state reported in the heartbeat file
+const startedAt = Date.now();
+let heartbeatSeq = 0;
+let queueDepth = 0; // Requests picked up but not yet answered
+let targetStatus = [];
+
+// Client namespaces being served, keyed by client ID
+const namespaces = new Map();
+// Reverse tunnel listeners, one per `reverse.listeners` entry
+const reverseListeners = [];
+// Per-client counters reported in the heartbeat
+const clientStats = new Map();
+
+// Cancellation - in-flight upstream calls by `<clientId>/<requestId>`, and
+// requests cancelled before they were started
+const inFlightRequests = new Map();
+const cancelledRequests = new Set();
+const MAX_CANCELLED_REQUESTS = 1000;
+
+// Envelope encryption - when enabled every request/response file is sealed
+// and anything that doesn't authenticate is rejected instead of executed
+const envelopeCipher = config.encryption.enabled ? createEnvelopeCipher(config.encryption.key) : null;
 
 // Track processed files to avoid re-processing
 const processedFiles = new Set();
 const MAX_PROCESSED_FILES = 1000; // Keep track of last 1000 files
 
-// Logging configuration
-const LOG_LEVELS = {
-    DEBUG: 0,
-    INFO: 1,
-    WARN: 2,
-    ERROR: 3
+// One JSON line per entry, see shared/logger.js
+const log = createLogger(config.logging, 'rdp-rest-proxy');
+
+const auditLog = createAuditLog(config.policy && config.policy.auditLog, log);
+// Request IDs already accepted, to reject replays - kept across restarts
+const replayGuard = createReplayGuard({
+    window: config.encryption.replayWindow,
+    file: config.encryption.replayFile ? path.resolve(__dirname, config.encryption.replayFile) : null,
+    log
+});
+const circuitBreakers = createCircuitBreakers(config.circuitBreaker, log); // Fail fast while a target is down
+
+// Requests, WebSocket sessions and connections in flight, for /_admin/requests.
+// Requests cancelled there are answered with 503 instead of left to time out.
+const requests = createRequestRegistry();
+const cancelledByAdmin = new Set();
+
+// Metrics for /_admin/metrics
+const metrics = createRegistry();
+const requestCounter = metrics.counter('rdp2rest_requests_total', 'Requests answered, by client, method, route and status');
+const requestDuration = metrics.histogram('rdp2rest_request_duration_seconds',
+    'Time from pickup until work started (queue) and spent on the internal API (upstream)');
+const retryCounter = metrics.counter('rdp2rest_retries_total', 'Upstream attempts that were retried, by route');
+const timeoutCounter = metrics.counter('rdp2rest_timeouts_total', 'Requests that expired before they were answered, by client');
+metrics.gauge('rdp2rest_queue_depth', 'Requests picked up but not yet answered', () => queueDepth);
+metrics.gauge('rdp2rest_requests_in_flight', 'Requests, WebSocket sessions and connections in flight', () => requests.count());
+metrics.gauge('rdp2rest_circuit_open', 'Targets whose circuit breaker is open or probing',
+    () => Object.keys(circuitBreakers.states()).map(target => ({ labels: { target }, value: 1 })));
+
+// Body encoding - bodies travel through the shared folder as base64
+function encodeBody(body, headers = {}) {
+    if (!body || body.length === 0) {
+        return { body: null, bodyEncoding: null };
+    }
+    return {
+        body: Buffer.from(body).toString('base64'),
+        bodyEncoding: 'base64',
+        contentType: headers['content-type'] || null,
+        contentEncoding: headers['content-encoding'] || null
+    };
+}
+
+function decodeBody(envelope) {
+    if (envelope.body === null || envelope.body === undefined) {
+        return undefined;
+    }
+    if (envelope.bodyEncoding === 'base64') {
+        return Buffer.from(envelope.body, 'base64');
+    }
+    // Envelopes from older local proxies carry the parsed JSON body
+    return envelope.body;
+}
+
+// Lock options - locks of a crashed local proxy are reclaimed once they age out
+const LOCK_OPTIONS = {
+    staleAfter: config.recovery.lockStaleAfter,
+    onReclaim: (lockPath, lock) => log('WARN', `Reclaimed stale lock`, { lockPath, owner: lock }),
+    transport
 };
 
-const LOG_LEVEL = process.env.LOG_LEVEL || 'INFO';
-const LOG_LEVEL_NUM = LOG_LEVELS[LOG_LEVEL];
+// Each local proxy owns clients/<clientId>/{requests,responses}
+function createNamespace(id) {
+    const dir = path.join(CLIENTS_DIR, id);
+    const requestsDir = path.join(dir, 'requests');
+    const responsesDir = path.join(dir, 'responses');
+    return {
+        id,
+        requestsDir,
+        responsesDir,
+        exchange: createExchange(transport, { requestsDir, responsesDir, lockOptions: LOCK_OPTIONS }),
+        watcher: null
+    };
+}
 
-function log(level, message, data = {}) {
-    if (LOG_LEVELS[level] >= LOG_LEVEL_NUM) {
-        const timestamp = new Date().toISOString();
-        const logMessage = `[${timestamp}] [${level}] ${message}`;
-        console.log(logMessage);
-        if (Object.keys(data).length > 0) {
-            console.log('Data:', JSON.stringify(data, null, 2));
-        }
+function statsFor(clientId) {
+    if (!clientStats.has(clientId)) {
+        clientStats.set(clientId, { received: 0, completed: 0, errors: 0, rejected: 0, denied: 0, inFlight: 0, lastRequestAt: null });
     }
+    return clientStats.get(clientId);
 }
 
-// File locking mechanism
-async function lockFile(filePath) {
-    const lockPath = `${filePath}.lock`;
+// Initialize directories - pending requests from before a restart are kept
+// and picked up by the first processRequests run
+async function initializeDirs() {
     try {
-        await fs.writeFile(lockPath, '');
-        return true;
+        await transport.mkdir(CLIENTS_DIR, { recursive: true });
+        log('INFO', `Using clients directory`, { clients: CLIENTS_DIR });
     } catch (error) {
-        return false;
+        log('ERROR', `Error initializing directories`, { error: error.message });
+        process.exit(1);
+    }
+}
+
+// The authenticated data ties a sealed envelope to its client and request
+function envelopeAad(kind, namespace, requestId) {
+    return `${kind}:${namespace.id}:${requestId}`;
+}
+
+function sealEnvelope(kind, namespace, requestId, payload) {
+    return envelopeCipher
+        ? envelopeCipher.seal(payload, envelopeAad(kind, namespace, requestId))
+        : payload;
+}
+
+// Returns { envelope, compression } - plain, compressed or batch files alike
+async function readRequestEnvelope(namespace, name) {
+    return decodeEnvelope(await namespace.exchange.readRequest(name));
+}
+
+// Authenticate a request envelope when encryption is enabled
+function openRequest(namespace, requestId, envelope) {
+    if (!envelopeCipher) {
+        return envelope;
+    }
+    const requestData = envelopeCipher.open(envelope, envelopeAad('request', namespace, requestId));
+    if (requestData.id !== requestId) {
+        throw new Error('Envelope request ID mismatch');
     }
+    return requestData;
 }
 
-async function unlockFile(filePath) {
-    const lockPath = `${filePath}.lock`;
+// Reject sealed requests that were already accepted or are too old
+async function isReplay(namespace, requestData) {
+    return !await replayGuard.accept(`${namespace.id}/${requestData.id}`, requestData.timestamp);
+}
+
+// Whether the local proxy left an authentic cancel marker for a request.
+// Forged markers are removed and ignored.
+async function hasCancelMarker(namespace, requestId) {
+    const content = await namespace.exchange.readCancel(requestId);
+    if (content === null) {
+        return false;
+    }
     try {
-        await fs.unlink(lockPath);
+        openPayload(envelopeCipher, JSON.parse(content), envelopeAad('cancel', namespace, requestId));
         return true;
     } catch (error) {
+        log('WARN', `Ignoring unauthenticated cancel marker`, { clientId: namespace.id, requestId, reason: error.message });
+        await namespace.exchange.clearCancel(requestId);
         return false;
     }
 }
 
-// Check if directories exist
-async function checkDirs() {
+// Rewrite a request file in place, keeping its compression, unless the local
+// proxy already cleaned it up (re-creating it would leave an orphan behind)
+async function rewriteRequestFile(namespace, name, envelope, compression) {
+    await namespace.exchange.rewriteRequest(name, await encodeEnvelope(envelope, { compression }));
+}
+
+async function updateRequestStatus(namespace, name, requestData, status, compression) {
+    requestData.status = status;
+    await rewriteRequestFile(namespace, name, sealEnvelope('request', namespace, requestData.id, requestData), compression);
+}
+
+// Recover after a crash: reclaim locks of dead processes and make sure requests
+// that were already answered aren't sent to the internal API a second time
+async function recoverNamespace(namespace) {
+    const reclaimedLocks = (await reclaimStaleLocks(namespace.requestsDir, LOCK_OPTIONS)) +
+        (await reclaimStaleLocks(namespace.responsesDir, LOCK_OPTIONS));
+    
+    let pending = 0;
+    let alreadyAnswered = 0;
+    const files = await namespace.exchange.listRequests();
+    for (const file of files) {
+        const name = path.basename(file, '.json');
+        try {
+            const { envelope, compression } = await readRequestEnvelope(namespace, name);
+            const requestData = isBatch(envelope) ? envelope : openRequest(namespace, name, envelope);
+            if (requestData.status !== 'pending') {
+                continue;
+            }
+            if (!await namespace.exchange.isAnswered(name)) {
+                pending++;
+            } else if (isBatch(envelope)) {
+                envelope.status = 'completed';
+                await rewriteRequestFile(namespace, name, envelope, compression);
+                alreadyAnswered++;
+            } else {
+                await updateRequestStatus(namespace, name, requestData, 'completed', compression);
+                alreadyAnswered++;
+            }
+        } catch (error) {
+            log('WARN', `Could not inspect request during recovery`, { file, error: error.message });
+        }
+    }
+    
+    log('INFO', `Recovery complete`, { clientId: namespace.id, reclaimedLocks, pending, alreadyAnswered });
+}
+
+// Expire request/response files whose caller is long gone
+async function runGarbageCollector() {
     try {
-        await fs.access(REQUESTS_DIR);
-        await fs.access(RESPONSES_DIR);
+        const dirs = [];
+        namespaces.forEach(ns => dirs.push(ns.requestsDir, ns.responsesDir));
+        reverseListeners.forEach(listener => dirs.push(listener.requestsDir, listener.responsesDir));
+        const result = await collectGarbage(dirs, {
+            maxAge: config.recovery.maxAge,
+            lockOptions: LOCK_OPTIONS,
+            transport
+        });
+        if (result.removed > 0 || result.reclaimedLocks > 0) {
+            log('INFO', `Garbage collected shared folder`, result);
+        }
+    } catch (error) {
+        log('ERROR', `Error collecting garbage`, { error: error.message });
+    }
+}
+
+// Make request to internal API, retrying as the route's retry policy allows
+// and giving up at the deadline, as soon as the request is cancelled or when
+// the target's circuit breaker opens. `body` returns a fresh request body for
+// every attempt; the response body is returned as a stream. `probe` is set
+// when the request was let through as the circuit breaker's probe.
+async function forwardRequest(requestData, target, { headers, body, signal, deadline, probe }) {
+    const retry = retryPolicy.forRoute(target.route);
+    const origin = new URL(target.url).origin;
+    let probing = !!probe; // This attempt must report to the circuit breaker
+    
+    for (let attempt = 1; ; attempt++) {
+        let response = null;
+        let error = null;
+        try {
+            response = await axios({
+                method: requestData.method,
+                url: target.url,
+                headers,
+                data: body(),
+                responseType: 'stream',
+                validateStatus: () => true,
+                timeout: Math.min(UPSTREAM_TIMEOUT, deadline - Date.now()),
+                signal,
+                maxRedirects: 0,
+                decompress: false, // The caller gets the body as the internal API encoded it
+                proxy: !config.proxy.enabled,
+                maxContentLength: Infinity,
+                maxBodyLength: Infinity
+            });
+        } catch (caught) {
+            error = caught;
+        }
+        if (signal.aborted) {
+            if (probing) {
+                circuitBreakers.release(origin);
+            }
+            throw error || new Error('Request cancelled');
+        }
+        circuitBreakers.record(origin, { error, status: response && response.status });
+        probing = false;
+        
+        const outcome = { error, status: response && response.status };
+        const delay = attempt < retry.maxAttempts && retry.shouldRetry(requestData.method, outcome)
+            ? retry.delay(attempt, response ? response.headers : {})
+            : null;
+        const circuit = delay === null || Date.now() + delay >= deadline ? null : circuitBreakers.acquire(origin);
+        if (!circuit || !circuit.allowed) {
+            if (error) {
+                throw error;
+            }
+            return response;
+        }
+        probing = !!circuit.probe;
+        
+        if (response) {
+            response.data.destroy();
+        }
+        retryCounter.inc({ route: target.route.name });
+        log('WARN', `Retrying upstream request`, {
+            requestId: requestData.id,
+            url: target.url,
+            attempt,
+            delay,
+            reason: error ? error.message : `HTTP ${response.status}`
+        });
+        await new Promise(resolve => setTimeout(resolve, delay));
+        if (signal.aborted) {
+            if (probing) {
+                circuitBreakers.release(origin);
+            }
+            throw new Error('Request cancelled');
+        }
+    }
+}
+
+// Headers for the upstream request. Hop-by-hop headers and Content-Length
+// belonged to the local proxy's connection, and Host is the target's unless
+// the route keeps the caller's. Response bodies are passed on undecoded, so
+// a caller that accepts no encoding asks for none.
+function upstreamHeaders(requestData, headers, target) {
+    const result = withoutHopByHop(headers, target.route.preserveHost
+        ? ['content-length']
+        : ['content-length', 'host']);
+    if (requestData.bodyChunks) {
+        result['content-length'] = String(requestData.bodyChunks.size);
+    }
+    if (!Object.keys(result).some(name => name.toLowerCase() === 'accept-encoding')) {
+        result['accept-encoding'] = 'identity';
+    }
+    // The ID the caller got back, unless it sent one of its own
+    if (!Object.keys(result).some(name => name.toLowerCase() === 'x-request-id')) {
+        result['x-request-id'] = requestData.id;
+    }
+    return result;
+}
+
+// Added to every line logged while a request is handled
+function requestContextOf(namespace, requestData) {
+    return {
+        clientId: namespace.id,
+        requestId: requestData.id,
+        callerRequestId: requestData.headers ? requestData.headers['x-request-id'] : undefined
+    };
+}
+
+// Response headers as the caller should see them. For routed requests,
+// redirects and cookies pointing at the target are translated to the address
+// the caller used; forward-proxy clients know the real host already.
+function responseHeaders(requestData, target, headers) {
+    if (forwardProxy.isProxied(requestData)) {
+        return withoutHopByHop(headers);
+    }
+    return rewriteResponseHeaders(headers, {
+        requestUrl: target.url,
+        targetUrl: target.route.target,
+        publicOrigin: publicOriginOf(requestData.headers),
+        prefix: target.route.stripPrefix ? target.route.pathPrefix : ''
+    });
+}
+
+// Handle a cancel marker written by the local proxy
+async function handleCancel(namespace, file) {
+    const requestId = file.replace(/\.cancel$/, '');
+    const key = `${namespace.id}/${requestId}`;
+    
+    // The watcher may report the same marker more than once
+    if (cancelledRequests.has(key) || !await hasCancelMarker(namespace, requestId)) {
+        return;
+    }
+    cancelledRequests.add(key);
+    if (cancelledRequests.size > MAX_CANCELLED_REQUESTS) {
+        cancelledRequests.delete(cancelledRequests.values().next().value);
+    }
+    
+    const controller = inFlightRequests.get(key);
+    if (controller) {
+        log('INFO', `Aborting cancelled request`, { clientId: namespace.id, requestId });
+        controller.abort();
+        await namespace.exchange.clearCancel(requestId);
+    }
+    // Otherwise the marker stays until the queued request is skipped (or GC)
+}
+
+async function isCancelled(namespace, requestId) {
+    if (cancelledRequests.has(`${namespace.id}/${requestId}`)) {
         return true;
+    }
+    return hasCancelMarker(namespace, requestId);
+}
+
+// Run one request against the internal API and pass the response to
+// `respond`, unless nobody is waiting for it any more. A response body over
+// the streaming threshold, or a live one (event stream, long poll), is
+// written as chunk files in the background after `respond` returns.
+// Resolves with the status to record for the request.
+async function handleRequest(namespace, requestData, seenAt, respond) {
+    const stats = statsFor(namespace.id);
+    
+    if (envelopeCipher && await isReplay(namespace, requestData)) {
+        stats.rejected++;
+        log('ERROR', `Rejected replayed request envelope`, {
+            clientId: namespace.id,
+            requestId: requestData.id,
+            timestamp: requestData.timestamp
+        });
+        return { status: 'rejected' };
+    }
+    
+    // Never start work the caller will no longer accept
+    const key = `${namespace.id}/${requestData.id}`;
+    const deadline = seenAt + (requestData.timeout || DEFAULT_REQUEST_TIMEOUT);
+    if (await isCancelled(namespace, requestData.id)) {
+        log('INFO', `Skipping cancelled request`, { clientId: namespace.id, requestId: requestData.id });
+        await namespace.exchange.clearCancel(requestData.id);
+        return { status: 'cancelled' };
+    }
+    if (Date.now() >= deadline) {
+        log('WARN', `Skipping expired request`, { clientId: namespace.id, requestId: requestData.id });
+        timeoutCounter.inc({ client: namespace.id });
+        return { status: 'expired' };
+    }
+    
+    stats.received++;
+    stats.inFlight++;
+    stats.lastRequestAt = Date.now();
+    requestDuration.observe({ phase: 'queue' }, (Date.now() - seenAt) / 1000);
+    
+    const controller = new AbortController();
+    inFlightRequests.set(key, controller);
+    const tracked = requests.track(key, {
+        clientId: namespace.id,
+        requestId: requestData.id,
+        kind: requestData.websocket ? 'websocket' : (requestData.tcp || requestData.connect ? 'connection' : 'http'),
+        method: requestData.method,
+        path: requestData.path,
+        state: 'upstream'
+    }, () => {
+        cancelledByAdmin.add(key);
+        controller.abort();
+    });
+    let route = null; // Name of the matched route, for metrics
+    let responded = false;
+    let detached = false; // Set once the rest of the work continues in the background
+    const countRequest = (status) => requestCounter.inc({
+        client: namespace.id,
+        method: requestData.method,
+        route: route || 'none',
+        status
+    });
+    const finish = () => {
+        stats.inFlight--;
+        inFlightRequests.delete(key);
+        cancelledByAdmin.delete(key);
+        tracked.done();
+    };
+    let probeOrigin = null; // Circuit probed by this request, until forwardRequest reports on it
+    
+    try {
+        const { decision, target } = resolveRequest(namespace, requestData);
+        route = target ? target.route.name : null;
+        // HTTP requests for a target whose circuit breaker is open fail fast
+        const isHttp = !requestData.tcp && !requestData.connect && !requestData.websocket;
+        const circuit = decision.allowed && target && isHttp
+            ? circuitBreakers.acquire(new URL(target.url).origin)
+            : { allowed: true };
+        probeOrigin = circuit.probe ? new URL(target.url).origin : null;
+        let responseData;
+        let head = null; // Response body read so far, the rest is streamed
+        let live = false; // Response body is relayed segment by segment
+        let upstreamSocket = null; // Open upstream WebSocket of a session
+        let connection = null; // Open upstream socket of a TCP forward
+        
+        if (policy.enabled) {
+            await auditLog.record({
+                clientId: namespace.id,
+                caller: requestData.caller || null,
+                requestId: requestData.id,
+                method: requestData.method,
+                path: requestData.path,
+                route: target ? target.route.name : null,
+                decision: !decision.allowed ? 'deny' : decision.unchecked ? 'unchecked' : 'allow',
+                rule: decision.rule ? decision.rule.name : null,
+                reason: decision.reason
+            });
+        }
+        
+        if (!decision.allowed) {
+            stats.denied++;
+            log('WARN', `Request denied by policy`, {
+                clientId: namespace.id,
+                requestId: requestData.id,
+                method: requestData.method,
+                path: requestData.path,
+                reason: decision.reason
+            });
+            responseData = {
+                statusCode: 403,
+                headers: { 'content-type': 'application/json' },
+                body: {
+                    error: 'Forbidden',
+                    message: decision.reason
+                },
+                timestamp: Date.now()
+            };
+        } else if (!target) {
+            log('WARN', `No route matches request`, {
+                clientId: namespace.id,
+                requestId: requestData.id,
+                method: requestData.method,
+                path: requestData.path,
+                host: requestData.headers && requestData.headers.host,
+                localPort: requestData.localPort
+            });
+            responseData = {
+                statusCode: 502,
+                headers: { 'content-type': 'application/json' },
+                body: {
+                    error: 'Bad Gateway',
+                    message: `No route configured for ${requestData.method} ${requestData.path}`
+                },
+                timestamp: Date.now()
+            };
+        } else if (!circuit.allowed) {
+            log('WARN', `Target unavailable, failing fast`, {
+                clientId: namespace.id,
+                requestId: requestData.id,
+                route: target.route.name,
+                url: target.url,
+                retryAfter: circuit.retryAfter
+            });
+            responseData = {
+                statusCode: 503,
+                headers: {
+                    'content-type': 'application/json',
+                    'retry-after': String(Math.ceil(circuit.retryAfter / 1000))
+                },
+                body: {
+                    error: 'Service Unavailable',
+                    message: `${new URL(target.url).origin} is failing, requests are paused for ${Math.ceil(circuit.retryAfter / 1000)}s`
+                },
+                timestamp: Date.now()
+            };
+        } else if (requestData.tcp || requestData.connect) {
+            log('INFO', `Opening forwarded connection`, {
+                clientId: namespace.id,
+                requestId: requestData.id,
+                forward: requestData.tcp || requestData.connect,
+                target: target.url
+            });
+            try {
+                connection = await connectTcp(target, { signal: controller.signal, deadline });
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    log('INFO', `Request cancelled while in flight`, { clientId: namespace.id, requestId: requestData.id });
+                    return { status: 'cancelled' };
+                }
+                log('WARN', `Could not open forwarded connection`, {
+                    clientId: namespace.id,
+                    requestId: requestData.id,
+                    forward: requestData.tcp || requestData.connect,
+                    error: error.message
+                });
+            }
+            responseData = connection
+                ? { statusCode: 200, headers: {}, body: null, tcp: { connected: true }, timestamp: Date.now() }
+                : {
+                    statusCode: 502,
+                    headers: { 'content-type': 'application/json' },
+                    body: {
+                        error: 'Bad Gateway',
+                        message: `Could not connect to ${requestData.tcp || requestData.connect} at ${target.url}`
+                    },
+                    timestamp: Date.now()
+                };
+        } else if (requestData.websocket) {
+            log('INFO', `Opening WebSocket session`, {
+                clientId: namespace.id,
+                requestId: requestData.id,
+                path: requestData.path,
+                route: target.route.name,
+                url: target.url
+            });
+            let upgrade;
+            try {
+                upgrade = await connectWebSocket(target.url, {
+                    headers: upstreamHeaders(requestData, decision.headers, target),
+                    signal: controller.signal,
+                    deadline
+                });
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    log('INFO', `Request cancelled while in flight`, { clientId: namespace.id, requestId: requestData.id });
+                    return { status: 'cancelled' };
+                }
+                throw error;
+            }
+            upstreamSocket = upgrade.socket || null;
+            responseData = upstreamSocket
+                ? {
+                    statusCode: 101,
+                    headers: {},
+                    body: null,
+                    websocket: { protocol: upstreamSocket.protocol || null },
+                    timestamp: Date.now()
+                }
+                : {
+                    ...upgrade.response,
+                    headers: responseHeaders(requestData, target, upgrade.response.headers),
+                    timestamp: Date.now()
+                };
+        } else {
+            log('INFO', `Processing request`, {
+                clientId: namespace.id,
+                requestId: requestData.id,
+                method: requestData.method,
+                path: requestData.path,
+                route: target.route.name,
+                url: target.url,
+                headers: requestData.headers,
+                contentType: requestData.contentType,
+                bodySize: requestData.bodyChunks ? requestData.bodyChunks.size : (requestData.body ? requestData.body.length : 0)
+            });
+            
+            // Large uploads arrive as chunk files next to the request
+            const body = requestData.bodyChunks
+                ? () => Readable.from(readChunks(
+                    namespace.requestsDir,
+                    requestData.id,
+                    requestData.bodyChunks.chunks,
+                    requestData.bodyChunks.size,
+                    chunkSealing(envelopeCipher, `request-body:${namespace.id}:${requestData.id}`).open,
+                    transport
+                ))
+                : () => decodeBody(requestData);
+            
+            const upstreamStart = Date.now();
+            let response;
+            try {
+                probeOrigin = null;
+                response = await forwardRequest(requestData, target, {
+                    headers: upstreamHeaders(requestData, decision.headers, target),
+                    body,
+                    signal: controller.signal,
+                    deadline,
+                    probe: circuit.probe
+                });
+                // Event streams and long polls are relayed as they arrive,
+                // unless they finish quickly enough to answer in one piece
+                live = !!requestData.streaming && isLiveResponse(response.headers);
+                head = await readUpTo(response.data, STREAMING.threshold, null,
+                    live ? STREAMING.flushInterval : Infinity);
+                // Local proxies from before streaming need the whole body
+                if (!head.done && !requestData.streaming) {
+                    head = await readUpTo(response.data, Infinity, head);
+                }
+            } catch (error) {
+                // Nobody is waiting for an answer any more
+                if (controller.signal.aborted || Date.now() >= deadline) {
+                    const status = controller.signal.aborted ? 'cancelled' : 'expired';
+                    if (status === 'expired') {
+                        timeoutCounter.inc({ client: namespace.id });
+                    }
+                    log('INFO', `Request ${status} while in flight`, {
+                        clientId: namespace.id,
+                        requestId: requestData.id
+                    });
+                    return { status };
+                }
+                throw error;
+            }
+            responseData = {
+                statusCode: response.status,
+                headers: responseHeaders(requestData, target, response.headers),
+                ...(head.done
+                    ? encodeBody(Buffer.concat(head.chunks), response.headers)
+                    : { body: null, stream: { chunkSize: STREAMING.chunkSize, live } }),
+                upstreamTime: Date.now() - upstreamStart,
+                timestamp: Date.now()
+            };
+            requestDuration.observe({ phase: 'upstream' }, responseData.upstreamTime / 1000);
+        }
+        
+        responseData.route = route;
+        try {
+            await respond(responseData);
+            responded = true;
+            countRequest(responseData.statusCode);
+        } catch (error) {
+            if (upstreamSocket) {
+                upstreamSocket.terminate();
+            }
+            if (connection) {
+                connection.destroy();
+            }
+            throw error;
+        }
+        
+        // The request stays in flight (and cancellable) until the body is
+        // written or the session or connection is closed
+        if (responseData.stream) {
+            detached = true;
+            tracked.setState('streaming');
+            // Aborting closes the upstream response if writing gave up early
+            writeResponseBody(namespace, requestData, head, live, controller.signal).finally(() => {
+                controller.abort();
+                finish();
+            });
+        } else if (upstreamSocket) {
+            detached = true;
+            tracked.setState('open');
+            runSession(namespace, requestData, upstreamSocket, controller.signal).finally(finish);
+        } else if (connection) {
+            detached = true;
+            tracked.setState('open');
+            runConnection(namespace, requestData, connection, controller.signal).finally(finish);
+        } else {
+            stats.completed++;
+        }
+        return { status: 'completed' };
     } catch (error) {
-        log('ERROR', `Directories not accessible`, { error: error.message });
-        return false;
+        // Answered with a 500 by the caller
+        countRequest(500);
+        throw error;
+    } finally {
+        // Never entered forwardRequest, so the next request probes instead
+        if (probeOrigin) {
+            circuitBreakers.release(probeOrigin);
+        }
+        // Tell the local proxy now rather than letting it time out
+        if (cancelledByAdmin.has(key) && !responded) {
+            await respond({
+                statusCode: 503,
+                headers: { 'content-type': 'application/json' },
+                body: { error: 'Service Unavailable', message: 'Request was cancelled on the RDP proxy' },
+                route,
+                timestamp: Date.now()
+            }).then(() => countRequest(503), (error) => {
+                log('WARN', `Could not answer cancelled request`, { clientId: namespace.id, requestId: requestData.id, error: error.message });
+            });
+        }
+        if (!detached) {
+            finish();
+        }
     }
 }
 
-// Initialize directories
-async function initializeDirs() {
+// Write the rest of a streamed response body as chunk files. This runs after
+// the request is answered, so a long download or a live stream doesn't hold
+// up other requests.
+async function writeResponseBody(namespace, requestData, head, live, signal) {
+    const stats = statsFor(namespace.id);
     try {
-        // Delete existing directories if they exist
-        await fs.rm(REQUESTS_DIR, { recursive: true, force: true }).catch(() => {});
-        await fs.rm(RESPONSES_DIR, { recursive: true, force: true }).catch(() => {});
+        const manifest = await writeChunks(head.iterator, {
+            dir: namespace.responsesDir,
+            id: requestData.id,
+            chunkSize: STREAMING.chunkSize,
+            initial: head.chunks,
+            window: STREAMING.maxPendingChunks,
+            flushAfter: live ? STREAMING.flushInterval : undefined,
+            deadline: live ? Date.now() + STREAMING.maxLiveDuration : undefined,
+            stallTimeout: requestData.timeout || DEFAULT_REQUEST_TIMEOUT,
+            signal,
+            transport,
+            ...chunkSealing(envelopeCipher, `response-body:${namespace.id}:${requestData.id}`)
+        });
+        stats.completed++;
+        log('INFO', `Response body streamed`, { clientId: namespace.id, requestId: requestData.id, ...manifest });
+    } catch (error) {
+        if (signal.aborted) {
+            log('INFO', `Request cancelled while streaming`, { clientId: namespace.id, requestId: requestData.id });
+            await removeChunks(namespace.responsesDir, requestData.id, transport);
+            return;
+        }
+        // The manifest tells the local proxy the transfer failed
+        stats.errors++;
+        log('ERROR', `Error streaming response body`, {
+            clientId: namespace.id,
+            requestId: requestData.id,
+            error: error.message
+        });
+    }
+}
+
+// Event streams, and chunked responses of unknown length such as long polls
+function isLiveResponse(headers) {
+    const contentType = String(headers['content-type'] || '');
+    if (contentType.toLowerCase().startsWith('text/event-stream')) {
+        return true;
+    }
+    return String(headers['transfer-encoding'] || '').includes('chunked') && !headers['content-length'];
+}
+
+// Read a response stream until it ends, more than `limit` bytes came in or
+// `wait` ms have passed. The iterator is kept so the rest can be read later.
+async function readUpTo(stream, limit, head = null, wait = Infinity) {
+    let iterator = head ? head.iterator : stream[Symbol.asyncIterator]();
+    const chunks = head ? head.chunks : [];
+    const until = Date.now() + wait;
+    let size = head ? head.size : 0;
+    while (size <= limit) {
+        const next = iterator.next();
+        const result = wait === Infinity ? await next : await nextWithin(next, Math.max(0, until - Date.now()));
+        if (result === null) {
+            // Whoever reads on gets the value this next() resolves with first
+            const source = iterator;
+            let pending = next;
+            iterator = {
+                next: () => {
+                    const value = pending || source.next();
+                    pending = null;
+                    return value;
+                }
+            };
+            return { chunks, size, done: false, iterator };
+        }
+        const { value, done } = result;
+        if (done) {
+            return { chunks, size, done: true, iterator };
+        }
+        chunks.push(value);
+        size += value.length;
+    }
+    return { chunks, size, done: false, iterator };
+}
+
+// Open the upstream WebSocket for a session. Resolves with { socket } once
+// the target switched protocols, or { response } with whatever else it
+// answered (e.g. 401 or 404) so the caller gets that instead.
+function connectWebSocket(url, { headers, signal, deadline }) {
+    return new Promise((resolve, reject) => {
+        const forwarded = {};
+        Object.entries(headers).forEach(([name, value]) => {
+            if (!WEBSOCKET_HANDSHAKE_HEADERS.includes(name.toLowerCase())) {
+                forwarded[name] = value;
+            }
+        });
+        const protocols = String(headers['sec-websocket-protocol'] || '')
+            .split(',')
+            .map(protocol => protocol.trim())
+            .filter(Boolean);
+        
+        const socket = new WebSocket(url, protocols, {
+            headers: forwarded,
+            handshakeTimeout: Math.max(1, deadline - Date.now()),
+            followRedirects: false
+        });
+        const abort = () => socket.terminate();
+        signal.addEventListener('abort', abort, { once: true });
+        const settle = (settleWith, value) => {
+            signal.removeEventListener('abort', abort);
+            settleWith(value);
+        };
         
-        // Create new directories
-        await fs.mkdir(REQUESTS_DIR, { recursive: true });
-        await fs.mkdir(RESPONSES_DIR, { recursive: true });
-        log('INFO', `Created directories`, { 
-            requests: REQUESTS_DIR,
-            responses: RESPONSES_DIR
+        socket.on('error', error => settle(reject, error));
+        // Frames the target sends right after the handshake wait until
+        // bridgeSocket() resumes the socket, instead of being emitted before
+        // anything listens for them
+        socket.once('open', () => {
+            socket.pause();
+            settle(resolve, { socket });
+        });
+        socket.once('unexpected-response', async (req, res) => {
+            try {
+                const chunks = [];
+                for await (const chunk of res) {
+                    chunks.push(chunk);
+                }
+                settle(resolve, {
+                    response: {
+                        statusCode: res.statusCode,
+                        headers: res.headers,
+                        ...encodeBody(Buffer.concat(chunks), res.headers)
+                    }
+                });
+            } catch (error) {
+                settle(reject, error);
+            } finally {
+                req.destroy();
+            }
+        });
+    });
+}
+
+// Relay frames between an upstream WebSocket and the local proxy until
+// either end closes the session (or the request is cancelled)
+async function runSession(namespace, requestData, socket, signal) {
+    const stats = statsFor(namespace.id);
+    const sessionId = requestData.id;
+    const abort = () => socket.terminate();
+    signal.addEventListener('abort', abort, { once: true });
+    
+    try {
+        const { code, reason, by } = await bridgeSocket(socket, {
+            reader: createMessageReader({
+                dir: namespace.requestsDir,
+                id: sessionId,
+                watcher: namespace.watcher,
+                idleTimeout: WEBSOCKET.idleTimeout,
+                transport,
+                ...messageSealing(envelopeCipher, `ws-up:${namespace.id}:${sessionId}`)
+            }),
+            writer: createMessageWriter({
+                dir: namespace.responsesDir,
+                id: sessionId,
+                transport,
+                ...messageSealing(envelopeCipher, `ws-down:${namespace.id}:${sessionId}`)
+            }),
+            keepAliveInterval: WEBSOCKET.keepAliveInterval,
+            onError: (error) => log('WARN', `WebSocket session error`, {
+                clientId: namespace.id,
+                requestId: sessionId,
+                error: error.message
+            })
+        });
+        stats.completed++;
+        log('INFO', `WebSocket session closed`, {
+            clientId: namespace.id,
+            requestId: sessionId,
+            code,
+            reason,
+            closedBy: by === 'peer' ? 'client' : 'upstream'
+        });
+    } finally {
+        signal.removeEventListener('abort', abort);
+        await removeMessages(namespace.requestsDir, sessionId, transport);
+    }
+}
+
+// Decide whether a request may be forwarded and where to. TCP forwards can
+// only reach the targets in `tcp.targets`, and only for `tcp.allowedClients`;
+// forward-proxy requests only the hosts in `forwardProxy.allowedHosts`.
+// Everything but raw connections is also checked against the policy; those
+// are allowed as `unchecked`. Resolves with { decision, target }.
+function resolveRequest(namespace, requestData) {
+    const open = { allowed: true, unchecked: true, rule: null, reason: 'Raw connections are not checked against the policy' };
+    if (requestData.tcp) {
+        const allowedClients = TCP.allowedClients || [];
+        if (!allowedClients.includes('*') && !allowedClients.includes(namespace.id)) {
+            return {
+                decision: { allowed: false, rule: null, reason: `Client ${namespace.id} may not open TCP forwards (tcp.allowedClients)` },
+                target: null
+            };
+        }
+        return { decision: open, target: resolveTcpTarget(requestData.tcp) };
+    }
+    if (!forwardProxy.isProxied(requestData)) {
+        const { target, reason } = router.resolve(requestData);
+        if (reason) {
+            return { decision: { allowed: false, rule: null, reason }, target: null };
+        }
+        return { decision: policy.evaluate(namespace.id, requestData, target ? target.path : undefined), target };
+    }
+    const { target, reason } = forwardProxy.resolve(requestData);
+    if (!target) {
+        return { decision: { allowed: false, rule: null, reason }, target: null };
+    }
+    return { decision: requestData.connect ? open : policy.evaluate(namespace.id, requestData, target.path), target };
+}
+
+// `tcp.targets` entry for a forward name, shaped like a route match
+function resolveTcpTarget(name) {
+    const target = Object.prototype.hasOwnProperty.call(TCP.targets, name) ? TCP.targets[name] : null;
+    if (!target) {
+        return null;
+    }
+    const separator = target.lastIndexOf(':');
+    return {
+        route: { name },
+        host: target.slice(0, separator),
+        port: Number(target.slice(separator + 1)),
+        url: `tcp://${target}`
+    };
+}
+
+// Connect to a TCP forward target, giving up at the deadline or when the
+// request is cancelled
+function connectTcp(target, { signal, deadline }) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host: target.host, port: target.port, allowHalfOpen: true });
+        const timer = setTimeout(() => {
+            socket.destroy(new Error('Connection timed out'));
+        }, Math.max(1, deadline - Date.now()));
+        const abort = () => socket.destroy(new Error('Connection cancelled'));
+        signal.addEventListener('abort', abort, { once: true });
+        const settle = (settleWith, value) => {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', abort);
+            settleWith(value);
+        };
+        
+        // Stays attached until the relay takes over the socket's errors
+        socket.on('error', error => settle(reject, error));
+        socket.once('connect', () => settle(resolve, socket));
+    });
+}
+
+// Relay a forwarded TCP connection between the target and the local proxy
+// until both directions are finished (or the request is cancelled)
+async function runConnection(namespace, requestData, socket, signal) {
+    const stats = statsFor(namespace.id);
+    const connectionId = requestData.id;
+    const abort = () => socket.destroy(new Error('Connection cancelled'));
+    signal.addEventListener('abort', abort, { once: true });
+    
+    try {
+        const result = await relayConnection(socket, {
+            id: connectionId,
+            outgoing: {
+                dir: namespace.responsesDir,
+                ...chunkSealing(envelopeCipher, `tcp-down:${namespace.id}:${connectionId}`)
+            },
+            incoming: {
+                dir: namespace.requestsDir,
+                ...chunkSealing(envelopeCipher, `tcp-up:${namespace.id}:${connectionId}`)
+            },
+            chunkSize: TCP.chunkSize,
+            window: TCP.maxPendingChunks,
+            idleTimeout: TCP.idleTimeout,
+            wait: (ms) => namespace.watcher.waitFor(`${connectionId}.stream`, ms),
+            transport
+        });
+        if (result.error) {
+            stats.errors++;
+        } else {
+            stats.completed++;
+        }
+        log('INFO', `Forwarded connection closed`, {
+            clientId: namespace.id,
+            requestId: connectionId,
+            forward: requestData.tcp || requestData.connect,
+            ...result
+        });
+    } finally {
+        signal.removeEventListener('abort', abort);
+    }
+}
+
+function errorResponse(error) {
+    return {
+        statusCode: 500,
+        headers: {},
+        body: {
+            error: 'Internal Server Error',
+            message: error.message
+        },
+        timestamp: Date.now()
+    };
+}
+
+// Write a response file and its .done marker. Responses are compressed with
+// the first of our algorithms the local proxy said it accepts.
+async function writeResponse(namespace, name, envelope, accept) {
+    const content = await encodeEnvelope(envelope, {
+        compression: pickCompression(TUNNEL.compression, accept),
+        minSize: TUNNEL.compressMin
+    });
+    await namespace.exchange.writeResponse(name, content);
+}
+
+// An answer for a request that won't be sent to the internal API
+function refusal(statusCode, error, message) {
+    return {
+        statusCode,
+        headers: { 'content-type': 'application/json' },
+        body: { error, message },
+        timestamp: Date.now()
+    };
+}
+
+// Run the requests of a batch, at most MAX_BATCH_CONCURRENCY at a time, and
+// answer each one in its own response file as soon as it is done. Requests
+// that were cancelled or expired get no answer, nobody waits for them. When
+// the batch can't be run at all, every request without an answer gets an
+// error, so none waits out its timeout.
+async function processBatch(namespace, batchId, batch, compression, seenAt) {
+    const stats = statsFor(namespace.id);
+    
+    const answer = async (id, response) => {
+        await writeResponse(namespace, id, sealEnvelope('response', namespace, id, response), batch.accept);
+        log('INFO', `Response written`, {
+            clientId: namespace.id,
+            batchId,
+            requestId: id,
+            status: response.statusCode,
+            streamed: !!response.stream
         });
+    };
+    const refuseAll = async (response) => {
+        for (const item of batch.batch) {
+            if (!await namespace.exchange.isAnswered(item.id)) {
+                await answer(item.id, response);
+            }
+        }
+    };
+    
+    if (batch.status !== 'pending') {
+        log('WARN', `Batch was already processed`, { clientId: namespace.id, batchId, status: batch.status });
+        await refuseAll(refusal(409, 'Conflict', `Batch ${batchId} was already processed (${batch.status})`));
+        return;
+    }
+    if (!TUNNEL.batching) {
+        log('WARN', `Refusing batch, batching is disabled`, { clientId: namespace.id, batchId });
+        await refuseAll(refusal(503, 'Service Unavailable', 'Batching is disabled on the remote proxy, send requests on their own'));
+        return;
+    }
+    
+    const semaphore = new Semaphore(MAX_BATCH_CONCURRENCY);
+    await Promise.all(batch.batch.map(async (item) => {
+        await semaphore.acquire();
+        try {
+            let requestData;
+            try {
+                requestData = openRequest(namespace, item.id, item.envelope);
+            } catch (error) {
+                stats.rejected++;
+                log('ERROR', `Rejected request envelope`, { clientId: namespace.id, batchId, requestId: item.id, reason: error.message });
+                await answer(item.id, refusal(502, 'Bad Gateway', `Request was rejected by the remote proxy: ${error.message}`));
+                return;
+            }
+            
+            try {
+                const result = await withRequestContext(requestContextOf(namespace, requestData), () => (
+                    handleRequest(namespace, requestData, seenAt, response => answer(item.id, response))
+                ));
+                // A replay must not replace the answer to the original
+                if (result.status === 'rejected' && !await namespace.exchange.isAnswered(item.id)) {
+                    await answer(item.id, refusal(502, 'Bad Gateway', 'Request was rejected by the remote proxy as a replay'));
+                }
+            } catch (error) {
+                stats.errors++;
+                log('ERROR', `Error processing request`, { clientId: namespace.id, batchId, requestId: item.id, error: error.message });
+                await answer(item.id, errorResponse(error));
+            }
+        } catch (error) {
+            log('ERROR', `Could not write response`, { clientId: namespace.id, batchId, requestId: item.id, error: error.message });
+        } finally {
+            semaphore.release();
+        }
+    }));
+    
+    batch.status = 'completed';
+    await rewriteRequestFile(namespace, batchId, batch, compression);
+}
+
+// Handle a request file from a client namespace - a single request, or a
+// batch of small requests packed together by the local proxy
+async function processRequestFile(namespace, file, seenAt) {
+    const name = path.basename(file, '.json');
+    const stats = statsFor(namespace.id);
+    
+    // Try to lock the request file
+    if (!await namespace.exchange.lockRequest(name)) {
+        return;
+    }
+    
+    let accept;
+    try {
+        // Read request - it may have been withdrawn by a cancelling caller
+        let envelope;
+        let compression;
+        try {
+            ({ envelope, compression } = await readRequestEnvelope(namespace, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        
+        if (isBatch(envelope)) {
+            await processBatch(namespace, name, envelope, compression, seenAt);
+            return;
+        }
+        
+        // Rejected requests are answered like those of a batch, so the local
+        // proxy doesn't wait for them until they time out. An answer that is
+        // already there is kept.
+        const refuse = async (message) => {
+            if (!await namespace.exchange.isAnswered(name)) {
+                await writeResponse(namespace, name, sealEnvelope('response', namespace, name, refusal(502, 'Bad Gateway', message)), accept);
+            }
+        };
+        
+        let requestData;
+        try {
+            requestData = openRequest(namespace, name, envelope);
+        } catch (error) {
+            stats.rejected++;
+            log('ERROR', `Rejected request envelope`, { clientId: namespace.id, file, reason: error.message });
+            await refuse(`Request was rejected by the remote proxy: ${error.message}`);
+            return;
+        }
+        
+        if (requestData.status !== 'pending') {
+            return;
+        }
+        accept = requestData.accept;
+        
+        const result = await withRequestContext(requestContextOf(namespace, requestData), () => (
+            handleRequest(namespace, requestData, seenAt, async (response) => {
+                await writeResponse(
+                    namespace,
+                    requestData.id,
+                    sealEnvelope('response', namespace, requestData.id, response),
+                    requestData.accept
+                );
+                log('INFO', `Response written`, {
+                    clientId: namespace.id,
+                    requestId: requestData.id,
+                    status: response.statusCode,
+                    streamed: !!response.stream
+                });
+            })
+        ));
+        
+        // Update request status. A replay must not replace the answer to
+        // the original.
+        if (result.status !== 'rejected') {
+            await updateRequestStatus(namespace, name, requestData, result.status, compression);
+        } else {
+            await refuse('Request was rejected by the remote proxy as a replay');
+        }
     } catch (error) {
-        log('ERROR', `Error initializing directories`, { error: error.message });
-        process.exit(1);
+        stats.errors++;
+        log('ERROR', `Error processing request`, { 
+            clientId: namespace.id,
+            file,
+            error: error.message,
+            stack: error.stack
+        });
+        
+        // Answer with the error, .done marker included, so the local proxy
+        // doesn't wait for a response until it times out
+        try {
+            await writeResponse(namespace, name, sealEnvelope('response', namespace, name, errorResponse(error)), accept);
+            
+            // Update request status
+            const { envelope, compression } = await readRequestEnvelope(namespace, name);
+            if (!isBatch(envelope)) {
+                await updateRequestStatus(namespace, name, openRequest(namespace, name, envelope), 'error', compression);
+            }
+        } catch (writeError) {
+            log('ERROR', `Could not write error response`, { clientId: namespace.id, file, error: writeError.message });
+        }
+    } finally {
+        await namespace.exchange.unlockRequest(name);
     }
 }
 
+// Find new request files in every namespace
+async function findNewRequests() {
+    const perClient = [];
+    for (const namespace of namespaces.values()) {
+        const files = await namespace.exchange.listRequests();
+        
+        // Filter out processed files and get only new ones
+        const newFiles = files.filter(f => !processedFiles.has(`${namespace.id}/${f}`));
+        if (newFiles.length > 0) {
+            const seenAt = Date.now();
+            perClient.push(newFiles.map(file => ({ namespace, file, seenAt })));
+        }
+    }
+    
+    // Interleave clients round-robin so one busy client can't starve the others
+    const queue = [];
+    for (let i = 0; perClient.some(list => i < list.length); i++) {
+        perClient.forEach(list => {
+            if (i < list.length) {
+                queue.push(list[i]);
+            }
+        });
+    }
+    return queue;
+}
+
 // Process requests
 async function processRequests() {
     try {
-        // Read requests directory
-        const files = await fs.readdir(REQUESTS_DIR);
-        
-        // Filter out processed files and get only new ones
-        const newFiles = files.filter(f => 
-            f.endsWith('.json') && 
-            !f.endsWith('.lock') && 
-            !processedFiles.has(f)
-        );
+        const newRequests = await findNewRequests();
         
-        if (newFiles.length === 0) {
+        if (newRequests.length === 0) {
             return;
         }
 
-        log('INFO', `Found new requests`, { count: newFiles.length });
+        log('INFO', `Found new requests`, { count: newRequests.length });
         
         // Add new files to processed set
-        newFiles.forEach(f => processedFiles.add(f));
+        newRequests.forEach(r => processedFiles.add(`${r.namespace.id}/${r.file}`));
+        queueDepth += newRequests.length;
         
         // Clean up old processed files if set is too large
         if (processedFiles.size > MAX_PROCESSED_FILES) {
@@ -123,138 +1363,27 @@ async function processRequests() {
         
         // Process requests in batches
         const batches = [];
-        for (let i = 0; i < newFiles.length; i += BATCH_SIZE) {
-            batches.push(newFiles.slice(i, i + BATCH_SIZE));
+        for (let i = 0; i < newRequests.length; i += BATCH_SIZE) {
+            batches.push(newRequests.slice(i, i + BATCH_SIZE));
         }
         
         // Process each batch
         for (const batch of batches) {
             // Process requests in parallel with concurrency limit
             const semaphore = new Semaphore(MAX_CONCURRENT_REQUESTS);
-            await Promise.all(batch.map(async (file) => {
+            await Promise.all(batch.map(async ({ namespace, file, seenAt }) => {
                 await semaphore.acquire();
                 try {
-                    const requestFile = path.join(REQUESTS_DIR, file);
-                    
-                    // Try to lock the request file
-                    if (!await lockFile(requestFile)) {
-                        return;
-                    }
-                    
-                    try {
-                        // Read request
-                        const requestData = JSON.parse(await fs.readFile(requestFile, 'utf8'));
-                        
-                        if (requestData.status !== 'pending') {
-                            return;
-                        }
-                        
-                        log('INFO', `Processing request`, {
-                            requestId: requestData.id,
-                            method: requestData.method,
-                            path: requestData.path,
-                            url: `${TARGET_API}${requestData.path}`,
-                            headers: requestData.headers,
-                            body: requestData.body
-                        });
-                        
-                        // Make request to internal API with retries
-                        let retries = 0;
-                        let response = null;
-                        let lastError = null;
-                        
-                        while (retries < MAX_RETRIES && !response) {
-                            try {
-                                response = await axios({
-                                    method: requestData.method,
-                                    url: `${TARGET_API}${requestData.path}`,
-                                    headers: requestData.headers,
-                                    data: requestData.body,
-                                    validateStatus: () => true,
-                                    timeout: 30000,
-                                    maxRedirects: 0,
-                                    proxy: !config.proxy.enabled,
-                                    maxContentLength: Infinity,
-                                    maxBodyLength: Infinity
-                                });
-                            } catch (error) {
-                                lastError = error;
-                                retries++;
-                                if (retries < MAX_RETRIES) {
-                                    await new Promise(resolve => setTimeout(resolve, 1000 * retries));
-                                }
-                            }
-                        }
-                        
-                        if (!response) {
-                            throw lastError || new Error('Max retries exceeded');
-                        }
-                        
-                        // Write response
-                        const responseFile = path.join(RESPONSES_DIR, `${requestData.id}.json`);
-                        const doneFile = `${responseFile}.done`;
-                        const responseData = {
-                            statusCode: response.status,
-                            headers: response.headers,
-                            body: response.data,
-                            timestamp: Date.now()
-                        };
-                        
-                        // Lock response file before writing
-                        if (!await lockFile(responseFile)) {
-                            throw new Error('Could not lock response file');
-                        }
-                        
-                        try {
-                            // First write the response file
-                            await fs.writeFile(responseFile, JSON.stringify(responseData, null, 2));
-                            
-                            // Then create the done file to signal completion
-                            await fs.writeFile(doneFile, '');
-                            
-                            log('INFO', `Response written`, { 
-                                requestId: requestData.id,
-                                status: response.status
-                            });
-                        } finally {
-                            await unlockFile(responseFile);
-                        }
-                        
-                        // Update request status
-                        requestData.status = 'completed';
-                        await fs.writeFile(requestFile, JSON.stringify(requestData, null, 2));
-                        
-                    } catch (error) {
-                        log('ERROR', `Error processing request`, { 
-                            file,
-                            error: error.message,
-                            stack: error.stack
-                        });
-                        
-                        // Create error response
-                        const responseFile = path.join(RESPONSES_DIR, `${file.replace('.json', '')}.json`);
-                        const errorResponse = {
-                            statusCode: 500,
-                            headers: {},
-                            body: {
-                                error: 'Internal Server Error',
-                                message: error.message
-                            },
-                            timestamp: Date.now()
-                        };
-                        
-                        await fs.writeFile(responseFile, JSON.stringify(errorResponse, null, 2));
-                        
-                        // Update request status
-                        const requestData = JSON.parse(await fs.readFile(requestFile, 'utf8'));
-                        requestData.status = 'error';
-                        await fs.writeFile(requestFile, JSON.stringify(requestData, null, 2));
-                        
-                    } finally {
-                        await unlockFile(requestFile);
-                    }
+                    await processRequestFile(namespace, file, seenAt);
+                } catch (error) {
+                    log('ERROR', `Error handling request file`, {
+                        clientId: namespace.id,
+                        file,
+                        error: error.message
+                    });
                 } finally {
                     semaphore.release();
+                    queueDepth--;
                 }
             }));
         }
@@ -266,6 +1395,59 @@ async function processRequests() {
     }
 }
 
+// Probe each route target for the heartbeat
+async function updateTargetStatus() {
+    targetStatus = await checkTargets(router.routes, { timeout: TARGET_CHECK_TIMEOUT, proxy: !config.proxy.enabled });
+}
+
+// Write heartbeat atomically so the local proxy never reads a partial file
+async function writeHeartbeat() {
+    const heartbeat = {
+        seq: ++heartbeatSeq,
+        pid: process.pid,
+        host: HOSTNAME,
+        version: VERSION,
+        startedAt,
+        uptime: Date.now() - startedAt,
+        queueDepth,
+        targets: targetStatus,
+        circuits: circuitBreakers.states(), // Targets currently failing fast
+        clients: Object.fromEntries(clientStats),
+        // What local proxies may use when writing to us
+        protocol: {
+            version: PROTOCOL_VERSION,
+            compression: TUNNEL.compression,
+            batching: TUNNEL.batching,
+            streaming: true,
+            websocket: true,
+            tcp: true,
+            forwardProxy: forwardProxy.enabled
+        },
+        interval: HEARTBEAT_INTERVAL,
+        timestamp: Date.now()
+    };
+    const tmpFile = `${HEARTBEAT_FILE}.tmp`;
+    try {
+        await transport.writeFile(tmpFile, JSON.stringify(sealPayload(envelopeCipher, heartbeat, 'heartbeat'), null, 2));
+        await transport.rename(tmpFile, HEARTBEAT_FILE);
+    } catch (error) {
+        log('WARN', `Could not write heartbeat`, { error: error.message });
+    }
+}
+
+function startHeartbeat() {
+    let checking = false;
+    const beat = async () => {
+        if (!checking) {
+            checking = true;
+            updateTargetStatus().finally(() => { checking = false; });
+        }
+        await writeHeartbeat();
+    };
+    beat();
+    setInterval(beat, HEARTBEAT_INTERVAL);
+}
+
 // Simple semaphore implementation for concurrency control
 class Semaphore {
     constructor(maxConcurrent) {
@@ -292,33 +1474,158 @@ class Semaphore {
     }
 }
 
+// Pick up namespaces of newly started local proxies
+async function discoverNamespaces(scan) {
+    const entries = await transport.readdir(CLIENTS_DIR, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+        if (!entry.isDirectory() || namespaces.has(entry.name)) {
+            continue;
+        }
+        const namespace = createNamespace(entry.name);
+        if (!await transport.exists(namespace.requestsDir)) {
+            continue; // Client is still creating its folders
+        }
+        namespaces.set(namespace.id, namespace);
+        statsFor(namespace.id);
+        await recoverNamespace(namespace);
+        
+        namespace.watcher = watchDirectory(namespace.requestsDir, {
+            ...config.watcher,
+            transport,
+            filter: f => f.endsWith('.json') || f.endsWith('.cancel') ||
+                sessionIdOf(f) !== null || streamIdOf(f) !== null
+        });
+        // Cancellations are handled right away, not after the current batch.
+        // Session messages and chunk files only wake up whoever waits for them.
+        namespace.watcher.on('change', (file) => {
+            const streamId = file && streamIdOf(file);
+            if (file && file.endsWith('.cancel')) {
+                handleCancel(namespace, file);
+            } else if (streamId) {
+                namespace.watcher.wake(`${streamId}.stream`);
+            } else if (!file || sessionIdOf(file) === null) {
+                scan();
+            }
+        });
+        namespace.watcher.on('fallback', (reason) => {
+            log('WARN', `File watcher unavailable, using adaptive polling`, { clientId: namespace.id, reason });
+        });
+        log('INFO', `Serving client`, { clientId: namespace.id, mode: namespace.watcher.mode });
+    }
+}
+
+// Listen for requests to services on a local proxy's machine
+async function startReverseListeners() {
+    for (const entry of REVERSE.listeners) {
+        try {
+            const listener = createReverseListener(entry, REVERSE, {
+                clientsDir: CLIENTS_DIR,
+                cipher: envelopeCipher,
+                transport,
+                watcherOptions: config.watcher,
+                lockOptions: LOCK_OPTIONS,
+                log
+            });
+            await listener.start();
+            reverseListeners.push(listener);
+            log('INFO', `Reverse tunnel listening`, {
+                address: `${listener.host}:${listener.port}`,
+                clientId: listener.clientId
+            });
+        } catch (error) {
+            log('ERROR', `Could not start reverse listener`, { port: entry.port, clientId: entry.client, error: error.message });
+        }
+    }
+}
+
+async function startAdminServer() {
+    if (!ADMIN || !ADMIN.port) {
+        return;
+    }
+    try {
+        await createAdminServer(ADMIN, { requests, metrics, log }).start();
+        log('INFO', `Admin API listening`, { address: `${ADMIN.host || '127.0.0.1'}:${ADMIN.port}` });
+    } catch (error) {
+        log('ERROR', `Could not start admin API`, { port: ADMIN.port, error: error.message });
+    }
+}
+
 // Main loop
 async function startPolling() {
-    console.log('Starting polling for requests...');
+    log('INFO', `Starting to watch for client requests`);
     
     // Initialize directories first
     await initializeDirs();
+    if (envelopeCipher) {
+        const remembered = await replayGuard.load();
+        log('INFO', `Loaded accepted request IDs`, { file: config.encryption.replayFile, remembered });
+    }
+    startHeartbeat();
+    await startReverseListeners();
+    await startAdminServer();
+    setInterval(runGarbageCollector, config.recovery.gcInterval);
     
     let isProcessing = false;
+    let rerun = false;
     
-    setInterval(async () => {
+    // Coalesce change notifications into a single processRequests run
+    const scan = async () => {
         if (isProcessing) {
+            rerun = true;
             return;
         }
         
         try {
             isProcessing = true;
-            const dirsExist = await checkDirs();
-            if (dirsExist) {
+            do {
+                rerun = false;
                 await processRequests();
-            }
+            } while (rerun);
         } finally {
             isProcessing = false;
         }
-    }, POLL_INTERVAL);
+    };
+    
+    // Serialize discovery runs so a namespace is never registered twice
+    let discovery = Promise.resolve();
+    const discover = () => {
+        discovery = discovery
+            .then(() => discoverNamespaces(scan))
+            .then(scan)
+            .catch((error) => {
+                log('ERROR', `Error discovering clients`, { error: error.message });
+            });
+        return discovery;
+    };
+    
+    const clientsWatcher = watchDirectory(CLIENTS_DIR, { ...config.watcher, transport });
+    clientsWatcher.on('change', discover);
+    
+    await discover();
+    setInterval(discover, RESCAN_INTERVAL);
 }
 
 // Start
-console.log(`Starting proxy client using shared folder: ${SHARED_FOLDER_PATH}`);
-console.log(`Forwarding requests to: ${TARGET_API}`);
-startPolling();
+log('INFO', `Starting proxy client`, { sharedFolder: SHARED_FOLDER_PATH, transport: transport.type, version: VERSION });
+router.routes.forEach(route => {
+    log('INFO', route.isDefault ? `Forwarding unmatched requests` : `Forwarding route`, { route: route.name, target: route.target });
+});
+if (forwardProxy.enabled) {
+    log('INFO', `Accepting forward-proxy requests`, { allowedHosts: config.forwardProxy.allowedHosts });
+}
+if (Object.keys(TCP.targets).length > 0) {
+    if ((TCP.allowedClients || []).length > 0) {
+        log('INFO', `Accepting TCP forwards`, { targets: Object.keys(TCP.targets), allowedClients: TCP.allowedClients });
+    } else {
+        log('WARN', `TCP targets configured but no client may use them, set tcp.allowedClients`);
+    }
+}
+if (policy.enabled) {
+    log('INFO', `Enforcing request policy`, { file: config.policy.file, auditLog: auditLog.file || null });
+} else {
+    log('WARN', `No request policy configured, every request is forwarded`);
+}
+startPolling().catch(error => {
+    log('ERROR', `Error starting proxy client`, { error: error.message });
+    process.exit(1);
+});
@@ -0,0 +1,75 @@
+// retry-policy.js - When a failed upstream request is tried again
+//
+// By default only idempotent methods are retried, after a network error or a
+// 502/503/504 answer, so a POST is never executed twice. A refused connection
+// never reached the target and is retried for any method. Attempts are spaced
+// with exponential backoff and full jitter, unless the target says how long
+// to wait with Retry-After. Routes can override any of the settings with
+// their own `retry` object.
+
+const DEFAULTS = {
+    maxAttempts: 3,
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    statusCodes: [502, 503, 504],
+    baseDelay: 250,
+    maxDelay: 5000
+};
+
+// Errors from connections that were never established
+const NOT_CONNECTED_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Retry-After as milliseconds from now - seconds or an HTTP date - or null
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function compile(settings) {
+    const methods = settings.methods.map(method => method.toUpperCase());
+    return {
+        maxAttempts: Math.max(1, settings.maxAttempts),
+        // Whether an attempt that ended with `error` or `status` is retried
+        shouldRetry(method, { error, status }) {
+            if (error) {
+                return methods.includes(method) || NOT_CONNECTED_CODES.includes(error.code);
+            }
+            return methods.includes(method) && settings.statusCodes.includes(status);
+        },
+        // Wait before attempt `attempt + 1` (ms)
+        delay(attempt, headers = {}) {
+            const retryAfter = parseRetryAfter(headers['retry-after']);
+            if (retryAfter !== null) {
+                return retryAfter;
+            }
+            const ceiling = Math.min(settings.maxDelay, settings.baseDelay * 2 ** (attempt - 1));
+            return Math.floor(Math.random() * ceiling);
+        }
+    };
+}
+
+function createRetryPolicy(retryConfig = {}) {
+    const defaults = { ...DEFAULTS, ...retryConfig };
+    const defaultPolicy = compile(defaults);
+    const routePolicies = new WeakMap();
+
+    // The policy for a route match: its `retry` settings over the defaults
+    function forRoute(route) {
+        if (!route || !route.retry) {
+            return defaultPolicy;
+        }
+        if (!routePolicies.has(route)) {
+            routePolicies.set(route, compile({ ...defaults, ...route.retry }));
+        }
+        return routePolicies.get(route);
+    }
+
+    return { forRoute };
+}
+
+module.exports = { createRetryPolicy, parseRetryAfter };
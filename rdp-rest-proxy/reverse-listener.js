@@ -0,0 +1,292 @@
+// reverse-listener.js - HTTP listeners for the reverse tunnel
+//
+// A reverse listener accepts requests on this machine and hands them to one
+// local proxy through its clients/<clientId>/reverse folder: requests are
+// written to reverse/requests, the local proxy forwards them to a service on
+// its own machine and answers in reverse/responses. This is the forward
+// direction with the roles swapped - atomic request files, .done markers,
+// and .cancel markers when the caller gives up (see shared/exchange.js) - in
+// separate folders so both directions run at the same time. Callers need an
+// API key, as they do for the local proxy (see shared/api-keys.js), and each
+// listener waits on at most `maxInFlight` requests at once.
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const { watchDirectory } = require('../shared/file-watcher');
+const { createExchange } = require('../shared/exchange');
+const { encodeEnvelope, decodeEnvelope } = require('../shared/envelope-codec');
+const { withoutHopByHop, addForwardedHeaders } = require('../shared/http-headers');
+const { createKeyCheck, stripKey } = require('../shared/api-keys');
+
+const HEARTBEAT_CHECK_INTERVAL = 2000; // How often to read the local proxy's heartbeat
+const RETRY_DELAY = 50; // Re-check delay when the response file is busy
+
+function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Read a request body, or null once it grows past `limit` bytes
+async function readBody(req, limit) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > limit) {
+            return null;
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+// `listener` is one `reverse.listeners` entry, `settings` the rest of the
+// `reverse` section. `cipher` is the envelope cipher, or null, and
+// `transport` where the shared folder's files live. Throws when no API keys
+// are configured and `auth.allowUnauthenticated` isn't set.
+function createReverseListener(listener, settings, { clientsDir, cipher, transport, watcherOptions, lockOptions, log }) {
+    const clientId = listener.client;
+    const auth = settings.auth || {};
+    const keyCheck = createKeyCheck(auth);
+    if (!keyCheck.configured && !auth.allowUnauthenticated) {
+        throw new Error('No API keys configured, set reverse.auth.keys or PROXY_API_KEYS (or reverse.auth.allowUnauthenticated)');
+    }
+    const dir = path.join(clientsDir, clientId, 'reverse');
+    const requestsDir = path.join(dir, 'requests');
+    const responsesDir = path.join(dir, 'responses');
+    const exchange = createExchange(transport, { requestsDir, responsesDir, lockOptions });
+    const heartbeatFile = path.join(dir, 'heartbeat.json');
+    const host = listener.host || settings.host;
+    const timeout = listener.timeout || settings.timeout;
+    const maxInFlight = settings.maxInFlight || Infinity;
+
+    // Local proxy liveness, tracked with our clock to avoid clock skew
+    const peer = { heartbeat: null, lastSeen: null };
+    let watcher = null;
+    let inFlight = 0;
+
+    async function readHeartbeat() {
+        try {
+            const content = JSON.parse(await transport.readFile(heartbeatFile, 'utf8'));
+            // Sealed when encryption is on, so a forged file can't fake a live peer
+            const heartbeat = cipher ? cipher.open(content, `reverse-heartbeat:${clientId}`) : content;
+            if (!peer.heartbeat) {
+                peer.lastSeen = Math.min(heartbeat.timestamp, Date.now());
+            } else if (heartbeat.seq !== peer.heartbeat.seq || heartbeat.pid !== peer.heartbeat.pid) {
+                peer.lastSeen = Date.now();
+            }
+            peer.heartbeat = heartbeat;
+            if (!watcher) {
+                watchResponses();
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log('DEBUG', `Could not read reverse tunnel heartbeat`, { clientId, error: error.message });
+            }
+        }
+    }
+
+    function isPeerAlive() {
+        return peer.lastSeen !== null && Date.now() - peer.lastSeen <= settings.staleAfter;
+    }
+
+    function seal(requestId, payload) {
+        return cipher ? cipher.seal(payload, `reverse-request:${clientId}:${requestId}`) : payload;
+    }
+
+    function openResponse(requestId, envelope) {
+        return cipher ? cipher.open(envelope, `reverse-response:${clientId}:${requestId}`) : envelope;
+    }
+
+    async function writeRequestFile(requestData) {
+        await exchange.writeRequest(requestData.id, await encodeEnvelope(seal(requestData.id, requestData)));
+    }
+
+    // Returns { state } - 'ready' with the envelope, 'pending' or 'busy'
+    async function readResponseFile(requestId) {
+        const result = await exchange.readResponse(requestId);
+        if (result.state !== 'ready') {
+            return result;
+        }
+        try {
+            const { envelope } = await decodeEnvelope(result.content);
+            return { state: 'ready', envelope };
+        } catch (error) {
+            return { state: 'busy' };
+        }
+    }
+
+    // Tell the local proxy to drop a request nobody waits for any more
+    async function cancelRequest(requestId, reason) {
+        try {
+            const marker = { id: requestId, reason, timestamp: Date.now() };
+            await exchange.cancel(requestId, JSON.stringify(
+                cipher ? cipher.seal(marker, `reverse-cancel:${clientId}:${requestId}`) : marker
+            ));
+            await exchange.release(requestId);
+            log('INFO', `Reverse request cancelled`, { clientId, requestId, reason });
+        } catch (error) {
+            log('ERROR', `Error cancelling reverse request`, { clientId, requestId, error: error.message });
+        }
+    }
+
+    async function handle(req, res) {
+        const requestId = crypto.randomUUID();
+        res.setHeader('X-Request-Id', requestId);
+
+        if (keyCheck.configured && !keyCheck.callerOf(req.headers)) {
+            log('WARN', `Rejected unauthenticated reverse request`, {
+                clientId,
+                method: req.method,
+                path: req.url,
+                remoteAddress: req.socket.remoteAddress
+            });
+            res.setHeader('WWW-Authenticate', 'Bearer realm="rdp-rest-proxy"');
+            return sendJson(res, 401, { error: 'Unauthorized', message: 'A valid API key is required' });
+        }
+        stripKey(req.headers);
+
+        if (inFlight >= maxInFlight) {
+            log('WARN', `Too many reverse requests in flight`, { clientId, requestId, maxInFlight });
+            res.setHeader('Retry-After', '1');
+            return sendJson(res, 503, {
+                error: 'Service Unavailable',
+                message: `Already waiting on ${maxInFlight} requests for ${clientId}, try again shortly`
+            });
+        }
+
+        // Fail fast when the local proxy isn't serving this folder
+        if (!isPeerAlive()) {
+            log('WARN', `Local proxy is not serving reverse requests`, { clientId, requestId, lastSeen: peer.lastSeen });
+            return sendJson(res, 503, {
+                error: 'Service Unavailable',
+                message: peer.lastSeen
+                    ? `Local proxy ${clientId} has not been seen since ${new Date(peer.lastSeen).toISOString()}`
+                    : `Local proxy ${clientId} is not serving reverse requests`
+            });
+        }
+
+        inFlight++;
+        let clientGone = false;
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                clientGone = true;
+                watcher.wake(`${requestId}.json.done`);
+            }
+        });
+
+        try {
+            const body = await readBody(req, settings.bodyLimit);
+            if (body === null) {
+                return sendJson(res, 413, { error: 'Payload Too Large', message: `Request bodies are limited to ${settings.bodyLimit} bytes` });
+            }
+
+            await writeRequestFile({
+                id: requestId,
+                clientId,
+                method: req.method,
+                path: req.url,
+                headers: addForwardedHeaders({ 'x-request-id': requestId, ...withoutHopByHop(req.headers) }, {
+                    address: req.socket.remoteAddress,
+                    host: req.headers.host,
+                    proto: 'http'
+                }),
+                timeout,
+                localPort: listener.port,
+                ...(body.length > 0
+                    ? {
+                        body: body.toString('base64'),
+                        bodyEncoding: 'base64',
+                        contentType: req.headers['content-type'] || null,
+                        contentEncoding: req.headers['content-encoding'] || null
+                    }
+                    : { body: null, bodyEncoding: null }),
+                timestamp: Date.now(),
+                status: 'pending'
+            });
+            log('INFO', `Reverse request saved to file`, { clientId, requestId, method: req.method, path: req.url });
+
+            const startTime = Date.now();
+            const deadline = startTime + timeout;
+            let response = null;
+            while (!clientGone && Date.now() < deadline) {
+                const result = await readResponseFile(requestId);
+                if (result.state === 'ready') {
+                    try {
+                        response = openResponse(requestId, result.envelope);
+                    } catch (error) {
+                        log('ERROR', `Rejected reverse response envelope`, { clientId, requestId, reason: error.message });
+                        await cancelRequest(requestId, 'response rejected');
+                        return sendJson(res, 502, {
+                            error: 'Bad Gateway',
+                            message: `Response from local proxy was rejected: ${error.message}`
+                        });
+                    }
+                    break;
+                }
+                if (result.state === 'busy') {
+                    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
+                } else {
+                    await watcher.waitFor(`${requestId}.json.done`, Math.max(0, deadline - Date.now()));
+                }
+            }
+
+            if (clientGone) {
+                await cancelRequest(requestId, 'client disconnected');
+                return;
+            }
+            if (!response) {
+                log('ERROR', `Timeout waiting for reverse response`, { clientId, requestId, timeout });
+                await cancelRequest(requestId, 'timeout');
+                return sendJson(res, 504, {
+                    error: 'Gateway Timeout',
+                    message: `Local proxy ${clientId} did not respond in time`,
+                    elapsedTime: Date.now() - startTime
+                });
+            }
+
+            res.writeHead(response.statusCode, withoutHopByHop(response.headers, ['x-request-id']));
+            res.end(response.body ? Buffer.from(response.body, 'base64') : undefined);
+            log('INFO', `Reverse response sent`, {
+                clientId,
+                requestId,
+                statusCode: response.statusCode,
+                elapsedTime: Date.now() - startTime
+            });
+            await exchange.release(requestId);
+        } catch (error) {
+            log('ERROR', `Error processing reverse request`, { clientId, requestId, error: error.message });
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Internal Server Error', message: error.message });
+            }
+            await exchange.release(requestId);
+        } finally {
+            inFlight--;
+        }
+    }
+
+    // The folders belong to the local proxy, so they are only watched once
+    // its heartbeat shows up
+    function watchResponses() {
+        watcher = watchDirectory(responsesDir, { ...watcherOptions, transport, filter: f => f.endsWith('.done') });
+        watcher.on('fallback', (reason) => {
+            log('WARN', `Reverse response watcher unavailable, using adaptive polling`, { clientId, reason });
+        });
+        log('INFO', `Serving reverse requests for client`, { clientId, mode: watcher.mode });
+    }
+
+    async function start() {
+        await readHeartbeat();
+        setInterval(readHeartbeat, HEARTBEAT_CHECK_INTERVAL);
+
+        await new Promise((resolve, reject) => {
+            http.createServer(handle)
+                .on('error', reject)
+                .listen(listener.port, host, resolve);
+        });
+    }
+
+    return { clientId, port: listener.port, host, requestsDir, responsesDir, start };
+}
+
+module.exports = { createReverseListener };
@@ -0,0 +1,107 @@
+// routes.js - Maps incoming requests to internal target APIs
+//
+// A route matches on any combination of `pathPrefix`, `host` (the Host header
+// the caller used) and `localPort` (the local proxy port the request came in
+// on). All criteria given on a route must match; routes are tried in order and
+// the route marked `default: true` is used when nothing else matches.
+// Requests reach the target with its own Host header, or with the caller's
+// when the route sets `preserveHost`. A route's `retry` settings replace the
+// defaults in `retry` for its requests.
+
+function normalizePrefix(prefix) {
+    if (!prefix || prefix === '/') {
+        return '';
+    }
+    return `/${prefix.replace(/^\/+|\/+$/g, '')}`;
+}
+
+function matchesPrefix(requestPath, prefix) {
+    if (!prefix) {
+        return true;
+    }
+    return requestPath === prefix ||
+        requestPath.startsWith(`${prefix}/`) ||
+        requestPath.startsWith(`${prefix}?`);
+}
+
+function hostname(hostHeader) {
+    return (hostHeader || '').toLowerCase().replace(/:\d+$/, '');
+}
+
+function originOf(url) {
+    try {
+        return new URL(url).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+function createRouter(config) {
+    const routeConfigs = config.routes && config.routes.length > 0
+        ? config.routes
+        : [{ name: 'default', default: true, target: config.targetApi.url }];
+
+    const routes = routeConfigs.map((route, index) => {
+        if (!route.target) {
+            throw new Error(`Route ${route.name || index} has no target`);
+        }
+        return {
+            name: route.name || `route-${index}`,
+            target: route.target.replace(/\/+$/, ''),
+            pathPrefix: normalizePrefix(route.pathPrefix),
+            host: route.host ? route.host.toLowerCase() : null,
+            localPort: route.localPort ? Number(route.localPort) : null,
+            stripPrefix: !!route.stripPrefix,
+            preserveHost: !!route.preserveHost,
+            retry: route.retry || null,
+            isDefault: !!route.default
+        };
+    });
+
+    const defaultRoute = routes.find(r => r.isDefault) || null;
+
+    function matches(route, requestData) {
+        const headers = requestData.headers || {};
+        if (route.localPort && route.localPort !== Number(requestData.localPort)) {
+            return false;
+        }
+        if (route.host && route.host !== hostname(headers.host)) {
+            return false;
+        }
+        return matchesPrefix(requestData.path, route.pathPrefix);
+    }
+
+    // Returns { target } with the { route, url, path } for the request -
+    // null when no route matches - or { reason } when the path could reach
+    // another host than the route's target. `path` is what the target
+    // receives, after `stripPrefix`.
+    function resolve(requestData) {
+        // Anything else, like `@evil.example/x`, would be read as part of
+        // the target's authority
+        if (typeof requestData.path !== 'string' || !requestData.path.startsWith('/')) {
+            return { reason: `Invalid request path ${requestData.path}` };
+        }
+        const route = routes.find(r => !r.isDefault && matches(r, requestData)) || defaultRoute;
+        if (!route) {
+            return { target: null };
+        }
+
+        let targetPath = requestData.path;
+        if (route.stripPrefix && route.pathPrefix && matchesPrefix(targetPath, route.pathPrefix)) {
+            targetPath = targetPath.slice(route.pathPrefix.length);
+            if (!targetPath.startsWith('/')) {
+                targetPath = `/${targetPath}`;
+            }
+        }
+
+        const url = `${route.target}${targetPath}`;
+        if (originOf(url) !== originOf(route.target)) {
+            return { reason: `Request path ${requestData.path} leaves the route's target` };
+        }
+        return { target: { route, url, path: targetPath } };
+    }
+
+    return { routes, resolve };
+}
+
+module.exports = { createRouter };
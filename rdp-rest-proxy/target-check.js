@@ -0,0 +1,31 @@
+// target-check.js - Reachability probes for route targets
+//
+// The heartbeat reports each route target as reachable or not, so the local
+// proxy can tell "internal API down" from "tunnel down", and `rdp2rest doctor`
+// runs the same probe on demand. Any HTTP response counts as reachable, even
+// an error status - only failing to connect (or timing out) doesn't.
+const axios = require('axios');
+
+// `proxy` is passed on to axios (false bypasses HTTP_PROXY)
+async function checkTarget(route, { timeout, proxy }) {
+    const start = Date.now();
+    try {
+        await axios({
+            method: 'HEAD',
+            url: route.target,
+            validateStatus: () => true,
+            timeout,
+            maxRedirects: 0,
+            proxy
+        });
+        return { name: route.name, target: route.target, reachable: true, latency: Date.now() - start };
+    } catch (error) {
+        return { name: route.name, target: route.target, reachable: false, error: error.message };
+    }
+}
+
+function checkTargets(routes, options) {
+    return Promise.all(routes.map(route => checkTarget(route, options)));
+}
+
+module.exports = { checkTarget, checkTargets };
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+// rdp2rest.js - One command for both ends of the tunnel
+//
+//   rdp2rest start local|remote|both   run a proxy, or both in one process
+//   rdp2rest status [local|remote]     heartbeat, queue, targets, recent errors
+//   rdp2rest doctor [local|remote]     shared folder, round trips, locks, targets
+//
+// `local` is local-rest-proxy (the machine with the RDP client), `remote`
+// rdp-rest-proxy (inside the RDP session). Settings come from each
+// component's config.js, a settings file, the environment and flags, in that
+// order (see cli/settings.js); they are checked before anything starts.
+// `start both` keeps the tunnel's files in memory unless a transport is set,
+// so the whole request path can be tried on one machine without RDP.
+const path = require('path');
+const { ROLES, SETTINGS, settingFlags, readSettingsFile, parseSet, loadSettings } = require('./cli/settings');
+
+const COMMANDS = {
+    start: ['local', 'remote', 'both'],
+    status: ['local', 'remote'],
+    doctor: ['local', 'remote']
+};
+
+function usage() {
+    const settings = SETTINGS.map(setting => {
+        const name = setting.flag ? `--${setting.flag}${setting.type === 'boolean' ? '' : ' <value>'}` : '';
+        const env = setting.env ? ` (${setting.env})` : '';
+        const roles = setting.roles ? ` [${setting.roles.join(', ')}]` : '';
+        return `  ${(name || `${setting.env} only`).padEnd(27)}${setting.key}${roles}: ${setting.description}${setting.flag ? env : ''}`;
+    });
+    return [
+        'Usage: rdp2rest <command> [role] [options]',
+        '',
+        'Commands:',
+        '  start <local|remote|both>  Run the local proxy, the RDP proxy, or both in one process',
+        '  status [local|remote]      Remote heartbeat, queue, targets, circuits and recent errors',
+        '  doctor [local|remote]      Check the shared folder, file round trips, locks and targets',
+        '  help                       Show this text',
+        '',
+        'status and doctor look from the local machine unless told otherwise.',
+        '',
+        'Options:',
+        '  --config <file>            Settings file, JSON or .js (RDP2REST_CONFIG)',
+        '  --set <section.key=value>  Any other config.js setting, value as JSON; repeatable',
+        '  --json                     status and doctor: print JSON',
+        '',
+        'Settings (flags win over the environment, which wins over the settings file):',
+        ...settings,
+        '',
+        'Boolean flags also take --no-<flag>.'
+    ].join('\n');
+}
+
+function parseArgs(argv) {
+    const flags = settingFlags();
+    const options = { positional: [], flags: {}, sets: [], config: process.env.RDP2REST_CONFIG || null, json: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            options.positional.push(arg);
+            continue;
+        }
+        const separator = arg.indexOf('=');
+        let name = separator > 0 ? arg.slice(2, separator) : arg.slice(2);
+        let value = separator > 0 ? arg.slice(separator + 1) : undefined;
+        if (name === 'help' || name === 'json') {
+            options[name] = true;
+            continue;
+        }
+        if (name.startsWith('no-') && flags.has(name.slice(3)) && flags.get(name.slice(3)).type === 'boolean') {
+            name = name.slice(3);
+            value = false;
+        }
+        const setting = flags.get(name);
+        if (!setting && name !== 'config' && name !== 'set') {
+            throw new Error(`Unknown option --${name}`);
+        }
+        if (value === undefined) {
+            if (setting && setting.type === 'boolean') {
+                value = true;
+            } else if (i + 1 < argv.length) {
+                value = argv[++i];
+            } else {
+                throw new Error(`--${name} needs a value`);
+            }
+        }
+        if (name === 'config') {
+            options.config = value;
+        } else if (name === 'set') {
+            options.sets.push(parseSet(value));
+        } else {
+            options.flags[name] = value;
+        }
+    }
+    return options;
+}
+
+// Load and check the settings of each role; reports problems and returns
+// null when any role's settings are unusable
+function loadRoles(roles, options, defaults = {}) {
+    let file = {};
+    try {
+        file = options.config ? readSettingsFile(options.config) : {};
+    } catch (error) {
+        console.error(error.message);
+        return null;
+    }
+    const configs = {};
+    const warnings = new Set();
+    let valid = true;
+    roles.forEach(role => {
+        try {
+            const loaded = loadSettings(role, { file, flags: options.flags, sets: options.sets, defaults });
+            configs[role] = loaded.config;
+            loaded.warnings.forEach(warning => warnings.add(warning));
+        } catch (error) {
+            if (!error.problems) {
+                throw error;
+            }
+            valid = false;
+            error.warnings.forEach(warning => warnings.add(warning));
+            console.error(`${error.message}:`);
+            error.problems.forEach(problem => console.error(`  - ${problem}`));
+        }
+    });
+    warnings.forEach(warning => console.error(`Warning: ${warning}`));
+    return valid ? configs : null;
+}
+
+function start(role, options) {
+    const roles = role === 'both' ? ['remote', 'local'] : [role];
+    const configs = loadRoles(roles, options, role === 'both' ? { 'transport.type': 'memory' } : {});
+    if (!configs) {
+        return 1;
+    }
+    if (role === 'both' && configs.local.transport.type === 'shared-folder'
+            && path.resolve(configs.local.sharedFolder.path) !== path.resolve(configs.remote.sharedFolder.path)) {
+        console.error('Both proxies must use the same shared folder, set it once with --shared-folder or SHARED_FOLDER');
+        return 1;
+    }
+    if (configs.local && configs.remote && configs.local.transport.type !== configs.remote.transport.type) {
+        console.error('Both proxies must use the same transport');
+        return 1;
+    }
+    // The RDP proxy first, so the local proxy finds its heartbeat right away
+    roles.forEach(name => require(path.join(path.dirname(ROLES[name]), 'proxy')));
+    return null;
+}
+
+async function status(role, options) {
+    const configs = loadRoles([role], options);
+    if (!configs) {
+        return 1;
+    }
+    const { getStatus, printStatus, isHealthy } = require('./cli/status');
+    const report = await getStatus(role, configs[role]);
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printStatus(report);
+    }
+    return isHealthy(report) ? 0 : 1;
+}
+
+async function doctor(role, options) {
+    const configs = loadRoles([role], options);
+    if (!configs) {
+        return 1;
+    }
+    const { runDoctor, printResults } = require('./cli/doctor');
+    const results = await runDoctor(role, configs[role]);
+    if (options.json) {
+        console.log(JSON.stringify({ role, results }, null, 2));
+    } else {
+        printResults(results);
+    }
+    return results.some(result => result.status === 'fail') ? 1 : 0;
+}
+
+// Resolves with the exit code, or null while a proxy keeps running
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\nRun "rdp2rest help" for usage.`);
+        return 2;
+    }
+    const [command, role, ...rest] = options.positional;
+    if (!command || command === 'help' || options.help) {
+        console.log(usage());
+        return 0;
+    }
+    if (!COMMANDS[command]) {
+        console.error(`Unknown command "${command}"\nRun "rdp2rest help" for usage.`);
+        return 2;
+    }
+    const roleName = role || (command === 'start' ? null : 'local');
+    if (!COMMANDS[command].includes(roleName) || rest.length > 0) {
+        console.error(`Usage: rdp2rest ${command} ${command === 'start' ? '<' : '['}${COMMANDS[command].join('|')}${command === 'start' ? '>' : ']'}`);
+        return 2;
+    }
+    switch (command) {
+        case 'start':
+            return start(roleName, options);
+        case 'status':
+            return status(roleName, options);
+        default:
+            return doctor(roleName, options);
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    if (code !== null) {
+        process.exitCode = code;
+    }
+}).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
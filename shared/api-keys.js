@@ -0,0 +1,69 @@
+// api-keys.js - API keys callers present to a proxy
+//
+// Keys are named, e.g. { alice: 'key1' }: the local proxy's `auth.keys` and
+// the RDP proxy's `reverse.auth.keys`, with PROXY_API_KEYS
+// ("alice:key1,bob:key2") from the environment merged over them. A caller
+// sends its key as `Proxy-Authorization: Bearer <key>` or
+// `X-Proxy-Key: <key>`, or as the password of `Proxy-Authorization: Basic`.
+// Keys are compared by digest, in constant time.
+const crypto = require('crypto');
+
+const AUTH_HEADERS = ['proxy-authorization', 'x-proxy-key'];
+
+// "alice:key1,bob:key2" from the environment, merged over config keys
+function loadKeys(authConfig) {
+    const keys = { ...(authConfig.keys || {}) };
+    (process.env.PROXY_API_KEYS || '').split(',').filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator > 0) {
+            keys[entry.slice(0, separator).trim()] = entry.slice(separator + 1).trim();
+        }
+    });
+    return keys;
+}
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+function presentedKey(headers) {
+    const authorization = headers['proxy-authorization'];
+    if (authorization) {
+        const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+        if (bearer) {
+            return bearer[1].trim();
+        }
+        // Browsers and proxy-aware tools only speak Basic; the user name is ignored
+        const basic = /^Basic\s+(.+)$/i.exec(authorization);
+        if (basic) {
+            const credentials = Buffer.from(basic[1].trim(), 'base64').toString('utf8');
+            return credentials.slice(credentials.indexOf(':') + 1) || null;
+        }
+        return null;
+    }
+    return headers['x-proxy-key'] || null;
+}
+
+// Returns { configured, callerOf(headers) }: callerOf gives the name of the
+// key a request presents, or null
+function createKeyCheck(authConfig = {}) {
+    const keys = Object.entries(loadKeys(authConfig))
+        .filter(([, key]) => key)
+        .map(([name, key]) => ({ name, digest: digest(key) }));
+
+    function callerOf(headers) {
+        const key = presentedKey(headers);
+        const match = key && keys.find(k => crypto.timingSafeEqual(k.digest, digest(key)));
+        return match ? match.name : null;
+    }
+
+    return { configured: keys.length > 0, callerOf };
+}
+
+// Remove the key from a request's headers, so it never reaches the target
+function stripKey(headers) {
+    AUTH_HEADERS.forEach(header => delete headers[header]);
+    return headers;
+}
+
+module.exports = { loadKeys, createKeyCheck, stripKey };
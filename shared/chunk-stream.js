@@ -0,0 +1,293 @@
+// chunk-stream.js - Large bodies as sequenced chunk files
+//
+// A body over the streaming threshold isn't put in the envelope. It is
+// written as `<id>.<seq>.chunk` files next to it instead, each one created
+// atomically, followed by a `<id>.manifest` with the chunk count and total
+// size once the body is complete. The reader can forward chunks as they
+// appear and knows it has everything once the manifest says so.
+//
+// Live responses (event streams, long polls) use the same files: with
+// `flushAfter` set, whatever has arrived is written as a short chunk as soon
+// as the source goes quiet, instead of waiting for a full chunk. A
+// `deadline` ends a transfer that is still running, quiet or not.
+//
+// Chunks are passed through `seal`/`open` so they can be encrypted and
+// authenticated like envelopes. The files go through `transport` (see
+// transport.js), the shared folder when none is given.
+const path = require('path');
+const { folderTransport } = require('./transport');
+
+const CHUNK_PATTERN = /^(.+)\.(\d+)\.chunk$/;
+const MANIFEST_SUFFIX = '.manifest';
+const STALL_CHECK_INTERVAL = 50;
+const FOLLOW_CHECK_INTERVAL = 1000; // Re-check for the next chunk at least this often
+
+function chunkFile(dir, id, seq) {
+    return path.join(dir, `${id}.${seq}.chunk`);
+}
+
+function manifestFile(dir, id) {
+    return path.join(dir, `${id}${MANIFEST_SUFFIX}`);
+}
+
+// ID of the request a chunk or manifest file belongs to, null for other files
+function streamIdOf(file) {
+    const match = CHUNK_PATTERN.exec(file);
+    if (match) {
+        return match[1];
+    }
+    return file.endsWith(MANIFEST_SUFFIX) ? file.slice(0, -MANIFEST_SUFFIX.length) : null;
+}
+
+// seal/open functions for writeChunks and friends. `aad` names the transfer
+// (e.g. `response-body:<clientId>:<requestId>`); every chunk is bound to its
+// sequence number and the manifest to the transfer, so chunks can't be
+// reordered, swapped between transfers or cut short unnoticed.
+function chunkSealing(cipher, aad) {
+    if (!cipher) {
+        return {};
+    }
+    return {
+        seal: (buffer, seq) => cipher.sealBuffer(buffer, `${aad}:${seq}`),
+        open: (buffer, seq) => cipher.openBuffer(buffer, `${aad}:${seq}`),
+        sealManifest: (manifest) => cipher.seal(manifest, `${aad}:manifest`),
+        openManifest: (manifest) => cipher.open(manifest, `${aad}:manifest`)
+    };
+}
+
+async function writeAtomic(transport, file, content) {
+    await transport.writeFile(`${file}.tmp`, content);
+    await transport.rename(`${file}.tmp`, file);
+}
+
+// Result of a pending `next()`, or null when it doesn't settle within `ms`
+async function nextWithin(pending, ms) {
+    let timer;
+    const idle = new Promise(resolve => {
+        timer = setTimeout(resolve, ms, null);
+    });
+    try {
+        return await Promise.race([pending, idle]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Write everything `source` (an async iterator of buffers) yields as chunk
+// files of `chunkSize` bytes, after the already read `initial` buffers. With
+// `window` set, no more than that many chunks are left unread at a time;
+// with `flushAfter` set, data is written once the source has been quiet for
+// that many ms even if it doesn't fill a chunk. Resolves with
+// { chunks, size } once the manifest is written. When reading the source
+// fails, or it is still running at `deadline` (a timestamp), a manifest
+// with an `error` tells the reader to give up.
+async function writeChunks(source, options) {
+    const { dir, id, chunkSize, window, stallTimeout, flushAfter, deadline, signal } = options;
+    const transport = options.transport || folderTransport;
+    const seal = options.seal || (buffer => buffer);
+    let pending = [...(options.initial || [])];
+    let pendingSize = pending.reduce((total, buffer) => total + buffer.length, 0);
+    let seq = 0;
+    let size = 0;
+
+    const flush = async (buffer) => {
+        // Wait for the reader to catch up instead of filling the shared folder
+        if (window && seq >= window) {
+            const waitUntil = Date.now() + (stallTimeout || Infinity);
+            while (await transport.exists(chunkFile(dir, id, seq - window))) {
+                if (signal && signal.aborted) {
+                    throw new Error('Transfer aborted');
+                }
+                if (Date.now() >= waitUntil) {
+                    throw new Error('Reader stopped consuming chunks');
+                }
+                await new Promise(resolve => setTimeout(resolve, STALL_CHECK_INTERVAL));
+            }
+        }
+        await writeAtomic(transport, chunkFile(dir, id, seq), seal(buffer, seq));
+        size += buffer.length;
+        seq++;
+    };
+
+    // Joins what is pending once, then writes it chunk by chunk
+    const drain = async (final) => {
+        if (pendingSize < chunkSize && !(final && pendingSize > 0)) {
+            return;
+        }
+        const buffer = pending.length === 1 ? pending[0] : Buffer.concat(pending, pendingSize);
+        let offset = 0;
+        while (buffer.length - offset >= chunkSize || (final && offset < buffer.length)) {
+            const length = Math.min(chunkSize, buffer.length - offset);
+            await flush(buffer.subarray(offset, offset + length));
+            offset += length;
+        }
+        pending = offset < buffer.length ? [buffer.subarray(offset)] : [];
+        pendingSize = buffer.length - offset;
+    };
+
+    const writeManifest = (manifest) => writeAtomic(
+        transport,
+        manifestFile(dir, id),
+        JSON.stringify(options.sealManifest ? options.sealManifest(manifest) : manifest)
+    );
+
+    try {
+        await drain(false);
+        for (;;) {
+            const next = source.next();
+            let result = null;
+            while (result === null) {
+                const remaining = deadline === undefined ? Infinity : deadline - Date.now();
+                if (remaining <= 0) {
+                    throw new Error('Transfer ran past its deadline');
+                }
+                const quiet = flushAfter !== undefined && pendingSize > 0 ? flushAfter : Infinity;
+                const wait = Math.min(quiet, remaining);
+                result = wait === Infinity ? await next : await nextWithin(next, wait);
+                if (result === null && wait === quiet) {
+                    await drain(true);
+                }
+            }
+            const { value, done } = result;
+            if (done) {
+                break;
+            }
+            pending.push(Buffer.from(value));
+            pendingSize += value.length;
+            await drain(false);
+        }
+        await drain(true);
+    } catch (error) {
+        await writeManifest({ chunks: seq, size, error: error.message }).catch(() => {});
+        throw error;
+    }
+
+    const manifest = { chunks: seq, size };
+    await writeManifest(manifest);
+    return manifest;
+}
+
+// Read the manifest of a finished transfer, null while it is still running
+async function readManifest(dir, id, openManifest, transport = folderTransport) {
+    try {
+        const manifest = JSON.parse(await transport.readFile(manifestFile(dir, id), 'utf8'));
+        return openManifest ? openManifest(manifest) : manifest;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Read one chunk, null when it hasn't been written yet
+async function readChunk(dir, id, seq, open, transport = folderTransport) {
+    try {
+        const content = await transport.readFile(chunkFile(dir, id, seq));
+        return open ? open(content, seq) : content;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Pass the chunks of a transfer that may still be running to `onChunk` in
+// order, removing each one once handled. Resolves with true after the last
+// chunk, or false as soon as `stopped()` returns true. Fails when the writer
+// reported an error, `isWriterAlive()` returns false, or no chunk arrives for
+// `idleTimeout` ms (null for no limit). `wait(ms)` resolves when a new chunk
+// or the manifest may have been written.
+async function followChunks(dir, id, options) {
+    const { open, openManifest, onChunk, wait, stopped, isWriterAlive, idleTimeout } = options;
+    const transport = options.transport || folderTransport;
+    let seq = 0;
+    let lastProgress = Date.now();
+    let missing = false; // The manifest lists a chunk we haven't found yet
+
+    for (;;) {
+        const chunk = await readChunk(dir, id, seq, open, transport);
+        if (chunk !== null) {
+            if (stopped()) {
+                return false;
+            }
+            await onChunk(chunk);
+            await transport.unlink(chunkFile(dir, id, seq)).catch(() => {});
+            seq++;
+            lastProgress = Date.now();
+            missing = false;
+            continue;
+        }
+
+        // The manifest is written after the last chunk
+        const manifest = await readManifest(dir, id, openManifest, transport);
+        if (manifest) {
+            if (manifest.error) {
+                throw new Error(`Remote transfer failed: ${manifest.error}`);
+            }
+            if (seq >= manifest.chunks) {
+                return true;
+            }
+            if (missing) {
+                throw new Error(`Chunk ${seq} of ${manifest.chunks} is missing`);
+            }
+            missing = true;
+            continue;
+        }
+
+        if (stopped()) {
+            return false;
+        }
+        if (isWriterAlive && !isWriterAlive()) {
+            throw new Error('Remote side stopped sending heartbeats');
+        }
+        const remaining = idleTimeout === null ? Infinity : idleTimeout - (Date.now() - lastProgress);
+        if (remaining <= 0) {
+            throw new Error('Timed out waiting for the next chunk');
+        }
+        await wait(Math.min(remaining, FOLLOW_CHECK_INTERVAL));
+    }
+}
+
+// Async generator over the chunks of a complete transfer of `count` chunks
+// and `size` bytes. Fails once the chunks add up to more or less than that.
+async function* readChunks(dir, id, count, size, open, transport = folderTransport) {
+    let read = 0;
+    for (let seq = 0; seq < count; seq++) {
+        const chunk = await readChunk(dir, id, seq, open, transport);
+        if (chunk === null) {
+            throw new Error(`Chunk ${seq} of ${id} is missing`);
+        }
+        read += chunk.length;
+        if (read > size) {
+            throw new Error(`Chunks of ${id} hold more than the ${size} bytes announced`);
+        }
+        yield chunk;
+    }
+    if (read !== size) {
+        throw new Error(`Chunks of ${id} hold ${read} of the ${size} bytes announced`);
+    }
+}
+
+// Remove all chunk files and the manifest of a transfer
+async function removeChunks(dir, id, transport = folderTransport) {
+    const files = await transport.readdir(dir).catch(() => []);
+    await Promise.all(files
+        .filter(file => streamIdOf(file) === id)
+        .map(file => transport.unlink(path.join(dir, file)).catch(() => {})));
+}
+
+module.exports = {
+    chunkFile,
+    manifestFile,
+    chunkSealing,
+    streamIdOf,
+    nextWithin,
+    writeChunks,
+    readManifest,
+    readChunk,
+    followChunks,
+    readChunks,
+    removeChunks
+};
@@ -0,0 +1,82 @@
+// envelope-codec.js - On-disk format of request/response files
+//
+// Protocol 1 files are plain JSON. Protocol 2 adds compact JSON, optional
+// gzip/brotli compression and batch envelopes. A compressed file starts with
+// a one-line header naming the protocol version and algorithm
+// (`RDP2REST/2 gzip`) followed by the compressed JSON, so plain files from
+// either version can still be told apart by their leading `{`.
+//
+// Each side advertises what it supports (the RDP proxy in heartbeat.json,
+// the local proxy in every request) and only uses what the other side knows.
+const util = require('util');
+const zlib = require('zlib');
+
+const PROTOCOL_VERSION = 2;
+const HEADER_PREFIX = 'RDP2REST/';
+
+const CODECS = {
+    gzip: {
+        compress: util.promisify(zlib.gzip),
+        decompress: util.promisify(zlib.gunzip)
+    },
+    br: {
+        // The default quality of 11 is far too slow for interactive traffic
+        compress: (data) => util.promisify(zlib.brotliCompress)(data, {
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 }
+        }),
+        decompress: util.promisify(zlib.brotliDecompress)
+    }
+};
+
+const COMPRESSIONS = Object.keys(CODECS);
+
+// Serialize an envelope, compressing it when asked to and worth it
+async function encodeEnvelope(envelope, options = {}) {
+    const json = Buffer.from(JSON.stringify(envelope));
+    const compression = options.compression;
+    if (!compression || json.length < (options.minSize || 0)) {
+        return json;
+    }
+    if (!CODECS[compression]) {
+        throw new Error(`Unsupported compression ${compression}`);
+    }
+    const header = Buffer.from(`${HEADER_PREFIX}${PROTOCOL_VERSION} ${compression}\n`);
+    return Buffer.concat([header, await CODECS[compression].compress(json)]);
+}
+
+// Returns { envelope, compression } - compression is null for plain files
+async function decodeEnvelope(buffer) {
+    const start = buffer.toString('latin1', 0, Math.min(buffer.length, 64));
+    if (!start.startsWith(HEADER_PREFIX)) {
+        return { envelope: JSON.parse(buffer.toString('utf8')), compression: null };
+    }
+
+    const headerEnd = buffer.indexOf('\n');
+    const [version, compression] = buffer.toString('latin1', HEADER_PREFIX.length, headerEnd).split(' ');
+    if (Number(version) > PROTOCOL_VERSION) {
+        throw new Error(`Unsupported protocol version ${version}`);
+    }
+    if (!CODECS[compression]) {
+        throw new Error(`Unsupported compression ${compression}`);
+    }
+    const json = await CODECS[compression].decompress(buffer.subarray(headerEnd + 1));
+    return { envelope: JSON.parse(json.toString('utf8')), compression };
+}
+
+// First algorithm from `preferred` that the other side accepts
+function pickCompression(preferred = [], accepted = []) {
+    return preferred.find(c => CODECS[c] && accepted.includes(c)) || null;
+}
+
+function isBatch(envelope) {
+    return !!envelope && Array.isArray(envelope.batch);
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    COMPRESSIONS,
+    encodeEnvelope,
+    decodeEnvelope,
+    pickCompression,
+    isBatch
+};
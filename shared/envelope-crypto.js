@@ -0,0 +1,99 @@
+// envelope-crypto.js - Optional encryption of request/response envelopes
+//
+// Both proxies share a pre-configured key. Envelopes are sealed with
+// AES-256-GCM; the additional authenticated data names the envelope
+// (e.g. `request:<clientId>:<requestId>`) so a sealed file can't be renamed
+// or swapped in for another request without failing authentication.
+// Cancel markers and heartbeats are sealed the same way (sealPayload), so
+// nothing that only has access to the shared folder can cancel requests or
+// fake a live peer.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 1;
+const KEY_SALT = 'rdp2rest-envelope-key';
+
+// A 64 character hex string is used as-is, anything else is a passphrase
+function deriveKey(secret) {
+    if (!secret) {
+        throw new Error('Encryption is enabled but no key is configured');
+    }
+    if (/^[0-9a-fA-F]{64}$/.test(secret)) {
+        return Buffer.from(secret, 'hex');
+    }
+    return crypto.scryptSync(secret, KEY_SALT, 32);
+}
+
+function isSealed(envelope) {
+    return !!envelope && envelope.sealed === VERSION && typeof envelope.data === 'string';
+}
+
+function createEnvelopeCipher(secret) {
+    const key = deriveKey(secret);
+
+    function seal(payload, aad) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        cipher.setAAD(Buffer.from(aad));
+        const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+        return {
+            sealed: VERSION,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    // Throws when the envelope is not sealed, was tampered with or belongs elsewhere
+    function open(envelope, aad) {
+        if (!isSealed(envelope)) {
+            throw new Error('Envelope is not encrypted');
+        }
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+            decipher.setAAD(Buffer.from(aad));
+            decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+            const data = Buffer.concat([
+                decipher.update(Buffer.from(envelope.data, 'base64')),
+                decipher.final()
+            ]);
+            return JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            throw new Error('Envelope failed authentication');
+        }
+    }
+
+    // Binary variant for body chunks: iv | auth tag | ciphertext
+    function sealBuffer(buffer, aad) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        cipher.setAAD(Buffer.from(aad));
+        const data = Buffer.concat([cipher.update(buffer), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), data]);
+    }
+
+    function openBuffer(buffer, aad) {
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, 12));
+            decipher.setAAD(Buffer.from(aad));
+            decipher.setAuthTag(buffer.subarray(12, 28));
+            return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+        } catch (error) {
+            throw new Error('Chunk failed authentication');
+        }
+    }
+
+    return { seal, open, sealBuffer, openBuffer };
+}
+
+// `payload` sealed with `cipher`, or as it is without encryption
+function sealPayload(cipher, payload, aad) {
+    return cipher ? cipher.seal(payload, aad) : payload;
+}
+
+// Throws when `cipher` is set and `value` isn't sealed for `aad`
+function openPayload(cipher, value, aad) {
+    return cipher ? cipher.open(value, aad) : value;
+}
+
+module.exports = { createEnvelopeCipher, isSealed, sealPayload, openPayload };
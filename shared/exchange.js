@@ -0,0 +1,150 @@
+// exchange.js - The request/response file protocol
+//
+// One side writes `<name>.json` to the requests folder, the other answers
+// with `<name>.json` in the responses folder followed by a `<name>.json.done`
+// marker, holding the response's lock while it writes both. The requesting
+// side only reads a response once the marker is there, under the same lock,
+// and removes all three files when it is done. A caller that gives up leaves
+// a `<requestId>.cancel` marker next to the request, which the answering
+// side reads (and authenticates) before acting on it.
+//
+// Both proxies use this in both directions (their own requests and the
+// reverse tunnel), so the two ends can't drift apart. Contents are passed
+// through as they are; encoding and sealing envelopes stays with the caller.
+const path = require('path');
+const { lockFile, unlockFile } = require('./file-lock');
+const { folderTransport } = require('./transport');
+
+const RESPONSE_LOCK_WAIT = 1000; // The requesting side only holds response locks briefly
+
+// `lockOptions` as for lockFile(); the exchange adds the transport
+function createExchange(transport = folderTransport, { requestsDir, responsesDir, lockOptions }) {
+    const locks = { ...lockOptions, transport };
+
+    const requestFile = (name) => path.join(requestsDir, `${name}.json`);
+    const responseFile = (name) => path.join(responsesDir, `${name}.json`);
+    const cancelFile = (requestId) => path.join(requestsDir, `${requestId}.cancel`);
+
+    // Write to a temp file and rename it, so the other side never picks up
+    // a partially written (or crash-truncated) request
+    async function writeRequest(name, content) {
+        const file = requestFile(name);
+        await transport.writeFile(`${file}.tmp`, content);
+        await transport.rename(`${file}.tmp`, file);
+    }
+
+    // Fails with ENOENT once the request was withdrawn
+    function readRequest(name) {
+        return transport.readFile(requestFile(name));
+    }
+
+    // Update a request in place, e.g. its status, unless it was withdrawn
+    function rewriteRequest(name, content) {
+        return transport.rewrite(requestFile(name), content);
+    }
+
+    // Request files (`<name>.json`) in the requests folder
+    async function listRequests() {
+        const files = await transport.readdir(requestsDir).catch(() => []);
+        return files.filter(file => file.endsWith('.json'));
+    }
+
+    // Whoever holds a request's lock is working on it
+    function lockRequest(name) {
+        return lockFile(requestFile(name), locks);
+    }
+
+    function unlockRequest(name) {
+        return unlockFile(requestFile(name), locks);
+    }
+
+    // Write a response and its .done marker
+    async function writeResponse(name, content) {
+        const file = responseFile(name);
+        if (!await lockFile(file, { ...locks, wait: RESPONSE_LOCK_WAIT })) {
+            throw new Error('Could not lock response file');
+        }
+        try {
+            await transport.writeFile(file, content);
+            await transport.writeFile(`${file}.done`, '');
+        } finally {
+            await unlockFile(file, locks);
+        }
+    }
+
+    // Returns { state } - 'ready' with the response's `content`, 'pending'
+    // while there is no .done marker yet, or 'busy' while the response is
+    // locked or can't be read yet
+    async function readResponse(name) {
+        const file = responseFile(name);
+        if (!await lockFile(file, locks)) {
+            return { state: 'busy' };
+        }
+        try {
+            const [done, exists] = await Promise.all([
+                transport.exists(`${file}.done`),
+                transport.exists(file)
+            ]);
+            if (!done || !exists) {
+                return { state: 'pending' };
+            }
+            return { state: 'ready', content: await transport.readFile(file) };
+        } catch (error) {
+            return { state: 'busy' };
+        } finally {
+            await unlockFile(file, locks);
+        }
+    }
+
+    // Answered, possibly before a restart
+    function isAnswered(name) {
+        return transport.exists(`${responseFile(name)}.done`);
+    }
+
+    // Remove a request and its response
+    async function release(name) {
+        const file = responseFile(name);
+        await Promise.all([
+            transport.unlink(requestFile(name)).catch(() => {}),
+            transport.unlink(file).catch(() => {}),
+            transport.unlink(`${file}.done`).catch(() => {})
+        ]);
+    }
+
+    // Tell the answering side to drop a request nobody waits for any more.
+    // Written like requests, so a marker is never read half-written.
+    async function cancel(requestId, content) {
+        const file = cancelFile(requestId);
+        await transport.writeFile(`${file}.tmp`, content);
+        await transport.rename(`${file}.tmp`, file);
+    }
+
+    // The cancel marker's content, or null without one
+    function readCancel(requestId) {
+        return transport.readFile(cancelFile(requestId), 'utf8').catch(() => null);
+    }
+
+    function clearCancel(requestId) {
+        return transport.unlink(cancelFile(requestId)).catch(() => {});
+    }
+
+    return {
+        requestsDir,
+        responsesDir,
+        writeRequest,
+        readRequest,
+        rewriteRequest,
+        listRequests,
+        lockRequest,
+        unlockRequest,
+        writeResponse,
+        readResponse,
+        isAnswered,
+        release,
+        cancel,
+        readCancel,
+        clearCancel
+    };
+}
+
+module.exports = { createExchange };
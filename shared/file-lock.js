@@ -0,0 +1,157 @@
+// file-lock.js - Lock files shared by both proxies
+//
+// A lock is a `<file>.lock` created exclusively and holding its owner's PID
+// and host name. A lock left behind by a crashed process is reclaimed when its
+// owner is known to be gone: a dead PID on this host, a caller-supplied check
+// (e.g. the remote heartbeat reports a different PID), or - for locks from
+// another host - the lock not having been touched for `staleAfter`. Owners
+// touch their locks every third of `staleAfter` while they hold them, so a
+// lock held through a long upstream call never ages out. A lock held by a
+// live process on this host is never reclaimed.
+//
+// Locks live wherever the files they guard do: `options.transport` (see
+// transport.js), the shared folder when none is given.
+const os = require('os');
+const path = require('path');
+const { folderTransport } = require('./transport');
+
+const HOSTNAME = os.hostname();
+const DEFAULT_STALE_AFTER = 60000;
+
+// Refresh timers of the locks this process holds, by lock path
+const heldLocks = new Map();
+
+async function readLock(lockPath, transport = folderTransport) {
+    try {
+        const [content, stat] = await Promise.all([
+            transport.readFile(lockPath, 'utf8'),
+            transport.stat(lockPath)
+        ]);
+        let owner;
+        try {
+            owner = JSON.parse(content);
+        } catch (error) {
+            // Older locks only contain the PID
+            owner = { pid: parseInt(content, 10) || null, host: null };
+        }
+        if (!owner || typeof owner !== 'object') {
+            owner = { pid: null, host: null };
+        }
+        return { ...owner, mtime: stat.mtimeMs };
+    } catch (error) {
+        return null;
+    }
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function isLockStale(lock, options = {}) {
+    if (!lock) {
+        return false;
+    }
+    if (lock.host === HOSTNAME && lock.pid) {
+        return lock.pid !== process.pid && !isProcessAlive(lock.pid);
+    }
+    if (options.isOwnerGone && options.isOwnerGone(lock)) {
+        return true;
+    }
+    return Date.now() - lock.mtime > (options.staleAfter || DEFAULT_STALE_AFTER);
+}
+
+async function lockFile(filePath, options = {}) {
+    const transport = options.transport || folderTransport;
+    const lockPath = `${filePath}.lock`;
+    const owner = JSON.stringify({ pid: process.pid, host: HOSTNAME, createdAt: Date.now() });
+    const deadline = Date.now() + (options.wait || 0);
+    let createdDir = false;
+    let reclaimed = false;
+
+    for (;;) {
+        try {
+            await transport.writeFile(lockPath, owner, { flag: 'wx' });
+            keepFresh(lockPath, owner, transport, options.staleAfter || DEFAULT_STALE_AFTER);
+            return true;
+        } catch (error) {
+            // Create parent dirs if they don't exist and retry once
+            if (error.code === 'ENOENT' && !createdDir) {
+                createdDir = true;
+                await transport.mkdir(path.dirname(lockPath), { recursive: true }).catch(() => {});
+                continue;
+            }
+            if (error.code !== 'EEXIST') {
+                return false;
+            }
+        }
+
+        const lock = await readLock(lockPath, transport);
+        if (!reclaimed && isLockStale(lock, options)) {
+            reclaimed = true;
+            await transport.unlink(lockPath).catch(() => {});
+            if (options.onReclaim) {
+                options.onReclaim(lockPath, lock);
+            }
+            continue;
+        }
+
+        if (Date.now() >= deadline) {
+            return false;
+        }
+        await new Promise(resolve => setTimeout(resolve, options.retryDelay || 20));
+    }
+}
+
+// Touch a held lock until it is released, so other hosts (which can't check
+// our PID) don't take it for a crashed owner's
+function keepFresh(lockPath, owner, transport, staleAfter) {
+    clearInterval(heldLocks.get(lockPath));
+    const timer = setInterval(async () => {
+        try {
+            // Unless it was reclaimed and someone else holds it now
+            if (await transport.readFile(lockPath, 'utf8') === owner) {
+                await transport.rewrite(lockPath, owner);
+            }
+        } catch (error) {
+            // Released in the meantime
+        }
+    }, Math.max(1000, Math.floor(staleAfter / 3)));
+    timer.unref();
+    heldLocks.set(lockPath, timer);
+}
+
+async function unlockFile(filePath, options = {}) {
+    const transport = options.transport || folderTransport;
+    clearInterval(heldLocks.get(`${filePath}.lock`));
+    heldLocks.delete(`${filePath}.lock`);
+    try {
+        await transport.unlink(`${filePath}.lock`);
+        return true;
+    } catch (error) {
+        // If lock file doesn't exist, that's fine
+        return error.code === 'ENOENT';
+    }
+}
+
+// Remove stale lock files in a directory, returns the number reclaimed
+async function reclaimStaleLocks(dir, options = {}) {
+    const transport = options.transport || folderTransport;
+    let reclaimed = 0;
+    const files = await transport.readdir(dir).catch(() => []);
+    for (const file of files.filter(f => f.endsWith('.lock'))) {
+        const lockPath = path.join(dir, file);
+        const lock = await readLock(lockPath, transport);
+        if (isLockStale(lock, options)) {
+            await transport.unlink(lockPath).catch(() => {});
+            reclaimed++;
+        }
+    }
+    return reclaimed;
+}
+
+module.exports = { HOSTNAME, lockFile, unlockFile, readLock, isLockStale, reclaimStaleLocks };
@@ -0,0 +1,197 @@
+// file-watcher.js - Directory watcher shared by both proxies
+//
+// Uses fs.watch when available and falls back to adaptive polling when the
+// watcher cannot be started, errors out, or misses files (common on
+// redirected network drives such as \\tsclient). `options.transport` is
+// where the folder lives (see transport.js), the shared folder by default.
+const EventEmitter = require('events');
+const { folderTransport } = require('./transport');
+
+const DEFAULT_OPTIONS = {
+    mode: 'auto',       // 'auto' (watch with polling fallback), 'watch' or 'poll'
+    minInterval: 50,    // Polling interval right after a change (ms)
+    maxInterval: 1000,  // Polling interval after a long idle period (ms)
+    backoffFactor: 1.5, // Interval growth per idle poll
+    filter: () => true  // Only report file names that pass this check
+};
+
+class DirectoryWatcher extends EventEmitter {
+    constructor(dir, options = {}) {
+        super();
+        this.dir = dir;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.transport = options.transport || folderTransport;
+        this.watcher = null;
+        this.timer = null;
+        this.interval = this.options.minInterval;
+        this.knownFiles = null;
+        this.waiters = new Map();
+        this.reported = new Set();
+        this.stopped = true;
+        this.mode = null;
+    }
+
+    start() {
+        this.stopped = false;
+        if (this.options.mode !== 'poll' && this.startWatcher()) {
+            this.mode = 'watch';
+            // Slow safety poll to detect a watcher that silently misses events
+            this.interval = this.options.maxInterval;
+        } else {
+            this.mode = 'poll';
+        }
+        this.schedulePoll();
+        return this;
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        clearTimeout(this.timer);
+        for (const waiters of this.waiters.values()) {
+            waiters.forEach(waiter => waiter.resolve(false));
+        }
+        this.waiters.clear();
+    }
+
+    startWatcher() {
+        try {
+            this.watcher = this.transport.watch(this.dir, (eventType, filename) => {
+                const name = filename ? filename.toString() : null;
+                if (name !== null) {
+                    this.reported.add(name);
+                }
+                this.notify(name);
+            });
+            this.watcher.on('error', (error) => this.fallbackToPolling(error.message));
+            return true;
+        } catch (error) {
+            this.emit('fallback', error.message);
+            return false;
+        }
+    }
+
+    fallbackToPolling(reason) {
+        if (this.mode === 'poll' || this.options.mode === 'watch') {
+            return;
+        }
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        this.mode = 'poll';
+        this.interval = this.options.minInterval;
+        this.emit('fallback', reason);
+        this.schedulePoll();
+    }
+
+    schedulePoll() {
+        if (this.stopped) {
+            return;
+        }
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.poll(), this.interval);
+    }
+
+    async poll() {
+        // Swap before listing so events that arrive mid-listing aren't lost
+        const reported = this.reported;
+        this.reported = new Set();
+
+        let files;
+        try {
+            files = await this.transport.readdir(this.dir);
+        } catch (error) {
+            this.schedulePoll();
+            return;
+        }
+
+        const previous = this.knownFiles;
+        this.knownFiles = new Set(files);
+        const added = previous ? files.filter(f => !previous.has(f) && this.options.filter(f)) : [];
+
+        // Files the watcher already reported don't need another notification
+        const missed = added.filter(f => !reported.has(f) && !this.reported.has(f));
+
+        if (missed.length > 0 && this.mode === 'watch') {
+            this.fallbackToPolling('watcher missed file events');
+        }
+        missed.forEach(f => this.notify(f));
+
+        if (this.mode === 'poll') {
+            this.interval = added.length > 0
+                ? this.options.minInterval
+                : Math.min(this.interval * this.options.backoffFactor, this.options.maxInterval);
+        }
+        this.schedulePoll();
+    }
+
+    notify(filename) {
+        if (filename !== null && !this.options.filter(filename)) {
+            return;
+        }
+
+        this.emit('change', filename);
+        this.wake(filename);
+    }
+
+    // Resolve everyone waiting for `filename` so they re-check right away.
+    // A null filename means "something changed" and wakes up all waiters.
+    wake(filename) {
+        const targets = filename === null ? Array.from(this.waiters.keys()) : [filename];
+        for (const target of targets) {
+            const waiters = this.waiters.get(target);
+            if (waiters) {
+                this.waiters.delete(target);
+                waiters.forEach(waiter => waiter.resolve(true));
+            }
+        }
+    }
+
+    // Resolve with true when `filename` shows up (or may have), false on
+    // timeout. Register the wait before checking for the file, so it can't
+    // appear unnoticed in between; `cancel()` on the returned promise
+    // resolves it with false right away when the check found it.
+    waitFor(filename, timeout) {
+        let waiter;
+        const promise = new Promise((resolve) => {
+            const remove = () => {
+                clearTimeout(waiter.timer);
+                const waiters = this.waiters.get(filename);
+                if (waiters) {
+                    waiters.delete(waiter);
+                    if (waiters.size === 0) {
+                        this.waiters.delete(filename);
+                    }
+                }
+            };
+            waiter = {
+                resolve: (found) => {
+                    clearTimeout(waiter.timer);
+                    resolve(found);
+                },
+                cancel: () => {
+                    remove();
+                    resolve(false);
+                }
+            };
+            waiter.timer = setTimeout(waiter.cancel, timeout);
+
+            if (!this.waiters.has(filename)) {
+                this.waiters.set(filename, new Set());
+            }
+            this.waiters.get(filename).add(waiter);
+        });
+        promise.cancel = waiter.cancel;
+        return promise;
+    }
+}
+
+function watchDirectory(dir, options) {
+    return new DirectoryWatcher(dir, options).start();
+}
+
+module.exports = { DirectoryWatcher, watchDirectory };
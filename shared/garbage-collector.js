@@ -0,0 +1,42 @@
+// garbage-collector.js - Expires old files left in the shared folder
+//
+// Requests whose caller went away, responses nobody picked up and lock files
+// of crashed processes would otherwise pile up forever now that startup no
+// longer wipes the shared folder.
+const path = require('path');
+const { reclaimStaleLocks } = require('./file-lock');
+const { folderTransport } = require('./transport');
+
+async function collectGarbage(dirs, options = {}) {
+    const maxAge = options.maxAge || 5 * 60 * 1000;
+    const filter = options.filter || (() => true);
+    const transport = options.transport || folderTransport;
+    const now = Date.now();
+    let removed = 0;
+    let reclaimedLocks = 0;
+
+    for (const dir of dirs) {
+        reclaimedLocks += await reclaimStaleLocks(dir, { ...options.lockOptions, transport });
+
+        const files = await transport.readdir(dir).catch(() => []);
+        for (const file of files) {
+            if (file.endsWith('.lock') || !filter(file)) {
+                continue;
+            }
+            const filePath = path.join(dir, file);
+            try {
+                const stat = await transport.stat(filePath);
+                if (stat.isFile() && now - stat.mtimeMs > maxAge) {
+                    await transport.unlink(filePath);
+                    removed++;
+                }
+            } catch (error) {
+                // Removed by the other side in the meantime
+            }
+        }
+    }
+
+    return { removed, reclaimedLocks };
+}
+
+module.exports = { collectGarbage };
@@ -0,0 +1,144 @@
+// http-headers.js - Header handling for HTTP messages passed through the tunnel
+//
+// Requests and responses cross the shared folder as status, headers and body
+// and are sent again on a new connection on the other side. Hop-by-hop
+// headers describe the connection they arrived on, so they are dropped
+// before a message is sent on. Headers that name the internal host - Host,
+// Location, cookie domains and paths - are translated between the address
+// the caller used and the target's.
+
+// RFC 9110 section 7.6.1, plus the non-standard Proxy-Connection
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'proxy-connection',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+];
+
+// First entry of a header that proxies may have turned into a list
+function firstValue(value) {
+    return value ? String([].concat(value)[0]).split(',')[0].trim() : null;
+}
+
+function isWithin(requestPath, basePath) {
+    return !basePath || requestPath === basePath || requestPath.startsWith(`${basePath}/`);
+}
+
+// Copy of `headers` without hop-by-hop headers - the standard ones and any
+// the Connection header names - and without the headers named in `drop`
+function withoutHopByHop(headers = {}, drop = []) {
+    const excluded = new Set([...HOP_BY_HOP_HEADERS, ...drop.map(name => name.toLowerCase())]);
+    Object.entries(headers).forEach(([name, value]) => {
+        if (name.toLowerCase() === 'connection') {
+            [].concat(value).join(',').split(',').forEach(token => excluded.add(token.trim().toLowerCase()));
+        }
+    });
+    const result = {};
+    Object.entries(headers).forEach(([name, value]) => {
+        if (!excluded.has(name.toLowerCase()) && value !== undefined && value !== null) {
+            result[name] = value;
+        }
+    });
+    return result;
+}
+
+// Append the caller's address to X-Forwarded-For, and record the Host and
+// scheme it used unless a proxy in front of us already did
+function addForwardedHeaders(headers, { address, host, proto }) {
+    const result = { ...headers };
+    if (address) {
+        result['x-forwarded-for'] = headers['x-forwarded-for']
+            ? `${headers['x-forwarded-for']}, ${address}`
+            : address;
+    }
+    if (host && !headers['x-forwarded-host']) {
+        result['x-forwarded-host'] = host;
+    }
+    if (proto && !headers['x-forwarded-proto']) {
+        result['x-forwarded-proto'] = proto;
+    }
+    return result;
+}
+
+// Origin the caller addressed (e.g. http://localhost:3000), null if unknown
+function publicOriginOf(headers = {}) {
+    const host = firstValue(headers['x-forwarded-host']) || firstValue(headers.host);
+    return host ? `${firstValue(headers['x-forwarded-proto']) || 'http'}://${host}` : null;
+}
+
+// Point a Location that leads back into the target at the same resource
+// behind the proxy. `requestUrl` is the URL the request was sent to, relative
+// Locations are resolved against it; `targetUrl` is the target's base URL and
+// `prefix` the path prefix the proxy removed before forwarding. Locations
+// elsewhere, such as a login server, are left alone.
+function rewriteLocation(location, { requestUrl, targetUrl, publicOrigin, prefix = '' }) {
+    let base;
+    let resolved;
+    try {
+        base = new URL(targetUrl);
+        resolved = new URL(location, requestUrl);
+    } catch (error) {
+        return location;
+    }
+    const basePath = base.pathname.replace(/\/+$/, '');
+    if (!publicOrigin || resolved.origin !== base.origin || !isWithin(resolved.pathname, basePath)) {
+        return location;
+    }
+    const rest = resolved.pathname.slice(basePath.length) || '/';
+    return `${publicOrigin}${prefix}${rest}${resolved.search}${resolved.hash}`;
+}
+
+// Make a cookie set by the target apply to the proxy's address: Domain is
+// dropped so the cookie belongs to whatever host the caller used, and Path
+// moves under the prefix like Location does
+function rewriteSetCookie(cookie, { targetUrl, prefix = '' }) {
+    let basePath = '';
+    try {
+        basePath = new URL(targetUrl).pathname.replace(/\/+$/, '');
+    } catch (error) {
+        // No base path to remove
+    }
+    const [pair, ...attributes] = cookie.split(';');
+    const rewritten = attributes
+        .map(attribute => attribute.trim())
+        .filter(attribute => attribute && !/^domain\s*=/i.test(attribute))
+        .map(attribute => {
+            const match = /^path\s*=\s*(.*)$/i.exec(attribute);
+            if (!match || !isWithin(match[1], basePath)) {
+                return attribute;
+            }
+            const rest = match[1].slice(basePath.length) || '/';
+            return `Path=${prefix ? `${prefix}${rest === '/' ? '' : rest}` : rest}`;
+        });
+    return [pair, ...rewritten].join('; ');
+}
+
+// Response headers as the caller should see them: no hop-by-hop headers, and
+// Location and Set-Cookie translated as above
+function rewriteResponseHeaders(headers, options) {
+    const result = withoutHopByHop(headers);
+    Object.keys(result).forEach(name => {
+        const lower = name.toLowerCase();
+        if (lower === 'location') {
+            result[name] = rewriteLocation(String(result[name]), options);
+        } else if (lower === 'set-cookie') {
+            result[name] = [].concat(result[name]).map(cookie => rewriteSetCookie(String(cookie), options));
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    HOP_BY_HOP_HEADERS,
+    withoutHopByHop,
+    addForwardedHeaders,
+    publicOriginOf,
+    rewriteLocation,
+    rewriteSetCookie,
+    rewriteResponseHeaders
+};
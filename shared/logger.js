@@ -0,0 +1,157 @@
+// logger.js - One-line JSON logs with request IDs and redaction
+//
+// Both proxies log through createLogger(config.logging, service). Every entry
+// is a single JSON line with the time, level, service, message and the data
+// passed in, written to stdout and, when `logging.file` is set, appended to a
+// file that is rotated once it outgrows `maxSize`. Work done for a request
+// runs inside withRequestContext(), so each line it logs carries the request
+// ID without every call site passing it. Values of sensitive headers, fields
+// and query parameters are replaced before anything is written.
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+    DEBUG: 0,
+    INFO: 1,
+    WARN: 2,
+    ERROR: 3
+};
+
+const REDACTED = '[REDACTED]';
+const DEFAULT_REDACT = {
+    headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-proxy-key'],
+    fields: ['password', 'secret', 'token', 'access_token', 'refresh_token', 'client_secret', 'api_key']
+};
+const MAX_DEPTH = 8; // Deeper values are logged as they are
+
+const context = new AsyncLocalStorage();
+
+// Run `fn` with `fields` (requestId, ...) added to every line logged from it,
+// including from the callbacks and timers it starts
+function withRequestContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replaces values under sensitive keys at any depth, and sensitive query
+// parameters in strings such as paths and URLs
+function createRedactor(redactConfig = {}) {
+    const headers = redactConfig.headers || DEFAULT_REDACT.headers;
+    const fields = redactConfig.fields || DEFAULT_REDACT.fields;
+    const keys = new Set([...headers, ...fields].map(name => name.toLowerCase()));
+    const queryPattern = fields.length > 0
+        ? new RegExp(`([?&](?:${fields.map(escapeRegExp).join('|')})=)[^&#\\s]*`, 'gi')
+        : null;
+
+    function redact(value, depth = 0) {
+        if (typeof value === 'string') {
+            return queryPattern && value.includes('=') ? value.replace(queryPattern, `$1${REDACTED}`) : value;
+        }
+        if (value === null || typeof value !== 'object' || depth > MAX_DEPTH) {
+            return value;
+        }
+        if (Buffer.isBuffer(value)) {
+            return `<${value.length} bytes>`;
+        }
+        if (value instanceof Error) {
+            return value.message;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => redact(item, depth + 1));
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            keys.has(key.toLowerCase()) ? REDACTED : redact(item, depth + 1)
+        ]));
+    }
+
+    return redact;
+}
+
+// Appends to `file`; once it would outgrow `maxSize` it becomes file.1,
+// file.1 becomes file.2 and so on, keeping `maxFiles` old files
+function createLogFile(file, maxSize, maxFiles) {
+    let fd = null;
+    let size = 0;
+    let failed = false;
+
+    function open() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fd = fs.openSync(file, 'a');
+        size = fs.fstatSync(fd).size;
+    }
+
+    function rotate() {
+        fs.closeSync(fd);
+        fd = null;
+        if (maxFiles < 1) {
+            fs.unlinkSync(file);
+        } else {
+            for (let index = maxFiles - 1; index >= 1; index--) {
+                if (fs.existsSync(`${file}.${index}`)) {
+                    fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+                }
+            }
+            fs.renameSync(file, `${file}.1`);
+        }
+        open();
+    }
+
+    // Synchronous, so nothing is lost on a crash and rotation never races a
+    // pending write (Windows can't rename an open file)
+    function write(line) {
+        if (failed) {
+            return;
+        }
+        try {
+            if (fd === null) {
+                open();
+            }
+            const bytes = Buffer.byteLength(line);
+            if (size > 0 && size + bytes > maxSize) {
+                rotate();
+            }
+            fs.writeSync(fd, line);
+            size += bytes;
+        } catch (error) {
+            failed = true;
+            process.stderr.write(`Could not write log file ${file}, logging to stdout only: ${error.message}\n`);
+        }
+    }
+
+    return { write };
+}
+
+// Returns log(level, message, data). LOG_LEVEL in the environment overrides
+// `logging.level` for a single run.
+function createLogger(loggingConfig = {}, service) {
+    const levelName = String(process.env.LOG_LEVEL || loggingConfig.level || 'info').toUpperCase();
+    const threshold = LEVELS[levelName] !== undefined ? LEVELS[levelName] : LEVELS.INFO;
+    const redact = createRedactor(loggingConfig.redact);
+    const logFile = loggingConfig.file
+        ? createLogFile(path.resolve(loggingConfig.file), loggingConfig.maxSize || 10 * 1024 * 1024,
+            loggingConfig.maxFiles !== undefined ? loggingConfig.maxFiles : 5)
+        : null;
+
+    function log(level, message, data = {}) {
+        if (LEVELS[level] < threshold) {
+            return;
+        }
+        const fixed = { time: new Date().toISOString(), level, service, message };
+        // Fixed fields come first and data can't overwrite them
+        const entry = Object.assign({ ...fixed }, redact({ ...context.getStore(), ...data }), fixed);
+        const line = `${JSON.stringify(entry)}\n`;
+        process.stdout.write(line);
+        if (logFile) {
+            logFile.write(line);
+        }
+    }
+
+    return log;
+}
+
+module.exports = { LEVELS, REDACTED, createLogger, createRedactor, withRequestContext };
@@ -0,0 +1,106 @@
+// metrics.js - Prometheus metrics for the admin endpoints
+//
+// A small registry of counters, gauges and histograms, rendered in the
+// Prometheus text format (version 0.0.4) for /_admin/metrics. Counters and
+// gauges can also be read from existing state when scraped, by passing a
+// `collect` function that returns a number or a list of { labels, value }.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds - from a quick local hop to a slow upstream call
+const DEFAULT_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels = {}) {
+    const pairs = Object.entries(labels)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    // Counter or gauge: values by label set, or read with `collect`
+    function simpleMetric(type, name, help, collect) {
+        const values = new Map(); // label string -> value
+        const metric = {
+            name,
+            help,
+            type,
+            inc(labels = {}, value = 1) {
+                const key = labelString(labels);
+                values.set(key, (values.get(key) || 0) + value);
+            },
+            set(labels, value) {
+                values.set(labelString(labels), value);
+            },
+            lines() {
+                if (!collect) {
+                    return [...values].map(([key, value]) => `${name}${key} ${value}`);
+                }
+                const collected = collect();
+                return typeof collected === 'number'
+                    ? [`${name} ${collected}`]
+                    : collected.map(({ labels, value }) => `${name}${labelString(labels)} ${value}`);
+            }
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+        const series = new Map(); // label string -> { labels, counts, sum, count }
+        const metric = {
+            name,
+            help,
+            type: 'histogram',
+            observe(labels, value) {
+                const key = labelString(labels);
+                if (!series.has(key)) {
+                    series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                }
+                const entry = series.get(key);
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) {
+                        entry.counts[index]++;
+                    }
+                });
+                entry.sum += value;
+                entry.count++;
+            },
+            lines() {
+                const lines = [];
+                series.forEach(({ labels, counts, sum, count }) => {
+                    buckets.forEach((bound, index) => {
+                        lines.push(`${name}_bucket${labelString({ ...labels, le: bound })} ${counts[index]}`);
+                    });
+                    lines.push(`${name}_bucket${labelString({ ...labels, le: '+Inf' })} ${count}`);
+                    lines.push(`${name}_sum${labelString(labels)} ${sum}`);
+                    lines.push(`${name}_count${labelString(labels)} ${count}`);
+                });
+                return lines;
+            }
+        };
+        metrics.push(metric);
+        return metric;
+    }
+
+    function render() {
+        return metrics
+            .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines()].join('\n'))
+            .join('\n') + '\n';
+    }
+
+    return {
+        counter: (name, help, collect) => simpleMetric('counter', name, help, collect),
+        gauge: (name, help, collect) => simpleMetric('gauge', name, help, collect),
+        histogram,
+        render
+    };
+}
+
+module.exports = { CONTENT_TYPE, createRegistry };
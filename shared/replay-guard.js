@@ -0,0 +1,98 @@
+// replay-guard.js - Rejects sealed requests that were already accepted
+//
+// A sealed request is accepted once, and only while its timestamp is within
+// `window` of our clock. Accepted IDs are kept until their timestamp leaves
+// the window (the age check rejects them from then on), so the set stays as
+// small as the traffic of one window. With `file` they are also appended to
+// a file on this machine - not in the shared folder, where whoever replays
+// requests could remove it - so a restart doesn't open the window again.
+// That includes requests that were accepted but not answered when the
+// process stopped: after the restart they are rejected rather than sent to
+// the target a second time.
+const fs = require('fs').promises;
+
+const COMPACT_AFTER = 10000; // Rewrite the file without expired IDs after this many appends
+
+function createReplayGuard({ window, file = null, log }) {
+    const seen = new Map(); // ID -> envelope timestamp
+    let appended = 0;
+    let pending = Promise.resolve();
+
+    const isExpired = (timestamp, now) => timestamp + window < now;
+
+    function prune(now) {
+        seen.forEach((timestamp, id) => {
+            if (isExpired(timestamp, now)) {
+                seen.delete(id);
+            }
+        });
+    }
+
+    // Runs after the appends queued so far, so none of them is lost
+    function compact() {
+        pending = pending.then(async () => {
+            prune(Date.now());
+            const lines = [...seen].map(([id, timestamp]) => `${timestamp} ${id}\n`).join('');
+            await fs.writeFile(`${file}.tmp`, lines);
+            await fs.rename(`${file}.tmp`, file);
+            appended = 0;
+        }).catch((error) => {
+            log('ERROR', `Could not compact replay file`, { file, error: error.message });
+        });
+        return pending;
+    }
+
+    // Read the IDs accepted before a restart
+    async function load() {
+        if (!file) {
+            return 0;
+        }
+        let content = '';
+        try {
+            content = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log('ERROR', `Could not read replay file`, { file, error: error.message });
+            }
+        }
+        const now = Date.now();
+        content.split('\n').forEach(line => {
+            const separator = line.indexOf(' ');
+            const timestamp = Number(line.slice(0, separator));
+            if (separator > 0 && !isExpired(timestamp, now)) {
+                seen.set(line.slice(separator + 1), timestamp);
+            }
+        });
+        await compact();
+        return seen.size;
+    }
+
+    // True the first time `id` is seen within the window. The ID is on disk
+    // before this resolves, so it can't be accepted again after a crash.
+    async function accept(id, timestamp) {
+        const now = Date.now();
+        if (typeof timestamp !== 'number' || Math.abs(now - timestamp) > window || seen.has(id)) {
+            return false;
+        }
+        seen.set(id, timestamp);
+        if (seen.size % 1000 === 0) {
+            prune(now);
+        }
+        if (file) {
+            pending = pending
+                .then(() => fs.appendFile(file, `${timestamp} ${id}\n`))
+                .catch((error) => {
+                    log('ERROR', `Could not write replay file`, { file, error: error.message });
+                });
+            await pending;
+            if (++appended >= COMPACT_AFTER) {
+                compact();
+            }
+        }
+        return true;
+    }
+
+    return { load, accept };
+}
+
+module.exports = { createReplayGuard };
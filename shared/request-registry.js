@@ -0,0 +1,51 @@
+// request-registry.js - Requests in flight, for /_admin/requests
+//
+// Each proxy registers what it is working on - HTTP requests, WebSocket
+// sessions and forwarded connections - with a function that cancels it, so
+// the admin API can list them with their age and state and cancel one.
+
+function createRequestRegistry() {
+    const requests = new Map(); // id -> entry
+
+    // Register work in flight. Returns a handle to update its state and to
+    // remove it again once it is finished.
+    function track(id, info, cancel) {
+        const entry = { id, state: 'started', ...info, startedAt: Date.now(), cancel };
+        requests.set(id, entry);
+        return {
+            setState(state) {
+                entry.state = state;
+            },
+            done() {
+                if (requests.get(id) === entry) {
+                    requests.delete(id);
+                }
+            }
+        };
+    }
+
+    function list() {
+        const now = Date.now();
+        return [...requests.values()]
+            .sort((a, b) => a.startedAt - b.startedAt)
+            .map(({ cancel, startedAt, ...info }) => ({
+                ...info,
+                startedAt: new Date(startedAt).toISOString(),
+                age: now - startedAt
+            }));
+    }
+
+    // Returns false when nothing with that ID is in flight
+    function cancel(id) {
+        const entry = requests.get(id);
+        if (!entry) {
+            return false;
+        }
+        entry.cancel();
+        return true;
+    }
+
+    return { track, list, cancel, count: () => requests.size };
+}
+
+module.exports = { createRequestRegistry };
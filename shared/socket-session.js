@@ -0,0 +1,208 @@
+// socket-session.js - WebSocket sessions as ordered message files
+//
+// Once the handshake went through like a normal request, each direction of
+// a session is a sequence of `<sessionId>.<seq>.msg` files: the local proxy
+// writes them to its requests folder, the RDP proxy to the responses folder.
+// Each file is created atomically and holds one message - a text or binary
+// frame, a close with its code and reason, or a keepalive. The reader
+// delivers them in sequence order and removes each one once delivered.
+//
+// Messages are passed through `seal`/`open` like chunk files, bound to their
+// session, direction and sequence number. The files go through `transport`
+// (see transport.js), the shared folder when none is given.
+const path = require('path');
+const { folderTransport } = require('./transport');
+
+const MESSAGE_PATTERN = /^(.+)\.(\d+)\.msg$/;
+const MESSAGE_CHECK_INTERVAL = 1000; // Re-check for the next message at least this often
+
+function messageFile(dir, id, seq) {
+    return path.join(dir, `${id}.${seq}.msg`);
+}
+
+// ID of the session a message file belongs to, null for other files
+function sessionIdOf(file) {
+    const match = MESSAGE_PATTERN.exec(file);
+    return match ? match[1] : null;
+}
+
+// seal/open functions for one direction of a session, e.g.
+// `ws-up:<clientId>:<sessionId>` for messages from the local proxy
+function messageSealing(cipher, aad) {
+    if (!cipher) {
+        return {};
+    }
+    return {
+        seal: (message, seq) => cipher.seal(message, `${aad}:${seq}`),
+        open: (message, seq) => cipher.open(message, `${aad}:${seq}`)
+    };
+}
+
+// Writes messages in the order `send` is called. A failed write fails every
+// later `send` as well, since the other side would wait for it forever.
+function createMessageWriter({ dir, id, seal, transport = folderTransport }) {
+    let seq = 0;
+    let last = Promise.resolve();
+    const writer = {
+        lastSent: Date.now(),
+        send(message) {
+            const file = messageFile(dir, id, seq);
+            const content = JSON.stringify(seal ? seal(message, seq) : message);
+            seq++;
+            writer.lastSent = Date.now();
+            last = last.then(async () => {
+                await transport.writeFile(`${file}.tmp`, content);
+                await transport.rename(`${file}.tmp`, file);
+            });
+            return last;
+        }
+    };
+    return writer;
+}
+
+// Reads messages in order. `messages()` is an async generator that ends once
+// `stop()` is called and fails when nothing (not even a keepalive) arrives
+// for `idleTimeout` ms. `watcher` watches `dir` for message files.
+function createMessageReader({ dir, id, open, watcher, idleTimeout, transport = folderTransport }) {
+    let seq = 0;
+    let stopped = false;
+
+    async function* messages() {
+        let lastReceived = Date.now();
+        while (!stopped) {
+            const file = messageFile(dir, id, seq);
+            let content = null;
+            try {
+                content = await transport.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+
+            if (content !== null) {
+                const message = JSON.parse(content);
+                const opened = open ? open(message, seq) : message;
+                await transport.unlink(file).catch(() => {});
+                seq++;
+                lastReceived = Date.now();
+                if (opened.type !== 'keepalive') {
+                    yield opened;
+                }
+                continue;
+            }
+
+            const remaining = idleTimeout - (Date.now() - lastReceived);
+            if (remaining <= 0) {
+                throw new Error(`No message for ${idleTimeout} ms`);
+            }
+            await watcher.waitFor(path.basename(file), Math.min(remaining, MESSAGE_CHECK_INTERVAL));
+        }
+    }
+
+    return {
+        messages,
+        stop() {
+            stopped = true;
+            watcher.wake(path.basename(messageFile(dir, id, seq)));
+        }
+    };
+}
+
+// Codes that may be sent in a close frame (1005 and 1006 only describe
+// closes without a code or without a close frame)
+function isSendableCloseCode(code) {
+    return (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+        (code >= 3000 && code <= 4999);
+}
+
+function closeSocket(socket, code, reason) {
+    if (isSendableCloseCode(code)) {
+        socket.close(code, reason);
+    } else if (code === 1005) {
+        socket.close();
+    } else {
+        socket.terminate();
+    }
+}
+
+// Relay frames between a WebSocket (`ws` package API) and the other side of
+// a session until either end closes it. A close from one end is passed on to
+// the other with its code and reason. Resolves with { code, reason, by }
+// where `by` is 'socket' or 'peer'. A paused socket is resumed once the
+// listeners are attached.
+function bridgeSocket(socket, { writer, reader, keepAliveInterval, onError }) {
+    let closedBy = null;
+    let peerClose = null;
+
+    const keepAlive = setInterval(() => {
+        if (Date.now() - writer.lastSent >= keepAliveInterval) {
+            writer.send({ type: 'keepalive' }).catch(() => {});
+        }
+    }, Math.max(1000, keepAliveInterval / 2));
+
+    const fail = (error) => {
+        onError(error);
+        socket.terminate();
+    };
+
+    socket.on('message', (data, isBinary) => {
+        const message = isBinary
+            ? { type: 'binary', data: Buffer.from(data).toString('base64') }
+            : { type: 'text', data: data.toString('utf8') };
+        writer.send(message).catch(fail);
+    });
+    socket.on('error', onError);
+
+    const relay = (async () => {
+        for await (const message of reader.messages()) {
+            if (message.type === 'close') {
+                closedBy = 'peer';
+                peerClose = message;
+                closeSocket(socket, message.code, message.reason || '');
+                return;
+            }
+            socket.send(
+                message.type === 'binary' ? Buffer.from(message.data, 'base64') : message.data,
+                { binary: message.type === 'binary' }
+            );
+        }
+    })().catch(fail);
+
+    const closed = new Promise((resolve) => {
+        socket.once('close', async (code, reason) => {
+            clearInterval(keepAlive);
+            reader.stop();
+            if (!closedBy) {
+                closedBy = 'socket';
+                await writer.send({ type: 'close', code, reason: reason.toString('utf8') }).catch(onError);
+            }
+            await relay;
+            resolve(closedBy === 'peer'
+                ? { code: peerClose.code, reason: peerClose.reason || '', by: 'peer' }
+                : { code, reason: reason.toString('utf8'), by: 'socket' });
+        });
+    });
+    if (socket.isPaused) {
+        socket.resume();
+    }
+    return closed;
+}
+
+// Remove the message files of a session left in `dir`
+async function removeMessages(dir, id, transport = folderTransport) {
+    const files = await transport.readdir(dir).catch(() => []);
+    await Promise.all(files
+        .filter(file => sessionIdOf(file) === id)
+        .map(file => transport.unlink(path.join(dir, file)).catch(() => {})));
+}
+
+module.exports = {
+    messageFile,
+    sessionIdOf,
+    messageSealing,
+    createMessageWriter,
+    createMessageReader,
+    bridgeSocket,
+    removeMessages
+};
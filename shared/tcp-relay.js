@@ -0,0 +1,72 @@
+// tcp-relay.js - Forwarded TCP connections relayed through the shared folder
+//
+// Once the RDP proxy has connected to the target, each direction of the
+// connection is a chunk transfer (see chunk-stream.js): whatever one side
+// reads from its socket is written as `<connectionId>.<seq>.chunk` files and
+// the manifest marks the end of that direction. A half-close therefore
+// reaches the other end as one, and a manifest with an error (the socket
+// failed or was reset) resets the connection on the other side too.
+const { writeChunks, followChunks, removeChunks } = require('./chunk-stream');
+
+function writeTo(socket, chunk) {
+    if (socket.write(chunk)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => {
+        socket.once('drain', resolve);
+        socket.once('close', resolve);
+    });
+}
+
+// Relay `socket` until both directions are finished or the connection fails.
+// `outgoing` and `incoming` name the folder each direction is written to,
+// with the seal/open functions for it. The connection is reset when neither
+// end sends anything for `idleTimeout` ms. `transport` is where both folders
+// live (see transport.js). Resolves with the bytes sent and received through
+// the tunnel and the error that ended the connection, if any.
+async function relayConnection(socket, options) {
+    const { id, outgoing, incoming, chunkSize, window, idleTimeout, wait, isPeerAlive, transport } = options;
+    let failure = null;
+
+    const fail = (error) => {
+        failure = failure || error;
+        socket.destroy();
+    };
+    socket.on('error', fail);
+    socket.setTimeout(idleTimeout, () => fail(new Error(`No traffic for ${idleTimeout} ms`)));
+
+    await Promise.all([
+        // The default iterator destroys the socket once the caller half-closes
+        writeChunks(socket.iterator({ destroyOnReturn: false }), {
+            dir: outgoing.dir,
+            id,
+            chunkSize,
+            window,
+            flushAfter: 0, // Interactive protocols can't wait for a full chunk
+            stallTimeout: idleTimeout,
+            seal: outgoing.seal,
+            sealManifest: outgoing.sealManifest,
+            transport
+        }).catch(fail),
+        followChunks(incoming.dir, id, {
+            open: incoming.open,
+            openManifest: incoming.openManifest,
+            onChunk: (chunk) => writeTo(socket, chunk),
+            wait,
+            stopped: () => socket.destroyed,
+            isWriterAlive: isPeerAlive,
+            idleTimeout: null,
+            transport
+        }).then((complete) => {
+            if (complete) {
+                socket.end();
+            }
+        }, fail)
+    ]);
+
+    socket.destroy();
+    await removeChunks(incoming.dir, id, transport);
+    return { sent: socket.bytesRead, received: socket.bytesWritten, error: failure ? failure.message : null };
+}
+
+module.exports = { relayConnection };
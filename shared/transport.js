@@ -0,0 +1,250 @@
+// transport.js - Where the tunnel's files live
+//
+// Everything the two proxies exchange - envelopes, .done and .cancel markers,
+// locks, chunk and message files, heartbeats - goes through a transport with
+// the handful of file operations the protocol needs. `shared-folder` is the
+// real thing: a folder both machines see, such as the RDP drive redirection,
+// or any local directory when both ends run on one machine. `memory` keeps
+// the files in this process, so both proxies can run in one process (see
+// `rdp2rest start both`) without touching the disk.
+//
+// Paths are the ones the proxies build from `sharedFolder.path`. The memory
+// transport stores them relative to that folder, so two proxies configured
+// with different paths for it still meet in the same store. Errors carry
+// the same codes as fs errors (ENOENT, EEXIST), since callers check them.
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const EventEmitter = require('events');
+
+const TYPES = ['shared-folder', 'memory'];
+
+// Memory stores by name; both proxies of one process use the same one
+const stores = new Map();
+
+function createFolderTransport() {
+    return {
+        type: 'shared-folder',
+        readFile: (file, encoding) => fs.readFile(file, encoding),
+        writeFile: (file, data, options) => fs.writeFile(file, data, options),
+        rename: (from, to) => fs.rename(from, to),
+        unlink: (file) => fs.unlink(file),
+        mkdir: (dir, options) => fs.mkdir(dir, options),
+        readdir: (dir, options) => fs.readdir(dir, options),
+        stat: (file) => fs.stat(file),
+        exists: (file) => fs.access(file).then(() => true).catch(() => false),
+
+        // Replace a file's content in place, unless it was removed in the
+        // meantime (re-creating it would leave an orphan behind)
+        async rewrite(file, content) {
+            let handle;
+            try {
+                handle = await fs.open(file, 'r+');
+                await handle.truncate(0);
+                await handle.write(content, 0, content.length, 0);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            } finally {
+                if (handle) {
+                    await handle.close();
+                }
+            }
+        },
+
+        // `listener(eventType, filename)` like fs.watch; throws when the
+        // folder can't be watched
+        watch: (dir, listener) => fsSync.watch(dir, { persistent: false }, listener)
+    };
+}
+
+function fsError(code, syscall, file) {
+    const error = new Error(`${code}: ${syscall} '${file}'`);
+    error.code = code;
+    error.syscall = syscall;
+    error.path = file;
+    return error;
+}
+
+function fileInfo(name, isDirectory) {
+    return {
+        name,
+        isFile: () => !isDirectory,
+        isDirectory: () => isDirectory
+    };
+}
+
+function createMemoryTransport(name, root) {
+    if (!stores.has(name)) {
+        // Keys are paths relative to the shared folder, '' being the folder itself
+        stores.set(name, { files: new Map(), dirs: new Set(['']), watchers: new Map() });
+    }
+    const store = stores.get(name);
+    const base = path.resolve(root || '.');
+
+    const keyOf = (file) => path.relative(base, path.resolve(file));
+    const parentOf = (key) => {
+        const parent = path.dirname(key);
+        return parent === '.' ? '' : parent;
+    };
+
+    // Tell watchers of the file's folder, after the caller's await like fs.watch
+    function changed(key, eventType) {
+        const listeners = store.watchers.get(parentOf(key));
+        if (listeners) {
+            const filename = path.basename(key);
+            setImmediate(() => listeners.forEach(listener => listener(eventType, filename)));
+        }
+    }
+
+    function requireParent(key, syscall, file) {
+        if (!store.dirs.has(parentOf(key))) {
+            throw fsError('ENOENT', syscall, file);
+        }
+    }
+
+    return {
+        type: 'memory',
+
+        async readFile(file, encoding) {
+            const entry = store.files.get(keyOf(file));
+            if (!entry) {
+                throw fsError(store.dirs.has(keyOf(file)) ? 'EISDIR' : 'ENOENT', 'open', file);
+            }
+            return encoding ? entry.data.toString(encoding) : Buffer.from(entry.data);
+        },
+
+        async writeFile(file, data, options = {}) {
+            const key = keyOf(file);
+            requireParent(key, 'open', file);
+            if (store.dirs.has(key)) {
+                throw fsError('EISDIR', 'open', file);
+            }
+            const existed = store.files.has(key);
+            if (existed && options.flag === 'wx') {
+                throw fsError('EEXIST', 'open', file);
+            }
+            store.files.set(key, { data: Buffer.from(data), mtimeMs: Date.now() });
+            changed(key, existed ? 'change' : 'rename');
+        },
+
+        async rename(from, to) {
+            const fromKey = keyOf(from);
+            const toKey = keyOf(to);
+            const entry = store.files.get(fromKey);
+            if (!entry) {
+                throw fsError('ENOENT', 'rename', from);
+            }
+            requireParent(toKey, 'rename', to);
+            store.files.delete(fromKey);
+            store.files.set(toKey, entry);
+            changed(fromKey, 'rename');
+            changed(toKey, 'rename');
+        },
+
+        async unlink(file) {
+            const key = keyOf(file);
+            if (!store.files.delete(key)) {
+                throw fsError('ENOENT', 'unlink', file);
+            }
+            changed(key, 'rename');
+        },
+
+        async mkdir(dir, options = {}) {
+            const key = keyOf(dir);
+            if (store.files.has(key)) {
+                throw fsError('EEXIST', 'mkdir', dir);
+            }
+            if (store.dirs.has(key)) {
+                if (options.recursive) {
+                    return;
+                }
+                throw fsError('EEXIST', 'mkdir', dir);
+            }
+            if (!options.recursive) {
+                requireParent(key, 'mkdir', dir);
+            }
+            for (let current = key; current && !store.dirs.has(current); current = parentOf(current)) {
+                store.dirs.add(current);
+                changed(current, 'rename');
+            }
+        },
+
+        async readdir(dir, options = {}) {
+            const key = keyOf(dir);
+            if (!store.dirs.has(key)) {
+                throw fsError('ENOENT', 'scandir', dir);
+            }
+            const entries = [];
+            store.dirs.forEach(d => {
+                if (d && parentOf(d) === key) {
+                    entries.push(fileInfo(path.basename(d), true));
+                }
+            });
+            store.files.forEach((entry, f) => {
+                if (parentOf(f) === key) {
+                    entries.push(fileInfo(path.basename(f), false));
+                }
+            });
+            return options.withFileTypes ? entries : entries.map(entry => entry.name);
+        },
+
+        async stat(file) {
+            const key = keyOf(file);
+            const entry = store.files.get(key);
+            if (!entry && !store.dirs.has(key)) {
+                throw fsError('ENOENT', 'stat', file);
+            }
+            return {
+                ...fileInfo(path.basename(key), !entry),
+                size: entry ? entry.data.length : 0,
+                mtimeMs: entry ? entry.mtimeMs : 0
+            };
+        },
+
+        async exists(file) {
+            const key = keyOf(file);
+            return store.files.has(key) || store.dirs.has(key);
+        },
+
+        async rewrite(file, content) {
+            const key = keyOf(file);
+            if (store.files.has(key)) {
+                store.files.set(key, { data: Buffer.from(content), mtimeMs: Date.now() });
+                changed(key, 'change');
+            }
+        },
+
+        watch(dir, listener) {
+            const key = keyOf(dir);
+            if (!store.dirs.has(key)) {
+                throw fsError('ENOENT', 'watch', dir);
+            }
+            if (!store.watchers.has(key)) {
+                store.watchers.set(key, new Set());
+            }
+            store.watchers.get(key).add(listener);
+            const watcher = new EventEmitter();
+            watcher.close = () => store.watchers.get(key).delete(listener);
+            return watcher;
+        }
+    };
+}
+
+// The transport for `transport` from the config; `root` is the configured
+// shared folder path
+function createTransport(transportConfig = {}, root) {
+    const type = transportConfig.type || 'shared-folder';
+    if (!TYPES.includes(type)) {
+        throw new Error(`Unknown transport "${type}", expected one of ${TYPES.join(', ')}`);
+    }
+    return type === 'memory'
+        ? createMemoryTransport(transportConfig.name || 'default', root)
+        : createFolderTransport();
+}
+
+// Used by the shared modules when the caller doesn't pass a transport
+const folderTransport = createFolderTransport();
+
+module.exports = { TYPES, createTransport, folderTransport };
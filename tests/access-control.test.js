@@ -0,0 +1,64 @@
+// access-control.test.js - the local proxy's API key check
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const { createAuthMiddleware } = require('../local-rest-proxy/access-control');
+
+const noLog = () => {};
+
+// Runs the middleware and tells whether it passed the request on
+function authenticate(middleware, { method = 'GET', url = '/users', headers = {} } = {}) {
+    const req = { method, url, originalUrl: url, headers: { ...headers }, socket: { remoteAddress: '127.0.0.1' } };
+    const res = {
+        statusCode: 200,
+        headers: {},
+        status(code) { this.statusCode = code; return this; },
+        set(name, value) { this.headers[name] = value; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    let passed = false;
+    middleware(req, res, () => { passed = true; });
+    return { req, res, passed };
+}
+
+test('the proxy refuses to start without keys unless told otherwise', () => {
+    assert.throws(() => createAuthMiddleware({ keys: {} }, noLog), /No API keys configured/);
+    const open = createAuthMiddleware({ keys: {}, allowUnauthenticated: true }, noLog);
+    assert.strictEqual(authenticate(open).passed, true);
+});
+
+test('started without keys, the proxy says why and exits with 1', () => {
+    const started = spawnSync(process.execPath, [path.join(__dirname, '..', 'local-rest-proxy', 'proxy.js')], {
+        cwd: os.tmpdir(),
+        env: { ...process.env, PROXY_API_KEYS: '' },
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    assert.strictEqual(started.status, 1);
+    assert.match(started.stdout, /Not starting: No API keys configured/);
+});
+
+test('requests without a valid key are rejected', () => {
+    const middleware = createAuthMiddleware({ keys: { alice: 'key1' } }, noLog);
+    const { res, passed } = authenticate(middleware, { headers: { 'x-proxy-key': 'wrong' } });
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 401);
+});
+
+test('proxy clients are asked for credentials with a 407', () => {
+    const middleware = createAuthMiddleware({ keys: { alice: 'key1' } }, noLog);
+    const { res, passed } = authenticate(middleware, { url: 'http://example.com/', headers: {} });
+    assert.strictEqual(passed, false);
+    assert.strictEqual(res.statusCode, 407);
+    assert.match(res.headers['Proxy-Authenticate'], /^Basic/);
+});
+
+test('accepted requests carry the caller and lose the key', () => {
+    const middleware = createAuthMiddleware({ keys: { alice: 'key1' } }, noLog);
+    const { req, passed } = authenticate(middleware, { headers: { 'x-proxy-key': 'key1', accept: '*/*' } });
+    assert.strictEqual(passed, true);
+    assert.strictEqual(req.caller, 'alice');
+    assert.deepStrictEqual(req.headers, { accept: '*/*' });
+});
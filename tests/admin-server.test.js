@@ -0,0 +1,66 @@
+// admin-server.test.js - rdp-rest-proxy/admin-server.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createAdminServer } = require('../rdp-rest-proxy/admin-server');
+
+let base;
+let admin;
+const cancelled = [];
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer();
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+function request(method, requestPath) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`${base}${requestPath}`, { method }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks)) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+before(async () => {
+    const port = await freePort();
+    base = `http://127.0.0.1:${port}`;
+    admin = createAdminServer({ port }, {
+        requests: {
+            list: () => [],
+            cancel: (id) => {
+                cancelled.push(id);
+                return id === 'alice/one';
+            }
+        },
+        metrics: { render: () => '' },
+        log: () => {}
+    });
+    await admin.start();
+});
+
+after(() => admin.stop());
+
+test('a request in flight is cancelled by client and ID', async () => {
+    const response = await request('DELETE', '/_admin/requests/alice/one');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, { cancelled: 'alice/one' });
+    assert.strictEqual((await request('DELETE', '/_admin/requests/alice/two')).status, 404);
+});
+
+test('a malformed path is answered with 400 and the server keeps running', async () => {
+    const response = await request('DELETE', '/_admin/requests/%E0/x');
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'Bad Request');
+    assert.ok(!cancelled.includes('%E0/x'));
+    assert.strictEqual((await request('GET', '/_admin/requests')).status, 200);
+});
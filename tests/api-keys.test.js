@@ -0,0 +1,34 @@
+// api-keys.test.js - shared/api-keys.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { loadKeys, createKeyCheck, stripKey } = require('../shared/api-keys');
+
+const basic = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+
+afterEach(() => {
+    delete process.env.PROXY_API_KEYS;
+});
+
+test('PROXY_API_KEYS is merged over the configured keys', () => {
+    process.env.PROXY_API_KEYS = 'bob:key2, carol:key:3';
+    assert.deepStrictEqual(loadKeys({ keys: { alice: 'key1', bob: 'old' } }), { alice: 'key1', bob: 'key2', carol: 'key:3' });
+});
+
+test('a key is accepted in each header that may carry it', () => {
+    const check = createKeyCheck({ keys: { alice: 'key1', empty: '' } });
+    assert.strictEqual(check.configured, true);
+    assert.strictEqual(check.callerOf({ 'x-proxy-key': 'key1' }), 'alice');
+    assert.strictEqual(check.callerOf({ 'proxy-authorization': 'Bearer key1' }), 'alice');
+    assert.strictEqual(check.callerOf({ 'proxy-authorization': basic('anyone', 'key1') }), 'alice');
+    assert.strictEqual(check.callerOf({ 'x-proxy-key': 'key2' }), null);
+    assert.strictEqual(check.callerOf({ 'x-proxy-key': '' }), null);
+    assert.strictEqual(check.callerOf({}), null);
+});
+
+test('empty keys do not count as configured', () => {
+    assert.strictEqual(createKeyCheck({ keys: { alice: '' } }).configured, false);
+});
+
+test('stripKey removes both key headers', () => {
+    assert.deepStrictEqual(stripKey({ 'x-proxy-key': 'a', 'proxy-authorization': 'b', accept: '*/*' }), { accept: '*/*' });
+});
@@ -0,0 +1,140 @@
+// chunk-stream.test.js - shared/chunk-stream.js, through the memory transport
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createTransport } = require('../shared/transport');
+const { createEnvelopeCipher } = require('../shared/envelope-crypto');
+const {
+    writeChunks, readChunks, followChunks, readManifest, removeChunks, chunkFile, chunkSealing
+} = require('../shared/chunk-stream');
+
+const DIR = '/shared';
+let stores = 0;
+
+// A fresh store for every test, so transfers can't see each other
+function memory() {
+    return createTransport({ type: 'memory', name: `chunk-stream-${stores++}` }, DIR);
+}
+
+async function* source(buffers, pause = 0) {
+    for (const buffer of buffers) {
+        if (pause) {
+            await new Promise(resolve => setTimeout(resolve, pause));
+        }
+        yield buffer;
+    }
+}
+
+async function collect(iterator) {
+    const chunks = [];
+    for await (const chunk of iterator) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+test('a body is split into chunks of chunkSize and read back whole', async () => {
+    const transport = memory();
+    const parts = Array.from({ length: 50 }, (_, i) => Buffer.alloc(100 + i, i));
+    const manifest = await writeChunks(source(parts.slice(2)), {
+        dir: DIR, id: 'body', chunkSize: 1024, initial: parts.slice(0, 2), transport
+    });
+    const expected = Buffer.concat(parts);
+    assert.deepStrictEqual(manifest, { chunks: Math.ceil(expected.length / 1024), size: expected.length });
+    assert.deepStrictEqual(await readManifest(DIR, 'body', null, transport), manifest);
+
+    const chunks = await collect(readChunks(DIR, 'body', manifest.chunks, manifest.size, null, transport));
+    assert.ok(chunks.slice(0, -1).every(chunk => chunk.length === 1024));
+    assert.ok(Buffer.concat(chunks).equals(expected));
+
+    await removeChunks(DIR, 'body', transport);
+    assert.deepStrictEqual(await transport.readdir(DIR), []);
+});
+
+test('chunks that add up to another size than the manifest are refused', async () => {
+    const transport = memory();
+    const manifest = await writeChunks(source([Buffer.from('abcdefgh')]), { dir: DIR, id: 'sized', chunkSize: 4, transport });
+    await assert.rejects(collect(readChunks(DIR, 'sized', manifest.chunks, manifest.size - 1, null, transport)), /hold more than the 7 bytes/);
+    await assert.rejects(collect(readChunks(DIR, 'sized', manifest.chunks, manifest.size + 1, null, transport)), /hold 8 of the 9 bytes/);
+    await transport.writeFile(chunkFile(DIR, 'sized', 1), Buffer.from('efghij'));
+    await assert.rejects(collect(readChunks(DIR, 'sized', manifest.chunks, manifest.size, null, transport)), /hold more than the 8 bytes/);
+});
+
+test('a single large buffer is written in one pass', async () => {
+    const transport = memory();
+    const manifest = await writeChunks(source([Buffer.alloc(1024 * 1024, 1)]), { dir: DIR, id: 'big', chunkSize: 1024, transport });
+    assert.deepStrictEqual(manifest, { chunks: 1024, size: 1024 * 1024 });
+});
+
+test('a failing source leaves a manifest with the error', async () => {
+    const transport = memory();
+    async function* failing() {
+        yield Buffer.from('partial');
+        throw new Error('upstream reset');
+    }
+    await assert.rejects(writeChunks(failing(), { dir: DIR, id: 'failed', chunkSize: 4, transport }), /upstream reset/);
+    const manifest = await readManifest(DIR, 'failed', null, transport);
+    assert.strictEqual(manifest.error, 'upstream reset');
+});
+
+test('live sources are flushed once they go quiet', async () => {
+    const transport = memory();
+    const manifest = await writeChunks(source([Buffer.from('event 1'), Buffer.from('event 2')], 50), {
+        dir: DIR, id: 'live', chunkSize: 1024, flushAfter: 10, transport
+    });
+    assert.strictEqual(manifest.chunks, 2);
+    assert.strictEqual((await transport.readFile(chunkFile(DIR, 'live', 0))).toString(), 'event 1');
+});
+
+test('a live source still running at the deadline is ended with an error', async () => {
+    const transport = memory();
+    async function* stalled() {
+        yield Buffer.from('first');
+        await new Promise(() => {});
+    }
+    await assert.rejects(writeChunks(stalled(), {
+        dir: DIR, id: 'stalled', chunkSize: 1024, flushAfter: 10, deadline: Date.now() + 100, transport
+    }), /deadline/);
+    assert.match((await readManifest(DIR, 'stalled', null, transport)).error, /deadline/);
+    assert.strictEqual((await transport.readFile(chunkFile(DIR, 'stalled', 0))).toString(), 'first');
+});
+
+test('the writer waits while the reader is a window behind', async () => {
+    const transport = memory();
+    const parts = Array.from({ length: 6 }, (_, i) => Buffer.alloc(4, i));
+    const received = [];
+    const [manifest, complete] = await Promise.all([
+        writeChunks(source(parts), { dir: DIR, id: 'window', chunkSize: 4, window: 2, stallTimeout: 5000, transport }),
+        followChunks(DIR, 'window', {
+            transport,
+            onChunk: async (chunk) => {
+                assert.ok((await transport.readdir(DIR)).filter(file => file.endsWith('.chunk')).length <= 2);
+                received.push(chunk);
+            },
+            wait: (ms) => new Promise(resolve => setTimeout(resolve, Math.min(ms, 5))),
+            stopped: () => false,
+            idleTimeout: 5000
+        })
+    ]);
+    assert.strictEqual(complete, true);
+    assert.strictEqual(manifest.chunks, 6);
+    assert.ok(Buffer.concat(received).equals(Buffer.concat(parts)));
+});
+
+test('sealed chunks are bound to their transfer and position', async () => {
+    const transport = memory();
+    const cipher = createEnvelopeCipher('chunk test key');
+    const sealing = chunkSealing(cipher, 'response-body:alice:one');
+    const manifest = await writeChunks(source([Buffer.from('abcdefgh')]), { dir: DIR, id: 'one', chunkSize: 4, transport, ...sealing });
+    assert.notStrictEqual((await transport.readFile(chunkFile(DIR, 'one', 0))).toString(), 'abcd');
+    const chunks = await collect(readChunks(DIR, 'one', manifest.chunks, manifest.size, sealing.open, transport));
+    assert.strictEqual(Buffer.concat(chunks).toString(), 'abcdefgh');
+
+    // Swapped chunks, or chunks of another transfer, fail authentication
+    const first = await transport.readFile(chunkFile(DIR, 'one', 0));
+    await transport.writeFile(chunkFile(DIR, 'one', 0), await transport.readFile(chunkFile(DIR, 'one', 1)));
+    await transport.writeFile(chunkFile(DIR, 'one', 1), first);
+    await assert.rejects(collect(readChunks(DIR, 'one', 2, 8, sealing.open, transport)), /Chunk failed authentication/);
+    const other = chunkSealing(cipher, 'response-body:alice:two');
+    await assert.rejects(collect(readChunks(DIR, 'one', 2, 8, other.open, transport)), /Chunk failed authentication/);
+    assert.throws(() => other.openManifest(JSON.parse(JSON.stringify(sealing.sealManifest(manifest)))), /failed authentication/);
+});
@@ -0,0 +1,77 @@
+// envelope-crypto.test.js - shared/envelope-crypto.js and shared/replay-guard.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEnvelopeCipher, isSealed, sealPayload, openPayload } = require('../shared/envelope-crypto');
+const { createReplayGuard } = require('../shared/replay-guard');
+
+const noLog = () => {};
+const cipher = createEnvelopeCipher('correct horse battery staple');
+const request = { id: 'one', method: 'GET', path: '/users/1', headers: { authorization: 'Bearer secret' } };
+
+test('a sealed envelope opens with the same key and name', () => {
+    const sealed = cipher.seal(request, 'request:alice:one');
+    assert.strictEqual(isSealed(sealed), true);
+    assert.ok(!JSON.stringify(sealed).includes('secret'));
+    assert.deepStrictEqual(createEnvelopeCipher('correct horse battery staple').open(sealed, 'request:alice:one'), request);
+});
+
+test('a hex key is used as it is', () => {
+    const key = crypto.randomBytes(32).toString('hex');
+    const sealed = createEnvelopeCipher(key).seal(request, 'heartbeat');
+    assert.deepStrictEqual(createEnvelopeCipher(key.toUpperCase()).open(sealed, 'heartbeat'), request);
+});
+
+test('envelopes fail to open with another key, under another name or when changed', () => {
+    const sealed = cipher.seal(request, 'request:alice:one');
+    assert.throws(() => createEnvelopeCipher('another key').open(sealed, 'request:alice:one'), /failed authentication/);
+    assert.throws(() => cipher.open(sealed, 'request:alice:two'), /failed authentication/);
+    assert.throws(() => cipher.open(sealed, 'response:alice:one'), /failed authentication/);
+    const data = Buffer.from(sealed.data, 'base64');
+    data[0] ^= 1;
+    assert.throws(() => cipher.open({ ...sealed, data: data.toString('base64') }, 'request:alice:one'), /failed authentication/);
+});
+
+test('plain envelopes are refused', () => {
+    assert.throws(() => cipher.open(request, 'request:alice:one'), /not encrypted/);
+});
+
+test('payloads pass through unchanged without a cipher', () => {
+    assert.strictEqual(sealPayload(null, request, 'heartbeat'), request);
+    assert.strictEqual(openPayload(null, request, 'heartbeat'), request);
+    assert.deepStrictEqual(openPayload(cipher, sealPayload(cipher, request, 'heartbeat'), 'heartbeat'), request);
+    assert.throws(() => openPayload(cipher, request, 'heartbeat'), /not encrypted/);
+});
+
+test('buffers are sealed for one name only', () => {
+    const sealed = cipher.sealBuffer(Buffer.from('chunk'), 'request-body:alice:one:0');
+    assert.strictEqual(cipher.openBuffer(sealed, 'request-body:alice:one:0').toString(), 'chunk');
+    assert.throws(() => cipher.openBuffer(sealed, 'request-body:alice:one:1'), /Chunk failed authentication/);
+});
+
+test('a request ID is accepted once, and only while its timestamp is recent', async () => {
+    const guard = createReplayGuard({ window: 1000, log: noLog });
+    const now = Date.now();
+    assert.strictEqual(await guard.accept('one', now), true);
+    assert.strictEqual(await guard.accept('one', now), false);
+    assert.strictEqual(await guard.accept('old', now - 2000), false);
+    assert.strictEqual(await guard.accept('future', now + 2000), false);
+    assert.strictEqual(await guard.accept('none', undefined), false);
+});
+
+test('accepted IDs survive a restart with a replay file', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rdp2rest-replay-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'seen-requests.log');
+    const before = createReplayGuard({ window: 60000, file, log: noLog });
+    await before.load();
+    assert.strictEqual(await before.accept('one', Date.now()), true);
+
+    const after = createReplayGuard({ window: 60000, file, log: noLog });
+    assert.strictEqual(await after.load(), 1);
+    assert.strictEqual(await after.accept('one', Date.now()), false);
+    assert.strictEqual(await after.accept('two', Date.now()), true);
+});
@@ -0,0 +1,24 @@
+// forward-proxy.test.js - rdp-rest-proxy/forward-proxy.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createForwardProxy } = require('../rdp-rest-proxy/forward-proxy');
+
+const forwardProxy = createForwardProxy({ allowedHosts: ['wiki.corp', '*.corp.example:8443'] });
+
+test('allowed hosts are reached on the origin the caller asked for', () => {
+    const { target } = forwardProxy.resolve({ proxyOrigin: 'http://wiki.corp', path: '/page?v=2' });
+    assert.strictEqual(target.url, 'http://wiki.corp/page?v=2');
+    assert.strictEqual(target.port, 80);
+    assert.strictEqual(forwardProxy.resolve({ connect: 'jira.corp.example:8443' }).target.url, 'tcp://jira.corp.example:8443');
+});
+
+test('hosts and ports off the allowlist are refused', () => {
+    assert.match(forwardProxy.resolve({ proxyOrigin: 'http://evil.example', path: '/' }).reason, /not in forwardProxy.allowedHosts/);
+    assert.match(forwardProxy.resolve({ connect: 'wiki.corp:22' }).reason, /not in forwardProxy.allowedHosts/);
+});
+
+test('paths that could reach another host are refused', () => {
+    assert.match(forwardProxy.resolve({ proxyOrigin: 'http://wiki.corp', path: '@evil.example/x' }).reason, /Invalid request path/);
+    assert.match(forwardProxy.resolve({ proxyOrigin: 'http://wiki.corp', path: '.evil.example/x' }).reason, /Invalid request path/);
+    assert.strictEqual(forwardProxy.resolve({ proxyOrigin: 'http://wiki.corp', path: '//evil.example/x' }).target.url, 'http://wiki.corp//evil.example/x');
+});
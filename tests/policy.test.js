@@ -0,0 +1,97 @@
+// policy.test.js - rdp-rest-proxy/policy.js
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPolicy } = require('../rdp-rest-proxy/policy');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rdp2rest-policy-'));
+let files = 0;
+
+function policyFrom(content) {
+    const file = path.join(dir, `policy-${files++}.json`);
+    fs.writeFileSync(file, JSON.stringify(content));
+    return createPolicy({ file });
+}
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const get = (requestPath, headers = {}) => ({ method: 'GET', path: requestPath, headers, body: null });
+
+const policy = policyFrom({
+    defaultAction: 'deny',
+    maxBodySize: 10,
+    stripHeaders: ['Cookie'],
+    injectHeaders: { Authorization: 'Bearer service-token' },
+    rules: [
+        { name: 'no-secrets', action: 'deny', path: '/public/secret/**', reason: 'Not for you' },
+        { name: 'public', action: 'allow', methods: ['get'], path: '/public/**' },
+        { name: 'alice-writes', action: 'allow', methods: ['POST'], path: '/orders', clients: ['alice'], maxBodySize: 100 }
+    ]
+});
+
+test('without a policy file every request is allowed as it is', () => {
+    const decision = createPolicy({}).evaluate('alice', get('/anything', { cookie: 'a=b' }));
+    assert.strictEqual(decision.allowed, true);
+    assert.deepStrictEqual(decision.headers, { cookie: 'a=b' });
+});
+
+test('the first matching rule decides', () => {
+    assert.strictEqual(policy.evaluate('alice', get('/public/docs')).rule.name, 'public');
+    const denied = policy.evaluate('alice', get('/public/secret/key'));
+    assert.strictEqual(denied.allowed, false);
+    assert.strictEqual(denied.reason, 'Not for you');
+});
+
+test('requests matching no rule get the default action', () => {
+    const decision = policy.evaluate('alice', get('/internal'));
+    assert.strictEqual(decision.allowed, false);
+    assert.strictEqual(decision.rule, null);
+});
+
+test('rules only match their methods and clients', () => {
+    const order = { method: 'POST', path: '/orders', headers: {}, body: { id: 1 } };
+    assert.strictEqual(policy.evaluate('alice', order).allowed, true);
+    assert.strictEqual(policy.evaluate('bob', order).allowed, false);
+    assert.strictEqual(policy.evaluate('alice', { ...order, method: 'DELETE' }).allowed, false);
+});
+
+test('bodies over the limit are denied, rules can raise it', () => {
+    const body = { note: 'more than ten bytes' };
+    assert.strictEqual(policy.evaluate('alice', { method: 'POST', path: '/orders', headers: {}, body }).allowed, true);
+    const decision = policy.evaluate('alice', { method: 'GET', path: '/public/x', headers: {}, body });
+    assert.strictEqual(decision.allowed, false);
+    assert.match(decision.reason, /exceeds the limit of 10 bytes/);
+});
+
+test('headers are stripped and injected headers replace the caller\'s', () => {
+    const decision = policy.evaluate('alice', get('/public/x', { Cookie: 'a=b', authorization: 'Bearer mine', accept: '*/*' }));
+    assert.deepStrictEqual(decision.headers, { accept: '*/*', authorization: 'Bearer service-token' });
+});
+
+test('paths are normalized before they are matched', () => {
+    assert.strictEqual(policy.evaluate('alice', get('/public/%73ecret/key')).allowed, false);
+    assert.strictEqual(policy.evaluate('alice', get('//public//secret/key')).allowed, false);
+    assert.strictEqual(policy.evaluate('alice', get('/public\\secret\\key')).allowed, false);
+});
+
+test('dot segments and malformed paths are denied', () => {
+    assert.strictEqual(policy.evaluate('alice', get('/public/../internal')).allowed, false);
+    assert.strictEqual(policy.evaluate('alice', get('/public/%2e%2e/internal')).allowed, false);
+    assert.strictEqual(policy.evaluate('alice', get('/public/%zz')).allowed, false);
+});
+
+test('the routed target path is checked, not the requested one', () => {
+    assert.strictEqual(policy.evaluate('alice', get('/public/x'), '/internal/x').allowed, false);
+});
+
+test('caseInsensitive compares paths in lower case', () => {
+    const insensitive = policyFrom({
+        defaultAction: 'allow',
+        caseInsensitive: true,
+        rules: [{ action: 'deny', path: '/Admin/**' }]
+    });
+    assert.strictEqual(insensitive.evaluate('alice', get('/ADMIN/users')).allowed, false);
+    assert.strictEqual(policy.evaluate('alice', get('/PUBLIC/x')).allowed, false);
+});
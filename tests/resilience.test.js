@@ -0,0 +1,98 @@
+// resilience.test.js - rdp-rest-proxy/retry-policy.js and circuit-breaker.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRetryPolicy, parseRetryAfter } = require('../rdp-rest-proxy/retry-policy');
+const { createCircuitBreakers } = require('../rdp-rest-proxy/circuit-breaker');
+
+const noLog = () => {};
+const failure = { error: Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) };
+const refused = { error: Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }) };
+
+test('only idempotent methods are retried after a failure', () => {
+    const retry = createRetryPolicy().forRoute(null);
+    assert.strictEqual(retry.shouldRetry('GET', failure), true);
+    assert.strictEqual(retry.shouldRetry('GET', { status: 503 }), true);
+    assert.strictEqual(retry.shouldRetry('GET', { status: 500 }), false);
+    assert.strictEqual(retry.shouldRetry('POST', failure), false);
+    assert.strictEqual(retry.shouldRetry('POST', { status: 503 }), false);
+});
+
+test('refused connections are retried for any method', () => {
+    assert.strictEqual(createRetryPolicy().forRoute(null).shouldRetry('POST', refused), true);
+});
+
+test('delays back off exponentially, Retry-After wins', () => {
+    const retry = createRetryPolicy({ baseDelay: 100, maxDelay: 300 }).forRoute(null);
+    for (let attempt = 1; attempt <= 5; attempt++) {
+        const delay = retry.delay(attempt);
+        assert.ok(delay >= 0 && delay < Math.min(300, 100 * 2 ** (attempt - 1)));
+    }
+    assert.strictEqual(retry.delay(1, { 'retry-after': '2' }), 2000);
+    assert.strictEqual(parseRetryAfter('soon'), null);
+    assert.ok(parseRetryAfter(new Date(Date.now() + 10000).toUTCString()) > 8000);
+});
+
+test('routes override the defaults', () => {
+    const retries = createRetryPolicy({ maxAttempts: 3 });
+    const route = { name: 'orders', retry: { maxAttempts: 1, methods: ['POST'] } };
+    assert.strictEqual(retries.forRoute(route).maxAttempts, 1);
+    assert.strictEqual(retries.forRoute(route).shouldRetry('POST', failure), true);
+    assert.strictEqual(retries.forRoute(route), retries.forRoute(route));
+});
+
+test('a circuit opens after the threshold and fails fast', () => {
+    const breakers = createCircuitBreakers({ failureThreshold: 2, resetTimeout: 1000 }, noLog);
+    breakers.record('http://api', failure);
+    assert.strictEqual(breakers.acquire('http://api').allowed, true);
+    breakers.record('http://api', { status: 502 });
+    const refusal = breakers.acquire('http://api');
+    assert.strictEqual(refusal.allowed, false);
+    assert.ok(refusal.retryAfter > 0 && refusal.retryAfter <= 1000);
+    assert.deepStrictEqual(Object.keys(breakers.states()), ['http://api']);
+    assert.strictEqual(breakers.acquire('http://other').allowed, true);
+});
+
+test('one probe is let through after the reset timeout', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const breakers = createCircuitBreakers({ failureThreshold: 1, resetTimeout: 1000 }, noLog);
+    breakers.record('http://api', failure);
+    t.mock.timers.tick(1000);
+    assert.deepStrictEqual(breakers.acquire('http://api'), { allowed: true, probe: true });
+    assert.strictEqual(breakers.acquire('http://api').allowed, false);
+
+    // A failed probe keeps the circuit open, a successful one closes it
+    breakers.record('http://api', failure);
+    assert.strictEqual(breakers.acquire('http://api').allowed, false);
+    t.mock.timers.tick(1000);
+    breakers.acquire('http://api');
+    breakers.record('http://api', { status: 200 });
+    assert.deepStrictEqual(breakers.acquire('http://api'), { allowed: true });
+    assert.deepStrictEqual(breakers.states(), {});
+});
+
+test('a cancelled probe lets the next request probe', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const breakers = createCircuitBreakers({ failureThreshold: 1, resetTimeout: 1000 }, noLog);
+    breakers.record('http://api', failure);
+    t.mock.timers.tick(1000);
+    breakers.acquire('http://api');
+    breakers.release('http://api');
+    assert.deepStrictEqual(breakers.acquire('http://api'), { allowed: true, probe: true });
+});
+
+test('idle circuits are forgotten', (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const breakers = createCircuitBreakers({ failureThreshold: 1, resetTimeout: 1000 }, noLog);
+    breakers.record('http://api', failure);
+    t.mock.timers.tick(11000);
+    breakers.acquire('http://other');
+    assert.deepStrictEqual(breakers.states(), {});
+    assert.deepStrictEqual(breakers.acquire('http://api'), { allowed: true });
+});
+
+test('disabled breakers let everything through', () => {
+    const breakers = createCircuitBreakers({ enabled: false, failureThreshold: 1 }, noLog);
+    breakers.record('http://api', failure);
+    assert.strictEqual(breakers.acquire('http://api').allowed, true);
+    assert.deepStrictEqual(breakers.states(), {});
+});
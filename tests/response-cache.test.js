@@ -0,0 +1,103 @@
+// response-cache.test.js - local-rest-proxy/response-cache.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createResponseCache } = require('../local-rest-proxy/response-cache');
+
+const noLog = () => {};
+
+function request(headers = {}, caller = 'alice') {
+    return { method: 'GET', headers, caller, socket: { localPort: 3000 } };
+}
+
+function response(headers, statusCode = 200) {
+    return { statusCode, headers };
+}
+
+const body = Buffer.from('{"id":1}');
+
+// Stores the response for `req` and looks `req2` up afterwards
+function storeAndLookup(cache, req, res, req2 = req) {
+    const stored = cache.store(cache.keyFor(req, '/users/1'), '/users/1', req, res, body);
+    return { stored, found: cache.lookup(req2, cache.keyFor(req2, '/users/1')) };
+}
+
+test('only enabled caches take GET requests', () => {
+    assert.strictEqual(createResponseCache({}, noLog).isCacheable(request()), false);
+    const cache = createResponseCache({ enabled: true }, noLog);
+    assert.strictEqual(cache.isCacheable(request()), true);
+    assert.strictEqual(cache.isCacheable({ ...request(), method: 'POST' }), false);
+    assert.strictEqual(cache.isCacheable(request({ 'cache-control': 'no-store' })), false);
+});
+
+test('fresh responses are answered from the cache', () => {
+    const cache = createResponseCache({ enabled: true }, noLog);
+    const { found } = storeAndLookup(cache, request(), response({ 'cache-control': 'max-age=60' }));
+    assert.strictEqual(found.fresh, true);
+    assert.strictEqual(found.entry.body, body);
+    assert.strictEqual(cache.stats().hits, 1);
+});
+
+test('responses without freshness or validators are not stored', () => {
+    const cache = createResponseCache({ enabled: true }, noLog);
+    assert.strictEqual(storeAndLookup(cache, request(), response({})).stored, null);
+    assert.strictEqual(storeAndLookup(cache, request(), response({ 'cache-control': 'max-age=60' }, 500)).stored, null);
+});
+
+test('no-store and private responses are never stored', () => {
+    const cache = createResponseCache({ enabled: true }, noLog);
+    assert.strictEqual(storeAndLookup(cache, request(), response({ 'cache-control': 'no-store' })).stored, null);
+    assert.strictEqual(storeAndLookup(cache, request(), response({ 'cache-control': 'private, max-age=60' })).stored, null);
+});
+
+test('answers to credentialed requests are only stored when they may be shared', () => {
+    const cache = createResponseCache({ enabled: true }, noLog);
+    const credentialed = request({ authorization: 'Bearer user-token' });
+    assert.strictEqual(storeAndLookup(cache, credentialed, response({ 'cache-control': 'max-age=60' })).stored, null);
+    assert.notStrictEqual(storeAndLookup(cache, credentialed, response({ 'cache-control': 'public, max-age=60' })).stored, null);
+});
+
+test('entries are kept apart by caller and by credentials', () => {
+    const cache = createResponseCache({ enabled: true }, noLog);
+    const shared = response({ 'cache-control': 'public, max-age=60' });
+    assert.strictEqual(storeAndLookup(cache, request({}, 'alice'), shared, request({}, 'bob')).found, null);
+    const token = request({ authorization: 'Bearer one' });
+    assert.strictEqual(storeAndLookup(cache, token, shared, request({ authorization: 'Bearer two' })).found, null);
+    assert.notStrictEqual(cache.lookup(token, cache.keyFor(token, '/users/1')), null);
+});
+
+test('s-maxage wins over max-age', () => {
+    const cache = createResponseCache({ enabled: true }, noLog);
+    const { stored } = storeAndLookup(cache, request(), response({ 'cache-control': 'max-age=600, s-maxage=5' }));
+    assert.strictEqual(stored.lifetime, 5000);
+});
+
+test('stale entries with a validator are revalidated', () => {
+    const cache = createResponseCache({ enabled: true }, noLog);
+    const { found } = storeAndLookup(cache, request(), response({ 'cache-control': 'max-age=0', etag: '"v1"' }));
+    assert.strictEqual(found.fresh, false);
+    assert.deepStrictEqual(cache.conditionalHeaders(request(), found.entry), { 'if-none-match': '"v1"' });
+    cache.refresh(found.entry, response({ 'cache-control': 'max-age=60' }, 304));
+    assert.strictEqual(cache.lookup(request(), cache.keyFor(request(), '/users/1')).fresh, true);
+});
+
+test('Vary headers must match', () => {
+    const cache = createResponseCache({ enabled: true }, noLog);
+    const res = response({ 'cache-control': 'max-age=60', vary: 'Accept-Language' });
+    assert.strictEqual(storeAndLookup(cache, request({ 'accept-language': 'en' }), res, request({ 'accept-language': 'de' })).found, null);
+});
+
+test('writes drop the entries for their path', () => {
+    const cache = createResponseCache({ enabled: true }, noLog);
+    storeAndLookup(cache, request(), response({ 'cache-control': 'max-age=60' }));
+    cache.invalidate({ method: 'PUT' }, '/users/1', { statusCode: 200 });
+    assert.strictEqual(cache.stats().entries, 0);
+});
+
+test('the least recently used entries go first', () => {
+    const cache = createResponseCache({ enabled: true, maxSize: 300, maxEntrySize: 200 }, noLog);
+    const res = response({ 'cache-control': 'max-age=60' });
+    ['/a', '/b', '/c'].forEach(url => cache.store(cache.keyFor(request(), url), url, request(), res, Buffer.alloc(100)));
+    assert.strictEqual(cache.lookup(request(), cache.keyFor(request(), '/a')), null);
+    assert.notStrictEqual(cache.lookup(request(), cache.keyFor(request(), '/c')), null);
+    assert.strictEqual(cache.stats().evicted > 0, true);
+});
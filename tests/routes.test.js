@@ -0,0 +1,32 @@
+// routes.test.js - rdp-rest-proxy/routes.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createRouter } = require('../rdp-rest-proxy/routes');
+
+const router = createRouter({
+    targetApi: { url: 'http://api.internal:8080' },
+    routes: [
+        { name: 'orders', pathPrefix: '/orders', stripPrefix: true, target: 'http://orders.internal/v1/' },
+        { name: 'default', default: true, target: 'http://api.internal:8080' }
+    ]
+});
+
+test('requests go to the first matching route, the default one otherwise', () => {
+    const { target } = router.resolve({ path: '/orders/7?full=1', headers: {} });
+    assert.strictEqual(target.route.name, 'orders');
+    assert.strictEqual(target.url, 'http://orders.internal/v1/7?full=1');
+    assert.strictEqual(target.path, '/7?full=1');
+    assert.strictEqual(router.resolve({ path: '/ordersx', headers: {} }).target.route.name, 'default');
+});
+
+test('no route matches without a default one', () => {
+    const withoutDefault = createRouter({ routes: [{ pathPrefix: '/orders', target: 'http://orders.internal' }] });
+    assert.deepStrictEqual(withoutDefault.resolve({ path: '/users', headers: {} }), { target: null });
+});
+
+test('paths that could reach another host are refused', () => {
+    assert.match(router.resolve({ path: '@evil.example/x', headers: {} }).reason, /Invalid request path/);
+    assert.match(router.resolve({ path: '.evil.example/x', headers: {} }).reason, /Invalid request path/);
+    assert.match(router.resolve({ path: '', headers: {} }).reason, /Invalid request path/);
+    assert.strictEqual(router.resolve({ path: '//evil.example/x', headers: {} }).target.url, 'http://api.internal:8080//evil.example/x');
+});
@@ -0,0 +1,60 @@
+// socket-session.test.js - shared/socket-session.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('../rdp-rest-proxy/node_modules/ws');
+const { bridgeSocket } = require('../shared/socket-session');
+
+let server;
+let url;
+
+before(async () => {
+    // Greets each session and closes it right away, before anything could
+    // be bridged
+    server = new WebSocket.WebSocketServer({ port: 0, host: '127.0.0.1' });
+    server.on('connection', (socket) => {
+        socket.send('hello');
+        socket.close(1000, 'bye');
+    });
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `ws://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// A writer that keeps what it was sent, and a reader with nothing to read
+function recorder() {
+    const sent = [];
+    let stop;
+    const stopped = new Promise(resolve => { stop = resolve; });
+    return {
+        sent,
+        writer: { lastSent: Date.now(), send: async (message) => { sent.push(message); } },
+        reader: {
+            async* messages() {
+                await stopped;
+            },
+            stop
+        }
+    };
+}
+
+test('frames and a close that arrive before the socket is bridged are held for it', { timeout: 5000 }, async () => {
+    // Paused on open like the RDP proxy does, while the 101 is being written
+    const socket = new WebSocket(url);
+    await new Promise((resolve, reject) => {
+        socket.once('open', () => {
+            socket.pause();
+            resolve();
+        });
+        socket.once('error', reject);
+    });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const { sent, writer, reader } = recorder();
+    const result = await bridgeSocket(socket, { writer, reader, keepAliveInterval: 60000, onError: assert.fail });
+    assert.deepStrictEqual(result, { code: 1000, reason: 'bye', by: 'socket' });
+    assert.deepStrictEqual(sent, [
+        { type: 'text', data: 'hello' },
+        { type: 'close', code: 1000, reason: 'bye' }
+    ]);
+});
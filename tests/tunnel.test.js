@@ -0,0 +1,192 @@
+// tunnel.test.js - The whole request path, on one machine
+//
+// Starts an internal API, then both proxies in one process with
+// `rdp2rest start both` (memory transport, encryption on), and sends
+// requests to the local proxy: local proxy -> transport -> RDP proxy ->
+// internal API and back.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const API_KEY = 'test-key';
+const STARTUP_TIMEOUT = 15000;
+
+let api;
+let apiRequests = [];
+let proxies;
+let output = '';
+let base;
+let workDir;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = http.createServer();
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+// The internal API: echoes what it got, streams /large, fails /broken
+function startApi() {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            apiRequests.push({ method: req.method, url: req.url, headers: req.headers });
+            if (req.url === '/large') {
+                res.writeHead(200, { 'content-type': 'application/octet-stream', 'content-length': String(300 * 1024) });
+                res.end(Buffer.alloc(300 * 1024, 7));
+                return;
+            }
+            res.writeHead(req.url === '/broken' ? 500 : 200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                method: req.method,
+                url: req.url,
+                body: Buffer.concat(chunks).toString('utf8'),
+                apiKey: req.headers['x-proxy-key'] || null
+            }));
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function request(method, requestPath, { headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(`${base}${requestPath}`, { method, headers }, (res) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+const withKey = (headers = {}) => ({ 'X-Proxy-Key': API_KEY, ...headers });
+
+// Until the local proxy sees the RDP proxy's heartbeat
+async function waitUntilHealthy() {
+    const until = Date.now() + STARTUP_TIMEOUT;
+    while (Date.now() < until) {
+        const health = await request('GET', '/health', { headers: withKey() }).catch(() => null);
+        if (health && health.status === 200) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`The proxies didn't become healthy:\n${output}`);
+}
+
+before(async () => {
+    api = await startApi();
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rdp2rest-test-'));
+    const port = await freePort();
+    base = `http://127.0.0.1:${port}`;
+
+    const policyFile = path.join(workDir, 'policy.json');
+    fs.writeFileSync(policyFile, JSON.stringify({
+        defaultAction: 'allow',
+        rules: [{ name: 'no-admin', action: 'deny', path: '/admin/**', reason: 'Admin is off limits' }]
+    }));
+    const settingsFile = path.join(workDir, 'rdp2rest.json');
+    fs.writeFileSync(settingsFile, JSON.stringify({
+        logging: { level: 'warn' },
+        encryption: { enabled: true, replayFile: null },
+        local: {
+            server: { port },
+            auth: { keys: { tester: API_KEY } },
+            streaming: { threshold: 64 * 1024, chunkSize: 64 * 1024 }
+        },
+        remote: {
+            targetApi: { url: `http://127.0.0.1:${api.address().port}` },
+            admin: { port: null },
+            policy: { file: policyFile, auditLog: path.join(workDir, 'audit.log') },
+            streaming: { threshold: 64 * 1024, chunkSize: 64 * 1024 }
+        }
+    }));
+
+    proxies = spawn(process.execPath, [path.join(__dirname, '..', 'rdp2rest.js'), 'start', 'both', '--config', settingsFile], {
+        cwd: workDir,
+        env: { ...process.env, TUNNEL_KEY: 'tunnel test passphrase', PROXY_API_KEYS: '', NO_PROXY: '*' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    proxies.stdout.on('data', data => { output += data; });
+    proxies.stderr.on('data', data => { output += data; });
+    await waitUntilHealthy();
+});
+
+after(async () => {
+    if (proxies && proxies.exitCode === null) {
+        const exited = new Promise(resolve => proxies.once('exit', resolve));
+        proxies.kill();
+        await exited;
+    }
+    if (api) {
+        api.closeAllConnections();
+        await new Promise(resolve => api.close(resolve));
+    }
+    if (workDir) {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+});
+
+test('a GET request reaches the internal API and its answer comes back', async () => {
+    const response = await request('GET', '/users/1?expand=true', { headers: withKey() });
+    assert.strictEqual(response.status, 200);
+    const echoed = JSON.parse(response.body);
+    assert.strictEqual(echoed.method, 'GET');
+    assert.strictEqual(echoed.url, '/users/1?expand=true');
+    assert.strictEqual(echoed.apiKey, null, 'the API key must not reach the internal API');
+});
+
+test('a request body is passed on', async () => {
+    const body = JSON.stringify({ name: 'alice' });
+    const response = await request('POST', '/users', {
+        headers: withKey({ 'Content-Type': 'application/json' }),
+        body
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(JSON.parse(JSON.parse(response.body).body).name, 'alice');
+});
+
+test('error statuses of the internal API are passed on', async () => {
+    const response = await request('GET', '/broken', { headers: withKey() });
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual(JSON.parse(response.body).url, '/broken');
+});
+
+test('a response over the streaming threshold arrives complete', async () => {
+    const response = await request('GET', '/large', { headers: withKey() });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.length, 300 * 1024);
+    assert.ok(response.body.every(byte => byte === 7));
+});
+
+test('requests without a valid API key are refused before they are tunneled', async () => {
+    const seen = apiRequests.length;
+    const missing = await request('GET', '/users/1');
+    const wrong = await request('GET', '/users/1', { headers: { 'X-Proxy-Key': 'wrong' } });
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(wrong.status, 401);
+    assert.strictEqual(apiRequests.length, seen);
+});
+
+test('requests the policy denies are answered with 403 by the RDP proxy', async () => {
+    const seen = apiRequests.length;
+    const response = await request('GET', '/admin/users', { headers: withKey() });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual(JSON.parse(response.body).message, 'Admin is off limits');
+    assert.strictEqual(apiRequests.length, seen);
+});
+
+test('dot segments can not get around the policy', async () => {
+    const response = await request('GET', '/public/%2e%2e/admin/users', { headers: withKey() });
+    assert.strictEqual(response.status, 403);
+});